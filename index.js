@@ -5,136 +5,182 @@
  */
 import { CLI } from './src/cli.js';
 import { CommandHandler } from './src/command-handler.js';
-import { execFile } from 'child_process';
-import { buildSync } from 'esbuild';
-import nodemon from 'nodemon';
+import { BuildManager } from './src/build-manager.js';
+import { FileWatcher } from './src/file-watcher.js';
 import { exit } from 'process';
+import { parseArgs } from 'util';
 import path from 'path';
 
-const artifacts_directory = `${process.cwd()}/.aws-sam/build`;
+// Stack traces from built artifacts the tool loads point at the original sources
+process.setSourceMapsEnabled(true);
 
 // Initialize CLI application
 const cli = new CLI();
 let commandHandler = null;
+let fileWatcher = null;
+let buildManager = null;
 
-// Build function implementation
-async function buildTheThings(functionsToBuild, logger) {
-  const buildPromises = [];
-
-  for (let f of functionsToBuild) {
-    const { BuildMethod: buildMethod, BuildProperties: buildProperties = {} } = f.Metadata ?? {};
-
-    logger.logBuildStart(f.Name);
-    const startTime = Date.now();
-
-    try {
-      if (buildMethod === 'esbuild') {
-        // Convert keys to camelCase
-        let buildProps = {};
-        Object.keys(buildProperties).forEach((k) => {
-          buildProps[k.charAt(0).toLowerCase() + k.slice(1)] = buildProperties[k];
-        });
-        
-        const entryPoints = Array.isArray(buildProps.entryPoints) && buildProps.entryPoints.length
-          ? buildProps.entryPoints
-          : ['app.ts'];
-        
-        const buildPromise = Promise.resolve().then(() => {
-          buildSync({
-            ...buildProps,
-            entryPoints: entryPoints.map((e) => path.join(f.Properties.CodeUri, e)),
-            outdir: path.join(artifacts_directory, f.Name),
-          });
-          
-          const duration = Date.now() - startTime;
-          logger.logBuildComplete(f.Name, true, duration);
-        });
-        buildPromises.push(buildPromise);
-      } else if (buildMethod === 'makefile') {
-        const makePromise = new Promise((resolve) => {
-          execFile(
-            'make',
-            [`build-${f.Name}`],
-            { env: { ...process.env, ARTIFACTS_DIR: path.join(artifacts_directory, f.Name) } },
-            (err, stdout, stderr) => {
-              const duration = Date.now() - startTime;
-              if (err) {
-                logger.logError(f.Name, `Build failed: ${stderr || err.message}`);
-                logger.logBuildComplete(f.Name, false, duration);
-              } else {
-                logger.logBuild(f.Name, `Make output: ${stdout}`);
-                logger.logBuildComplete(f.Name, true, duration);
-              }
-              resolve();
-            }
-          );
-        });
-        buildPromises.push(makePromise);
-      } else {
-        logger.logError(f.Name, `Unsupported build method: ${buildMethod}`);
-        logger.logBuildComplete(f.Name, false, Date.now() - startTime);
+// Queue a build of the selected functions, superseding in-flight builds the changes affect
+function scheduleBuild(functions, changedFiles = [], options = {}) {
+  const logger = cli.getLogger();
+
+  return buildManager.scheduleBuild(functions, changedFiles, options)
+    .catch((error) => {
+      logger.logError(null, `Build run failed: ${error.message}`);
+    });
+}
+
+// Write template.yaml into the build directory so sam local runs the built artifacts
+function writeBuiltTemplate(templatePath, functions) {
+  const logger = cli.getLogger();
+
+  try {
+    const builtTemplatePath = cli.getTemplateParser().writeBuiltTemplate(templatePath, functions, buildManager.getBuildDir(), {
+      sourceMapFunctions: functions.filter(func => buildManager.usesSourceMaps(func.Name)).map(func => func.Name)
+    });
+    logger.logDebug(`Wrote built template ${builtTemplatePath}`);
+  } catch (error) {
+    logger.logWarn(`Could not write the built template: ${error.message}`);
+  }
+}
+
+// Re-read the template and refresh the watched function configurations in place
+function reloadTemplate(templatePath, selectedFunctions) {
+  const logger = cli.getLogger();
+  const templateParser = cli.getTemplateParser();
+
+  try {
+    const functions = templateParser.extractFunctions(templateParser.parseTemplate(templatePath));
+    const selectedNames = new Set(selectedFunctions.map(func => func.Name));
+    const refreshed = functions.filter(func => selectedNames.has(func.Name));
+
+    for (const name of selectedNames) {
+      if (!refreshed.some(func => func.Name === name)) {
+        logger.logWarn(`${name} is no longer a valid function in ${templatePath} and is no longer watched`);
       }
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      logger.logError(f.Name, `Build failed: ${error.message}`);
-      logger.logBuildComplete(f.Name, false, duration);
     }
+
+    selectedFunctions.splice(0, selectedFunctions.length, ...refreshed);
+    return true;
+  } catch (error) {
+    logger.logError(null, `Keeping the previous template: ${error.message}`);
+    return false;
   }
-  
-  await Promise.all(buildPromises);
+}
+
+// Stop watching, release esbuild contexts and exit the process
+async function shutdown(logger) {
+  logger.logInfo('Shutting down hot-reload watcher...');
+  if (commandHandler) {
+    commandHandler.stopListening();
+  }
+  if (fileWatcher) {
+    fileWatcher.stopWatching();
+  }
+  if (buildManager) {
+    await buildManager.dispose();
+  }
+  exit(0);
 }
 
 // Main execution
 async function main() {
   try {
-    const selectedFunctions = await cli.run();
+    const { values: args } = parseArgs({
+      options: {
+        config: { type: 'string' },
+        'build-dir': { type: 'string' }
+      }
+    });
+    const selectedFunctions = await cli.run({ config: args.config, buildDir: args['build-dir'] });
     const logger = cli.getLogger();
-    
+    const configManager = cli.getConfigManager();
+
+    const templatePath = configManager.get('templatePath');
+
+    buildManager = new BuildManager(logger, configManager, cli.getBuildMethods());
+    logger.logDebug(`Writing build output to ${path.relative(process.cwd(), buildManager.getBuildDir())}`);
+
+    // Functions with a successful build are pointed at their artifacts in the built template
+    const builtFunctionNames = new Set();
+    buildManager.on('buildCompleted', ({ functionName, success }) => {
+      if (success) builtFunctionNames.add(functionName);
+    });
+    buildManager.on('allBuildsComplete', () => {
+      writeBuiltTemplate(templatePath, selectedFunctions.filter(func => builtFunctionNames.has(func.Name)));
+    });
+
     // Initialize command handler
-    commandHandler = new CommandHandler(logger);
-    
+    commandHandler = new CommandHandler(logger, { buildMethods: cli.getBuildMethods() });
+
     // Set up command handler events
     commandHandler.on('restart', () => {
       logger.logInfo('Manual restart triggered - rebuilding all functions');
-      buildTheThings(selectedFunctions, logger);
+      scheduleBuild(selectedFunctions, [], { force: true });
+    });
+
+    commandHandler.on('clearCache', () => {
+      buildManager.clearCache();
     });
 
     commandHandler.on('quit', () => {
-      logger.logInfo('Shutting down hot-reload watcher...');
-      commandHandler.stopListening();
-      nodemon.emit('quit');
-      exit(0);
+      shutdown(logger);
     });
 
     // Start command handler
     commandHandler.startListening();
-    
-    // Start nodemon with improved configuration
-    nodemon({ 
-      exec: 'echo', 
-      ext: 'js ts',
-      ignore: ['node_modules/**', '.git/**', '.aws-sam/**']
+
+    // Start the file watcher on sources and assets with the configured debounce and ignore settings, writing artifacts must not trigger builds.
+    // Both are resolved against the template directory, so the tool watches the same files wherever it runs.
+    const buildDirPattern = `${buildManager.getBuildDir().split(path.sep).join('/')}/**`;
+    fileWatcher = new FileWatcher({
+      watch: buildManager.getWatchDirs(selectedFunctions),
+      extensions: buildManager.getWatchExtensions(selectedFunctions),
+      debounceDelay: configManager.get('debounceDelay', 300),
+      ignorePatterns: [...configManager.get('ignorePatterns', []), buildDirPattern]
     });
 
-    nodemon.on('start', () => {
+    // nodemon reports a start after every restart, only the first one triggers a full build
+    let initialBuildScheduled = false;
+    fileWatcher.on('watchingStarted', () => {
+      if (initialBuildScheduled) return;
+      initialBuildScheduled = true;
       logger.logInfo('Hot-reload watcher started');
-      buildTheThings(selectedFunctions, logger);
+      scheduleBuild(selectedFunctions);
     });
 
-    nodemon.on('restart', (files) => {
-      const changedFiles = files?.length ? files.join(', ') : 'unknown';
-      logger.logInfo(`Files changed: ${changedFiles}`);
-      buildTheThings(selectedFunctions, logger);
+    fileWatcher.on('filesChanged', ({ files }) => {
+      logger.logInfo(`Files changed: ${files.join(', ')}`);
+
+      // A template change can alter any function's configuration, rebuild all and rewrite the built template
+      if (files.some(file => path.resolve(file) === path.resolve(templatePath))) {
+        if (reloadTemplate(templatePath, selectedFunctions) && selectedFunctions.length > 0) {
+          writeBuiltTemplate(templatePath, selectedFunctions.filter(func => builtFunctionNames.has(func.Name)));
+          scheduleBuild(selectedFunctions);
+        }
+        return;
+      }
+
+      scheduleBuild(selectedFunctions, files);
     });
 
+    fileWatcher.on('watcherRestarting', ({ attempt, maxAttempts, delay }) => {
+      logger.logWarn(`File watcher crashed, restarting in ${delay}ms (attempt ${attempt}/${maxAttempts})`);
+    });
+
+    fileWatcher.on('watcherError', ({ error, recoverable }) => {
+      if (recoverable) {
+        logger.logWarn(`File watcher error: ${error.message}`);
+      } else {
+        logger.logError(null, `File watcher error: ${error.message}`);
+      }
+    });
+
+    fileWatcher.startWatching();
+
     // Handle graceful shutdown
     process.on('SIGINT', () => {
-      logger.logInfo('Shutting down hot-reload watcher...');
-      if (commandHandler) {
-        commandHandler.stopListening();
-      }
-      nodemon.emit('quit');
-      exit(0);
+      shutdown(logger);
     });
 
   } catch (error) {
@@ -0,0 +1,251 @@
+/**
+ * Asset Copier Module
+ * Finds static files matching glob patterns and copies them into artifact directories
+ *
+ * @module AssetCopier
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Directories never searched for assets
+ */
+const SKIPPED_DIRECTORIES = ['node_modules', '.git', '.aws-sam'];
+
+/**
+ * AssetCopier class for copying the runtime files a bundler leaves out
+ *
+ * Patterns are relative to the source directory and use `*`, `?`, `**` and `{a,b}` wildcards.
+ * A leading `!` excludes files matched by earlier patterns. Matching files keep their path
+ * relative to the source directory in the artifact directory.
+ *
+ * @class
+ * @example
+ * const assetCopier = new AssetCopier();
+ * const assets = assetCopier.findAssets('./src', ['schemas/*.json', '**\/*.graphql']);
+ *
+ * assetCopier.copyAssets('./src', '.aws-sam/build/HelloWorldFunction', assets);
+ */
+export class AssetCopier {
+  /**
+   * Compile asset patterns into rules
+   *
+   * @param {Array<string>} patterns - Glob patterns relative to the source directory
+   * @returns {Array<{regex: RegExp, negate: boolean, base: string}>} Rules in pattern order
+   * @throws {Error} If a pattern is empty, absolute or leaves the source directory
+   * @example
+   * const rules = assetCopier.compilePatterns(['templates/*.html', '!templates/draft-*.html']);
+   */
+  compilePatterns(patterns) {
+    return patterns.map(pattern => {
+      if (typeof pattern !== 'string' || pattern.trim() === '' || pattern.trim() === '!') {
+        throw new Error(`Invalid asset pattern '${pattern}', expected a glob such as 'schemas/*.json'`);
+      }
+
+      const negate = pattern.startsWith('!');
+      const glob = path.posix.normalize((negate ? pattern.slice(1) : pattern).trim().replace(/\\/g, '/'));
+      if (path.posix.isAbsolute(glob) || glob === '..' || glob.startsWith('../')) {
+        throw new Error(`Asset pattern '${pattern}' must stay inside CodeUri`);
+      }
+
+      return { regex: this._toRegExp(glob), negate, base: this._getBase(glob) };
+    });
+  }
+
+  /**
+   * Convert a glob into a regular expression matching whole relative paths
+   * @param {string} glob - Normalized glob with forward slashes
+   * @returns {RegExp} Regular expression
+   */
+  _toRegExp(glob) {
+    let source = '';
+    let braceDepth = 0;
+
+    for (let index = 0; index < glob.length; index++) {
+      const char = glob[index];
+
+      if (glob.startsWith('**/', index)) {
+        source += '(?:.*/)?';
+        index += 2;
+      } else if (glob.startsWith('**', index)) {
+        source += '.*';
+        index += 1;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '{') {
+        source += '(?:';
+        braceDepth++;
+      } else if (char === '}' && braceDepth > 0) {
+        source += ')';
+        braceDepth--;
+      } else if (char === ',' && braceDepth > 0) {
+        source += '|';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    if (braceDepth > 0) {
+      throw new Error(`Asset pattern '${glob}' has an unclosed '{'`);
+    }
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Get the directory a glob can only match files below
+   * @param {string} glob - Normalized glob with forward slashes
+   * @returns {string} Leading path segments without wildcards, empty for the source directory
+   */
+  _getBase(glob) {
+    const segments = glob.split('/');
+    const base = [];
+
+    // The last segment names files, only the directories before it narrow the search
+    for (const segment of segments.slice(0, -1)) {
+      if (/[*?{]/.test(segment)) {
+        break;
+      }
+      base.push(segment);
+    }
+
+    return base.join('/');
+  }
+
+  /**
+   * Check whether a file is an asset
+   * The last matching rule wins, so `!pattern` rules exclude files matched before them.
+   *
+   * @param {string} relativePath - Path relative to the source directory, with forward slashes
+   * @param {Array<Object>} rules - Rules from compilePatterns
+   * @returns {boolean} True if the file is an asset
+   * @example
+   * assetCopier.matches('schemas/order.json', assetCopier.compilePatterns(['schemas/*.json'])); // true
+   */
+  matches(relativePath, rules) {
+    let matched = false;
+    for (const rule of rules) {
+      if (rule.regex.test(relativePath)) {
+        matched = !rule.negate;
+      }
+    }
+    return matched;
+  }
+
+  /**
+   * Find the files in a source directory that match asset patterns
+   * Only the directories the patterns can match in are searched. node_modules, .git, .aws-sam
+   * and the excluded directories are never searched.
+   *
+   * @param {string} sourceDir - Source directory (CodeUri)
+   * @param {Array<string>} patterns - Glob patterns relative to the source directory
+   * @param {Array<string>} [excludeDirs=[]] - Directories never searched, such as the build directory
+   * @returns {Array<string>} Matching paths relative to the source directory, with forward slashes, sorted
+   * @throws {Error} If a pattern is invalid
+   * @example
+   * assetCopier.findAssets('./src', ['templates/**\/*.html']); // ['templates/email/welcome.html']
+   */
+  findAssets(sourceDir, patterns, excludeDirs = []) {
+    const rules = this.compilePatterns(patterns);
+    const excluded = new Set(excludeDirs.map(dir => path.resolve(dir)));
+    const assets = new Set();
+    const searched = new Set();
+
+    const search = (relativeDir) => {
+      const dir = path.resolve(sourceDir, relativeDir);
+      if (searched.has(dir)) {
+        return;
+      }
+      searched.add(dir);
+
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        // Patterns may point at directories that do not exist (yet)
+        return;
+      }
+
+      for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+          if (!SKIPPED_DIRECTORIES.includes(entry.name) && !excluded.has(path.join(dir, entry.name))) {
+            search(relativePath);
+          }
+        } else if (entry.isFile() && this.matches(relativePath, rules)) {
+          assets.add(relativePath);
+        }
+      }
+    };
+
+    rules.filter(rule => !rule.negate).forEach(rule => search(rule.base));
+
+    return Array.from(assets).sort();
+  }
+
+  /**
+   * Check whether a source file differs from its copy in the artifact directory
+   * Copies get the modification time of their source rounded to the millisecond, so a larger
+   * difference means the source was replaced, also by an older file.
+   * @param {string} sourcePath - Source file
+   * @param {string} targetPath - Copy in the artifact directory
+   * @returns {boolean} True if the file has to be copied
+   */
+  _needsCopy(sourcePath, targetPath) {
+    try {
+      const source = fs.statSync(sourcePath);
+      const target = fs.statSync(targetPath);
+      return source.size !== target.size || Math.abs(source.mtimeMs - target.mtimeMs) >= 1;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Copy assets into an artifact directory
+   * Unchanged files are skipped and assets that no longer exist in the source directory are
+   * removed from the artifact. Each file is written next to its target and renamed over it, so
+   * readers never see a partial file and hard links into other builds are replaced, not written through.
+   * Copies keep the modification time of their source.
+   *
+   * @param {string} sourceDir - Source directory (CodeUri)
+   * @param {string} targetDir - Artifact directory
+   * @param {Array<string>} relativePaths - Asset paths relative to the source directory
+   * @returns {{copied: number, removed: number}} Number of files copied and removed
+   * @example
+   * const { copied } = assetCopier.copyAssets('./src', artifactsDir, ['schemas/order.json']);
+   */
+  copyAssets(sourceDir, targetDir, relativePaths) {
+    let copied = 0;
+    let removed = 0;
+
+    for (const relativePath of relativePaths) {
+      const sourcePath = path.join(sourceDir, relativePath);
+      const targetPath = path.join(targetDir, relativePath);
+
+      if (!fs.existsSync(sourcePath)) {
+        if (fs.existsSync(targetPath)) {
+          fs.rmSync(targetPath, { force: true });
+          removed++;
+        }
+        continue;
+      }
+      if (!this._needsCopy(sourcePath, targetPath)) {
+        continue;
+      }
+
+      const tempPath = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.${process.pid}.tmp`);
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.copyFileSync(sourcePath, tempPath);
+      const { atime, mtime } = fs.statSync(sourcePath);
+      fs.utimesSync(tempPath, atime, mtime);
+      fs.renameSync(tempPath, targetPath);
+      copied++;
+    }
+
+    return { copied, removed };
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Asset Copier Tests
+ * Tests for asset pattern matching, discovery and copying
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import fs from 'fs';
+import path from 'path';
+import { AssetCopier } from './asset-copier.js';
+
+describe('AssetCopier', () => {
+  let assetCopier;
+  let testDir;
+  let sourceDir;
+  let targetDir;
+
+  beforeEach(() => {
+    assetCopier = new AssetCopier();
+    testDir = path.join(process.cwd(), '.test-temp-asset-copier-' + Date.now());
+    sourceDir = path.join(testDir, 'src');
+    targetDir = path.join(testDir, 'build');
+
+    for (const file of [
+      'app.ts',
+      'schemas/order.json',
+      'schemas/v2/user.json',
+      'graphql/schema.graphql',
+      'templates/welcome.html',
+      'templates/drafts/promo.html',
+      'node_modules/dep/schema.json',
+      'out/Fn/schemas/order.json'
+    ]) {
+      fs.mkdirSync(path.dirname(path.join(sourceDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(sourceDir, file), file);
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should match globs with wildcards, braces and exclusions', () => {
+    const rules = assetCopier.compilePatterns(['**/*.{json,graphql}', 'templates/**', '!templates/drafts/**']);
+
+    expect(assetCopier.matches('schemas/order.json', rules)).toBe(true);
+    expect(assetCopier.matches('order.json', rules)).toBe(true);
+    expect(assetCopier.matches('graphql/schema.graphql', rules)).toBe(true);
+    expect(assetCopier.matches('templates/welcome.html', rules)).toBe(true);
+    expect(assetCopier.matches('templates/drafts/promo.html', rules)).toBe(false);
+    expect(assetCopier.matches('app.ts', rules)).toBe(false);
+    expect(assetCopier.matches('schemas/order.jsonc', rules)).toBe(false);
+  });
+
+  it('should find assets without searching node_modules or excluded directories', () => {
+    const assets = assetCopier.findAssets(sourceDir, ['**/*.json', 'templates/*.html'], [path.join(sourceDir, 'out')]);
+
+    expect(assets).toEqual(['schemas/order.json', 'schemas/v2/user.json', 'templates/welcome.html']);
+    expect(assetCopier.findAssets(sourceDir, ['missing/*.json'])).toEqual([]);
+  });
+
+  it('should reject patterns that leave the source directory', () => {
+    expect(() => assetCopier.compilePatterns(['../shared/*.json'])).toThrow(/must stay inside CodeUri/);
+    expect(() => assetCopier.compilePatterns(['/etc/*.conf'])).toThrow(/must stay inside CodeUri/);
+    expect(() => assetCopier.compilePatterns([''])).toThrow(/Invalid asset pattern/);
+    expect(() => assetCopier.compilePatterns(['*.{json'])).toThrow(/unclosed/);
+    expect(assetCopier.compilePatterns(['./schemas/../schemas/*.json'])[0].base).toBe('schemas');
+  });
+
+  it('should copy changed assets, remove deleted ones and never write through hard links', () => {
+    expect(assetCopier.copyAssets(sourceDir, targetDir, ['schemas/order.json', 'templates/welcome.html']))
+      .toEqual({ copied: 2, removed: 0 });
+    expect(assetCopier.copyAssets(sourceDir, targetDir, ['schemas/order.json'])).toEqual({ copied: 0, removed: 0 });
+
+    const linkedDir = path.join(testDir, 'linked');
+    fs.mkdirSync(path.join(linkedDir, 'schemas'), { recursive: true });
+    fs.linkSync(path.join(targetDir, 'schemas', 'order.json'), path.join(linkedDir, 'schemas', 'order.json'));
+    fs.writeFileSync(path.join(sourceDir, 'schemas', 'order.json'), '{"changed":true}');
+
+    expect(assetCopier.copyAssets(sourceDir, linkedDir, ['schemas/order.json'])).toEqual({ copied: 1, removed: 0 });
+    expect(fs.readFileSync(path.join(linkedDir, 'schemas', 'order.json'), 'utf8')).toBe('{"changed":true}');
+    expect(fs.readFileSync(path.join(targetDir, 'schemas', 'order.json'), 'utf8')).toBe('schemas/order.json');
+
+    fs.rmSync(path.join(sourceDir, 'templates', 'welcome.html'));
+    expect(assetCopier.copyAssets(sourceDir, targetDir, ['templates/welcome.html'])).toEqual({ copied: 0, removed: 1 });
+    expect(fs.existsSync(path.join(targetDir, 'templates', 'welcome.html'))).toBe(false);
+  });
+
+  it('should copy an asset replaced by an older file of the same size', () => {
+    const sourcePath = path.join(sourceDir, 'schemas', 'order.json');
+    assetCopier.copyAssets(sourceDir, targetDir, ['schemas/order.json']);
+    expect(fs.statSync(path.join(targetDir, 'schemas', 'order.json')).mtime).toEqual(fs.statSync(sourcePath).mtime);
+
+    // Restoring a backup or checking out an older revision can go back in time
+    fs.writeFileSync(sourcePath, 'schemas/ORDER.json');
+    const earlier = new Date(Date.now() - 60000);
+    fs.utimesSync(sourcePath, earlier, earlier);
+
+    expect(assetCopier.copyAssets(sourceDir, targetDir, ['schemas/order.json'])).toEqual({ copied: 1, removed: 0 });
+    expect(fs.readFileSync(path.join(targetDir, 'schemas', 'order.json'), 'utf8')).toBe('schemas/ORDER.json');
+    expect(assetCopier.copyAssets(sourceDir, targetDir, ['schemas/order.json'])).toEqual({ copied: 0, removed: 0 });
+  });
+
+  it('should match a file with a single star only inside one directory', () => {
+    fc.assert(fc.property(
+      fc.array(fc.stringMatching(/^[a-z0-9_-]{1,8}$/), { minLength: 1, maxLength: 4 }),
+      fc.constantFrom('json', 'graphql', 'html'),
+      (directories, extension) => {
+        const rules = assetCopier.compilePatterns([`${directories[0]}/*.${extension}`]);
+        const filePath = `${directories.join('/')}/file.${extension}`;
+
+        return assetCopier.matches(filePath, rules) === (directories.length === 1);
+      }
+    ), { numRuns: 50 });
+  });
+});
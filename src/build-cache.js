@@ -0,0 +1,266 @@
+/**
+ * Build Cache Module
+ * Persists content hashes of build inputs so unchanged functions are not rebuilt across restarts
+ *
+ * @module BuildCache
+ * @extends EventEmitter
+ * @fires BuildCache#cacheReset
+ * @fires BuildCache#cacheCleared
+ */
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Version of the cache file layout, bump when the entry format changes
+ */
+const CACHE_FORMAT = 1;
+
+/**
+ * BuildCache class for remembering which inputs produced a function's build output
+ *
+ * @class
+ * @extends EventEmitter
+ * @example
+ * const cache = new BuildCache('.aws-sam/.hot-reload-cache.json', {
+ *   toolVersion: '1.3.0',
+ *   esbuildVersion: '0.25.0'
+ * });
+ *
+ * const { hit, reason } = cache.lookup('HelloWorldFunction', buildOptions);
+ * if (!hit) {
+ *   console.log(`Rebuilding: ${reason}`);
+ * }
+ */
+export class BuildCache extends EventEmitter {
+  /**
+   * Create a BuildCache instance
+   *
+   * @param {string} cachePath - Path of the JSON file the cache is persisted to
+   * @param {Object} [versions={}] - Versions that invalidate the whole cache when they change
+   * @param {string} [versions.toolVersion] - Version of the hot-reload tool
+   * @param {string} [versions.esbuildVersion] - Version of esbuild
+   * @example
+   * const cache = new BuildCache(path.join('.aws-sam', '.hot-reload-cache.json'), {
+   *   toolVersion: '1.3.0',
+   *   esbuildVersion: esbuild.version
+   * });
+   */
+  constructor(cachePath, versions = {}) {
+    super();
+    this.cachePath = cachePath;
+    this.versions = {
+      format: CACHE_FORMAT,
+      tool: versions.toolVersion || null,
+      esbuild: versions.esbuildVersion || null
+    };
+    this.entries = null;
+    this.fileHashes = new Map();
+  }
+
+  /**
+   * Check whether a function's last build output is still valid
+   * The entry matches when the content of every recorded input, the build options and the
+   * tool versions hash to the same value, and every recorded output file is still intact.
+   *
+   * @param {string} functionName - Name of the function
+   * @param {Object} options - Resolved build options
+   * @returns {{hit: boolean, reason: string, inputs: Array<string>, outputs: Array<string>}} Lookup result with the
+   * recorded inputs, and on a hit the paths of the cached output files
+   * @fires BuildCache#cacheReset
+   * @example
+   * const { hit, inputs } = cache.lookup('HelloWorldFunction', buildOptions);
+   */
+  lookup(functionName, options) {
+    const entry = this._getEntries()[functionName];
+
+    if (!entry) {
+      return { hit: false, reason: 'no cached build', inputs: [] };
+    }
+
+    if (this._hashInputs(entry.inputs, options) !== entry.hash) {
+      return { hit: false, reason: 'inputs or build options changed', inputs: entry.inputs };
+    }
+
+    const modifiedOutput = this._findModifiedOutput(entry);
+    if (modifiedOutput) {
+      return { hit: false, reason: `build output ${modifiedOutput} is missing or was modified`, inputs: entry.inputs };
+    }
+
+    return { hit: true, reason: 'inputs unchanged', inputs: entry.inputs, outputs: Object.keys(entry.outputs) };
+  }
+
+  /**
+   * Find the first output file of a cache entry that no longer has its recorded content
+   * @param {Object} entry - Cache entry of a function
+   * @returns {string|null} Path of the missing or modified output, or null if every output is intact
+   */
+  _findModifiedOutput(entry) {
+    return Object.keys(entry.outputs).find(outputPath => this._hashFile(outputPath) !== entry.outputs[outputPath]) || null;
+  }
+
+  /**
+   * Record the inputs and outputs of a successful build
+   *
+   * @param {string} functionName - Name of the function
+   * @param {Object} options - Resolved build options
+   * @param {Array<string>} inputs - Absolute paths of the files that went into the build
+   * @param {Array<string>|Object<string, string>} outputs - Absolute paths of the files the build produced,
+   * or a map of the paths outputs are served from to the files that currently hold their content
+   * @fires BuildCache#cacheReset
+   * @example
+   * cache.store('HelloWorldFunction', buildOptions, ['/app/src/app.ts'], ['/app/.aws-sam/build/HelloWorldFunction/app.js']);
+   */
+  store(functionName, options, inputs, outputs) {
+    const sortedInputs = [...inputs].sort();
+
+    this._getEntries()[functionName] = {
+      hash: this._hashInputs(sortedInputs, options),
+      inputs: sortedInputs,
+      outputs: this._hashOutputs(outputs)
+    };
+
+    this._save();
+  }
+
+  /**
+   * Hash the output files of a build by the path they are served from
+   * @param {Array<string>|Object<string, string>} outputs - Output paths, or a map of served paths to the files holding their content
+   * @returns {Object<string, string|null>} Hex digest of each output keyed by its served path
+   */
+  _hashOutputs(outputs) {
+    const outputFiles = Array.isArray(outputs)
+      ? outputs.map(outputPath => [outputPath, outputPath])
+      : Object.entries(outputs);
+
+    return Object.fromEntries(outputFiles.map(([outputPath, filePath]) => [outputPath, this._hashFile(filePath)]));
+  }
+
+  /**
+   * Forget the cached build of a single function
+   *
+   * @param {string} functionName - Name of the function
+   * @fires BuildCache#cacheReset
+   * @example
+   * cache.invalidate('HelloWorldFunction');
+   */
+  invalidate(functionName) {
+    const entries = this._getEntries();
+
+    if (Object.prototype.hasOwnProperty.call(entries, functionName)) {
+      delete entries[functionName];
+      this._save();
+    }
+  }
+
+  /**
+   * Remove every cached build and the cache file
+   *
+   * @fires BuildCache#cacheCleared
+   * @example
+   * cache.clear();
+   */
+  clear() {
+    const count = Object.keys(this._getEntries()).length;
+    this.entries = {};
+
+    try {
+      fs.rmSync(this.cachePath, { force: true });
+    } catch (error) {
+      // Nothing to remove, the in-memory cache is already empty
+    }
+
+    this.emit('cacheCleared', { count });
+  }
+
+  /**
+   * Load cache entries from disk on first use
+   * Discards the file when it was written by another tool or esbuild version.
+   * @returns {Object} Cache entries keyed by function name
+   * @fires BuildCache#cacheReset
+   */
+  _getEntries() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = {};
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.emit('cacheReset', { reason: `unreadable cache file (${error.message})` });
+      }
+      return this.entries;
+    }
+
+    const changed = Object.keys(this.versions).filter(key => !data.versions || data.versions[key] !== this.versions[key]);
+    if (changed.length > 0) {
+      this.emit('cacheReset', { reason: `${changed.join(', ')} version changed` });
+      return this.entries;
+    }
+
+    this.entries = data.entries || {};
+    return this.entries;
+  }
+
+  /**
+   * Write cache entries to disk
+   * A failed write is reported with cacheReset, the entries stay valid in memory.
+   * @fires BuildCache#cacheReset
+   */
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+      fs.writeFileSync(this.cachePath, JSON.stringify({ versions: this.versions, entries: this.entries }, null, 2));
+    } catch (error) {
+      // A cache that cannot be written only costs a rebuild after restart
+      this.emit('cacheReset', { reason: `could not write cache file (${error.message})` });
+    }
+  }
+
+  /**
+   * Hash the content of the input files together with the build options and versions
+   * @param {Array<string>} inputs - Absolute paths of input files
+   * @param {Object} options - Resolved build options
+   * @returns {string} Hex digest
+   */
+  _hashInputs(inputs, options) {
+    const hash = crypto.createHash('sha256');
+    hash.update(JSON.stringify(this.versions));
+    hash.update(JSON.stringify(options));
+
+    for (const inputPath of inputs) {
+      hash.update(inputPath);
+      hash.update(this._hashFile(inputPath) || 'missing');
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Hash the content of a single file
+   * Files are only read again when their size, modification time or inode changed since they were last hashed.
+   * @param {string} filePath - Path of the file
+   * @returns {string|null} Hex digest, or null if the file cannot be read
+   */
+  _hashFile(filePath) {
+    try {
+      const stats = fs.statSync(filePath);
+      const known = this.fileHashes.get(filePath);
+      if (known && known.size === stats.size && known.mtimeMs === stats.mtimeMs && known.ino === stats.ino) {
+        return known.hash;
+      }
+
+      const hash = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+      this.fileHashes.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, ino: stats.ino, hash });
+      return hash;
+    } catch (error) {
+      this.fileHashes.delete(filePath);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Tests for Build Cache
+ * Cached builds must only be reused when input content, build options and tool versions match
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import fs from 'fs';
+import path from 'path';
+import { BuildCache } from './build-cache.js';
+
+describe('BuildCache', () => {
+  let testDir;
+  let cachePath;
+  let inputPath;
+  let outputPath;
+  const versions = { toolVersion: '1.3.0', esbuildVersion: '0.25.0' };
+  const options = { bundle: true, minify: true };
+
+  beforeEach(() => {
+    testDir = path.join(process.cwd(), '.test-temp-cache-' + Date.now());
+    fs.mkdirSync(testDir, { recursive: true });
+    cachePath = path.join(testDir, '.hot-reload-cache.json');
+    inputPath = path.join(testDir, 'app.ts');
+    outputPath = path.join(testDir, 'app.js');
+    fs.writeFileSync(inputPath, 'export const handler = async () => 1;\n');
+    fs.writeFileSync(outputPath, 'exports.handler = async () => 1;\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should hit for unchanged inputs across instances', () => {
+    new BuildCache(cachePath, versions).store('Fn', options, [inputPath], [outputPath]);
+
+    // Rewriting identical content only changes the mtime
+    fs.writeFileSync(inputPath, 'export const handler = async () => 1;\n');
+
+    const result = new BuildCache(cachePath, versions).lookup('Fn', options);
+    expect(result.hit).toBe(true);
+    expect(result.inputs).toEqual([inputPath]);
+    expect(result.outputs).toEqual([outputPath]);
+  });
+
+  it('should only read files again when their size or modification time changed', () => {
+    const cache = new BuildCache(cachePath, versions);
+    const readFileSync = vi.spyOn(fs, 'readFileSync');
+    const reads = () => readFileSync.mock.calls.filter(([filePath]) => filePath === inputPath).length;
+
+    try {
+      cache.store('Fn', options, [inputPath], [outputPath]);
+      expect(cache.lookup('Fn', options).hit).toBe(true);
+      expect(reads()).toBe(1);
+
+      fs.writeFileSync(inputPath, 'export const handler = async () => 22;\n');
+      expect(cache.lookup('Fn', options).hit).toBe(false);
+      expect(reads()).toBe(2);
+    } finally {
+      readFileSync.mockRestore();
+    }
+  });
+
+  it('should miss when input content or build options change', () => {
+    const cache = new BuildCache(cachePath, versions);
+    cache.store('Fn', options, [inputPath], [outputPath]);
+
+    expect(cache.lookup('Fn', { ...options, minify: false }).hit).toBe(false);
+
+    fs.writeFileSync(inputPath, 'export const handler = async () => 2;\n');
+    expect(cache.lookup('Fn', options)).toMatchObject({ hit: false, reason: 'inputs or build options changed' });
+  });
+
+  it('should miss when the build output is missing or modified', () => {
+    const cache = new BuildCache(cachePath, versions);
+    cache.store('Fn', options, [inputPath], [outputPath]);
+
+    fs.writeFileSync(outputPath, 'tampered');
+    expect(cache.lookup('Fn', options).hit).toBe(false);
+
+    fs.rmSync(outputPath);
+    expect(cache.lookup('Fn', options).reason).toMatch(/is missing or was modified/);
+  });
+
+  it('should discard the cache when the tool or esbuild version changes', () => {
+    new BuildCache(cachePath, versions).store('Fn', options, [inputPath], [outputPath]);
+
+    const upgraded = new BuildCache(cachePath, { ...versions, toolVersion: '1.4.0' });
+    const resets = [];
+    upgraded.on('cacheReset', ({ reason }) => resets.push(reason));
+
+    expect(upgraded.lookup('Fn', options).hit).toBe(false);
+    expect(resets).toEqual(['tool version changed']);
+  });
+
+  it('should clear every entry and remove the cache file', () => {
+    const cache = new BuildCache(cachePath, versions);
+    cache.store('Fn', options, [inputPath], [outputPath]);
+    cache.store('OtherFn', options, [inputPath], [outputPath]);
+
+    let cleared = null;
+    cache.on('cacheCleared', (data) => { cleared = data; });
+    cache.clear();
+
+    expect(cleared).toEqual({ count: 2 });
+    expect(fs.existsSync(cachePath)).toBe(false);
+    expect(new BuildCache(cachePath, versions).lookup('Fn', options).hit).toBe(false);
+  });
+
+  it('should only hit when the stored input content matches', () => {
+    fc.assert(fc.property(
+      fc.string(),
+      fc.string(),
+      (storedContent, currentContent) => {
+        const cache = new BuildCache(cachePath, versions);
+        fs.writeFileSync(inputPath, storedContent);
+        cache.store('Fn', options, [inputPath], [outputPath]);
+
+        fs.writeFileSync(inputPath, currentContent);
+        return cache.lookup('Fn', options).hit === (storedContent === currentContent);
+      }
+    ), { numRuns: 50 });
+  });
+});
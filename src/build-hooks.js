@@ -0,0 +1,301 @@
+/**
+ * Build Hooks Module
+ * Runs the preBuild and postBuild hooks of a function, shell commands or project modules
+ *
+ * @module BuildHooks
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Build phases hooks can run in
+ */
+export const HOOK_PHASES = ['preBuild', 'postBuild'];
+
+/**
+ * Characters of hook output kept for the error of a failed hook
+ */
+const OUTPUT_TAIL_LENGTH = 4000;
+
+/**
+ * Error thrown when a build hook fails
+ * Carries the phase, the hook and how it failed so callers can report it without parsing the message.
+ *
+ * @class
+ * @extends Error
+ * @example
+ * try {
+ *   await hooks.run(hook, context);
+ * } catch (error) {
+ *   if (error instanceof BuildHookError) {
+ *     console.log(error.phase, error.hook, error.exitCode);
+ *   }
+ * }
+ */
+export class BuildHookError extends Error {
+  /**
+   * Create a BuildHookError
+   *
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.phase - 'preBuild' or 'postBuild'
+   * @param {string} details.hook - Command or module path of the hook
+   * @param {number|null} [details.exitCode=null] - Exit code of a command hook
+   * @param {string|null} [details.signal=null] - Signal that stopped a command hook
+   * @param {string} [details.output=''] - Last part of the hook's output
+   * @example
+   * throw new BuildHookError('preBuild hook failed', { phase: 'preBuild', hook: 'npm run codegen', exitCode: 1 });
+   */
+  constructor(message, { phase, hook, exitCode = null, signal = null, output = '' }) {
+    super(message);
+    this.name = 'BuildHookError';
+    this.phase = phase;
+    this.hook = hook;
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.output = output;
+  }
+
+  /**
+   * Get the failure details as a plain object
+   *
+   * @returns {{phase: string, hook: string, exitCode: number|null, signal: string|null, output: string, message: string}} Failure details
+   * @example
+   * buildResult.hookFailure = error.toJSON();
+   */
+  toJSON() {
+    const { phase, hook, exitCode, signal, output, message } = this;
+    return { phase, hook, exitCode, signal, output, message };
+  }
+}
+
+/**
+ * BuildHooks class for resolving and running build hooks
+ *
+ * A hook is a shell command string, `{ command }` or `{ module }`. A module exports a function,
+ * as its default export or as a named export for the phase, that receives the function
+ * configuration, the build result and a context with `phase`, `artifactsDir`, `signal` and `log`.
+ *
+ * @class
+ * @example
+ * const hooks = new BuildHooks();
+ *
+ * for (const hook of hooks.getHooks(config.hooks, 'ApiFunction', 'preBuild')) {
+ *   await hooks.run(hook, { phase: 'preBuild', functionConfig, buildResult, artifactsDir, log });
+ * }
+ */
+export class BuildHooks {
+  /**
+   * Create a BuildHooks instance
+   *
+   * @param {string} [baseDir=process.cwd()] - Directory commands run in and module paths are resolved against
+   * @example
+   * const hooks = new BuildHooks();
+   */
+  constructor(baseDir = process.cwd()) {
+    this.baseDir = baseDir;
+  }
+
+  /**
+   * Get the hooks of a function for a phase
+   * A function's own setting for a phase replaces the global one, an empty list disables it.
+   *
+   * @param {Object} [hooksConfig={}] - hooks from the configuration, keyed by 'global' or function name
+   * @param {string} functionName - Name of the function
+   * @param {string} phase - 'preBuild' or 'postBuild'
+   * @returns {Array<{command: string}|{module: string}>} Hooks in the order they run
+   * @throws {Error} If the setting is not a hook or a list of hooks
+   * @example
+   * hooks.getHooks({ global: { preBuild: 'npx prisma generate' } }, 'ApiFunction', 'preBuild');
+   * // [{ command: 'npx prisma generate' }]
+   */
+  getHooks(hooksConfig = {}, functionName, phase) {
+    // Ignores members inherited from Object.prototype, such as a function named valueOf
+    const lookup = (key) => Object.prototype.hasOwnProperty.call(hooksConfig, key) && hooksConfig[key] || {};
+    const key = lookup(functionName)[phase] !== undefined ? functionName : 'global';
+    const value = lookup(key)[phase];
+
+    if (value === undefined || value === null) {
+      return [];
+    }
+
+    return (Array.isArray(value) ? value : [value]).map(hook => this._normalizeHook(hook, `hooks.${key}.${phase}`));
+  }
+
+  /**
+   * Validate one hook and convert the command shorthand to an object
+   * @param {string|Object} hook - Hook from the configuration
+   * @param {string} setting - Setting name for error messages
+   * @returns {{command: string}|{module: string}} Normalized hook
+   * @throws {Error} If the hook is neither a command nor a module
+   */
+  _normalizeHook(hook, setting) {
+    if (typeof hook === 'string' && hook.trim() !== '') {
+      return { command: hook };
+    }
+    if (hook && typeof hook.command === 'string' && hook.command.trim() !== '' && hook.module === undefined) {
+      return { command: hook.command };
+    }
+    if (hook && typeof hook.module === 'string' && hook.module.trim() !== '' && hook.command === undefined) {
+      return { module: hook.module };
+    }
+
+    throw new Error(`${setting} must be a shell command, { "command": "..." } or { "module": "./path.js" }, or a list of them`);
+  }
+
+  /**
+   * Check a hooks setting without running anything
+   *
+   * @param {Object} hooksConfig - hooks from the configuration
+   * @throws {Error} If the setting is not an object of phases with hooks
+   * @example
+   * hooks.validate({ ApiFunction: { postBuild: { module: './scripts/smoke.js' } } });
+   */
+  validate(hooksConfig) {
+    if (!hooksConfig || typeof hooksConfig !== 'object' || Array.isArray(hooksConfig)) {
+      throw new Error('hooks must map \'global\' or function names to preBuild and postBuild hooks');
+    }
+
+    for (const [key, phases] of Object.entries(hooksConfig)) {
+      if (!phases || typeof phases !== 'object' || Array.isArray(phases)) {
+        throw new Error(`hooks.${key} must be an object with preBuild and postBuild hooks`);
+      }
+
+      const unknown = Object.keys(phases).find(phase => !HOOK_PHASES.includes(phase));
+      if (unknown) {
+        throw new Error(`Unknown hook '${unknown}' in hooks.${key}, expected one of: ${HOOK_PHASES.join(', ')}`);
+      }
+
+      HOOK_PHASES.forEach(phase => this.getHooks(hooksConfig, key, phase));
+    }
+  }
+
+  /**
+   * Run one hook
+   * Command output is passed to the log callback line by line.
+   *
+   * @param {{command: string}|{module: string}} hook - Hook from getHooks
+   * @param {Object} context - Hook context
+   * @param {string} context.phase - 'preBuild' or 'postBuild'
+   * @param {Object} context.functionConfig - Lambda function configuration
+   * @param {Object} context.buildResult - Build result of the running build
+   * @param {string} context.artifactsDir - Directory the build writes its output to
+   * @param {Function} context.log - Receives each line of output and a log level
+   * @param {AbortSignal} [context.signal] - Aborted when the build is cancelled
+   * @param {Function} [context.onSpawn] - Receives the child process of a command hook, to stop it on cancellation
+   * @returns {Promise<void>} Resolves once the hook succeeded
+   * @throws {BuildHookError} If the hook fails
+   * @example
+   * await hooks.run({ command: 'npm run codegen' }, { phase: 'preBuild', functionConfig, buildResult, artifactsDir, log });
+   */
+  async run(hook, context) {
+    if (hook.command !== undefined) {
+      return this._runCommand(hook.command, context);
+    }
+    return this._runModule(hook.module, context);
+  }
+
+  /**
+   * Run a shell command hook
+   * The command runs in the base directory with FUNCTION_NAME, CODE_URI, ARTIFACTS_DIR and
+   * BUILD_HOOK in its environment.
+   * @param {string} command - Shell command
+   * @param {Object} context - Hook context from run
+   * @returns {Promise<void>} Resolves once the command exits with code 0
+   */
+  _runCommand(command, { phase, functionConfig, artifactsDir, log, onSpawn }) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, {
+        cwd: this.baseDir,
+        env: {
+          ...process.env,
+          FUNCTION_NAME: functionConfig.Name,
+          CODE_URI: path.resolve(this.baseDir, functionConfig.Properties?.CodeUri || '.'),
+          ARTIFACTS_DIR: artifactsDir,
+          BUILD_HOOK: phase
+        },
+        shell: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: process.platform !== 'win32'
+      });
+      if (onSpawn) {
+        onSpawn(child);
+      }
+
+      let output = '';
+      const logLines = (text) => {
+        text.split(/\r?\n/).filter(line => line.trim() !== '').forEach(line => log(line, 'info'));
+      };
+      // A line can arrive in two chunks, each stream keeps its unfinished last line until the next chunk
+      const pending = { stdout: '', stderr: '' };
+      const collect = (stream) => (data) => {
+        const text = data.toString();
+        output = (output + text).slice(-OUTPUT_TAIL_LENGTH);
+        const lines = pending[stream] + text;
+        const end = lines.lastIndexOf('\n') + 1;
+        pending[stream] = lines.slice(end);
+        logLines(lines.slice(0, end));
+      };
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      child.on('close', (code, signal) => {
+        logLines(pending.stdout);
+        logLines(pending.stderr);
+
+        if (code === 0) {
+          resolve();
+          return;
+        }
+
+        const how = signal ? `was stopped by ${signal}` : `failed with exit code ${code}`;
+        reject(new BuildHookError(`${phase} hook '${command}' ${how}`, {
+          phase,
+          hook: command,
+          exitCode: code,
+          signal,
+          output: output.trim()
+        }));
+      });
+
+      child.on('error', (error) => {
+        reject(new BuildHookError(`${phase} hook '${command}' could not be started: ${error.message}`, { phase, hook: command }));
+      });
+    });
+  }
+
+  /**
+   * Run a module hook
+   * The module is imported again after it was edited, the modules it imports are only loaded once.
+   * @param {string} modulePath - Module path relative to the base directory
+   * @param {Object} context - Hook context from run
+   * @returns {Promise<void>} Resolves once the hook function returned
+   */
+  async _runModule(modulePath, { phase, functionConfig, buildResult, artifactsDir, log, signal }) {
+    let loaded;
+    try {
+      // Node.js caches modules by URL, the modification time makes an edited hook a new URL
+      const resolvedPath = path.resolve(this.baseDir, modulePath);
+      const { mtimeMs } = fs.statSync(resolvedPath);
+      loaded = await import(`${pathToFileURL(resolvedPath).href}?t=${mtimeMs}`);
+    } catch (error) {
+      throw new BuildHookError(`${phase} hook ${modulePath} could not be loaded: ${error.message}`, { phase, hook: modulePath });
+    }
+
+    const hook = typeof loaded[phase] === 'function' ? loaded[phase] : loaded.default;
+    if (typeof hook !== 'function') {
+      throw new BuildHookError(
+        `${phase} hook ${modulePath} must export a function as default export or as '${phase}'`,
+        { phase, hook: modulePath }
+      );
+    }
+
+    try {
+      await hook(functionConfig, buildResult, { phase, artifactsDir, signal, log });
+    } catch (error) {
+      throw new BuildHookError(`${phase} hook ${modulePath} failed: ${error.message}`, { phase, hook: modulePath });
+    }
+  }
+}
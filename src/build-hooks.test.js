@@ -0,0 +1,144 @@
+/**
+ * Build Hooks Tests
+ * Tests for hook resolution, command and module hooks and hook errors
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import fs from 'fs';
+import path from 'path';
+import { BuildHooks, BuildHookError } from './build-hooks.js';
+
+describe('BuildHooks', () => {
+  let hooks;
+  let testDir;
+  let lines;
+
+  const context = (phase, overrides = {}) => ({
+    phase,
+    functionConfig: { Name: 'HookFunction', Properties: { CodeUri: 'src' } },
+    buildResult: { functionName: 'HookFunction', warnings: [] },
+    artifactsDir: path.join(testDir, 'artifacts'),
+    log: (line, level) => lines.push({ line, level }),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    testDir = path.join(process.cwd(), '.test-temp-build-hooks-' + Date.now());
+    fs.mkdirSync(testDir, { recursive: true });
+    hooks = new BuildHooks(testDir);
+    lines = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should let a function replace the global hooks of a phase', () => {
+    const config = {
+      global: { preBuild: 'npm run codegen', postBuild: { module: './smoke.js' } },
+      ApiFunction: { preBuild: ['npx prisma generate', { command: 'npm run openapi' }] },
+      QuietFunction: { postBuild: [] }
+    };
+
+    expect(hooks.getHooks(config, 'ApiFunction', 'preBuild')).toEqual([
+      { command: 'npx prisma generate' },
+      { command: 'npm run openapi' }
+    ]);
+    expect(hooks.getHooks(config, 'ApiFunction', 'postBuild')).toEqual([{ module: './smoke.js' }]);
+    expect(hooks.getHooks(config, 'QuietFunction', 'postBuild')).toEqual([]);
+    expect(hooks.getHooks(config, 'valueOf', 'preBuild')).toEqual([{ command: 'npm run codegen' }]);
+    expect(hooks.getHooks({}, 'ApiFunction', 'preBuild')).toEqual([]);
+  });
+
+  it('should reject settings that are not hooks', () => {
+    expect(() => hooks.validate([])).toThrow(/hooks must map/);
+    expect(() => hooks.validate({ global: 'npm test' })).toThrow(/hooks.global must be an object/);
+    expect(() => hooks.validate({ global: { afterBuild: 'npm test' } })).toThrow(/Unknown hook 'afterBuild'/);
+    expect(() => hooks.validate({ Fn: { preBuild: [{ command: 'a', module: 'b' }] } })).toThrow(/hooks.Fn.preBuild must be/);
+    expect(() => hooks.validate({ Fn: { postBuild: '' } })).toThrow(/hooks.Fn.postBuild must be/);
+    expect(() => hooks.validate({ Fn: { preBuild: 'npm run codegen', postBuild: { module: './smoke.js' } } })).not.toThrow();
+  });
+
+  it('should run commands with the build environment and log their output', async () => {
+    await hooks.run(
+      { command: 'echo "$BUILD_HOOK $FUNCTION_NAME $ARTIFACTS_DIR"; echo "$CODE_URI" >&2' },
+      context('preBuild')
+    );
+
+    expect(lines).toEqual([
+      { line: `preBuild HookFunction ${path.join(testDir, 'artifacts')}`, level: 'info' },
+      { line: path.join(testDir, 'src'), level: 'info' }
+    ]);
+  });
+
+  it('should log a line that arrives in several chunks once', async () => {
+    await hooks.run(
+      { command: 'printf "generating "; sleep 0.2; printf "types\\nlast line"; printf "no newline" >&2' },
+      context('preBuild')
+    );
+
+    expect(lines).toEqual([
+      { line: 'generating types', level: 'info' },
+      { line: 'last line', level: 'info' },
+      { line: 'no newline', level: 'info' }
+    ]);
+  });
+
+  it('should fail with a structured error when a command exits with an error', async () => {
+    const error = await hooks.run({ command: 'echo generating; echo "schema not found" >&2; exit 3' }, context('preBuild'))
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(BuildHookError);
+    expect(error.message).toBe("preBuild hook 'echo generating; echo \"schema not found\" >&2; exit 3' failed with exit code 3");
+    expect(error.toJSON()).toMatchObject({ phase: 'preBuild', exitCode: 3, signal: null });
+    expect(error.output).toContain('schema not found');
+  });
+
+  it('should call module hooks with the function config and build result', async () => {
+    fs.writeFileSync(path.join(testDir, 'smoke.mjs'), [
+      'export async function postBuild(functionConfig, buildResult, { phase, artifactsDir, log }) {',
+      '  buildResult.warnings.push(`${phase} ${functionConfig.Name} ${artifactsDir}`);',
+      '  log("smoke check passed");',
+      '}',
+      'export default () => { throw new Error("the named export wins"); };'
+    ].join('\n'));
+    fs.writeFileSync(path.join(testDir, 'broken.mjs'), 'export default () => { throw new Error("handler missing"); };\n');
+
+    const hookContext = context('postBuild');
+    await hooks.run({ module: './smoke.mjs' }, hookContext);
+
+    expect(hookContext.buildResult.warnings).toEqual([`postBuild HookFunction ${path.join(testDir, 'artifacts')}`]);
+    expect(lines).toEqual([{ line: 'smoke check passed', level: undefined }]);
+    await expect(hooks.run({ module: './broken.mjs' }, context('postBuild')))
+      .rejects.toThrow('postBuild hook ./broken.mjs failed: handler missing');
+    await expect(hooks.run({ module: './missing.mjs' }, context('postBuild')))
+      .rejects.toThrow(/could not be loaded/);
+  });
+
+  it('should run the edited version of a module hook', async () => {
+    const modulePath = path.join(testDir, 'smoke.mjs');
+    fs.writeFileSync(modulePath, 'export default (config, result) => { result.warnings.push("first"); };\n');
+    const first = context('postBuild');
+    await hooks.run({ module: './smoke.mjs' }, first);
+
+    fs.writeFileSync(modulePath, 'export default (config, result) => { result.warnings.push("second"); };\n');
+    const later = new Date(Date.now() + 1000);
+    fs.utimesSync(modulePath, later, later);
+    const second = context('postBuild');
+    await hooks.run({ module: './smoke.mjs' }, second);
+
+    expect(first.buildResult.warnings).toEqual(['first']);
+    expect(second.buildResult.warnings).toEqual(['second']);
+  });
+
+  it('should keep a command setting as a single command hook', () => {
+    fc.assert(fc.property(
+      fc.string({ minLength: 1 }).filter(command => command.trim() !== ''),
+      fc.constantFrom('preBuild', 'postBuild'),
+      (command, phase) => {
+        const resolved = hooks.getHooks({ global: { [phase]: command } }, 'AnyFunction', phase);
+        return resolved.length === 1 && resolved[0].command === command;
+      }
+    ), { numRuns: 50 });
+  });
+});
@@ -6,17 +6,117 @@
  * @extends EventEmitter
  * @fires BuildManager#buildStarted
  * @fires BuildManager#buildCompleted
+ * @fires BuildManager#buildCancelled
+ * @fires BuildManager#typeCheckCompleted
+ * @fires BuildManager#assetsUpdated
  * @fires BuildManager#allBuildsComplete
  */
 import { EventEmitter } from 'events';
 import { spawn } from 'child_process';
+import * as esbuild from 'esbuild';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { BuildCache } from './build-cache.js';
+import { TypeChecker } from './type-checker.js';
+import { NpmBuilder } from './npm-builder.js';
+import { BuildMethodRegistry } from './build-method-registry.js';
+import { BundleSizeAnalyzer, LAMBDA_ZIPPED_LIMIT, LAMBDA_UNZIPPED_LIMIT } from './bundle-size.js';
+import { BuildDiagnostics } from './diagnostics.js';
+import { AssetCopier } from './asset-copier.js';
+import { BuildHooks, BuildHookError } from './build-hooks.js';
+import { LambdaRuntime, DEFAULT_ARCHITECTURE } from './lambda-runtime.js';
+
+/**
+ * SAM esbuild BuildProperties and the esbuild option each one is translated to
+ * Matches the properties accepted by the esbuild builder used by `sam build`
+ */
+const SAM_ESBUILD_PROPERTIES = {
+  EntryPoints: 'entryPoints',
+  Minify: 'minify',
+  Sourcemap: 'sourcemap',
+  SourcesContent: 'sourcesContent',
+  Target: 'target',
+  Format: 'format',
+  Platform: 'platform',
+  MainFields: 'mainFields',
+  KeepNames: 'keepNames',
+  External: 'external',
+  Loader: 'loader',
+  Define: 'define',
+  Banner: 'banner',
+  Footer: 'footer',
+  OutExtension: 'outExtension'
+};
+
+/**
+ * Banner of ES module bundles that lets bundled CommonJS dependencies require Node.js built-ins
+ */
+const ESM_REQUIRE_BANNER = "import { createRequire as __createRequire } from 'module'; const require = __createRequire(import.meta.url);";
+
+/**
+ * Module format Node.js loads files with these extensions as, whatever the nearest package.json says
+ */
+const EXTENSION_FORMATS = { '.mjs': 'esm', '.cjs': 'cjs' };
+
+/**
+ * Files that change how esbuild resolves imports without being part of the import graph
+ */
+const RESOLUTION_CONFIG_FILES = ['package.json', 'tsconfig.json'];
+
+/**
+ * Extensions tried in order for the module of a Handler when EntryPoints is not set
+ */
+const HANDLER_EXTENSIONS = ['.ts', '.js', '.mts', '.mjs', '.cts', '.cjs'];
+
+/**
+ * Extensions the file watcher always reports: handler modules, package.json, tsconfig.json and the template
+ */
+const WATCHED_EXTENSIONS = [...HANDLER_EXTENSIONS.map(extension => extension.slice(1)), 'json', 'yaml', 'yml'];
+
+/**
+ * Keys in buildSettings that configure this tool rather than esbuild
+ */
+const TOOL_SETTING_KEYS = ['buildTimeout', 'sizeBudget', 'assets'];
+
+/**
+ * sizeBudget keys, the measured size each one limits and whether exceeding it fails the build
+ */
+const SIZE_BUDGET_KEYS = {
+  warn: { measure: 'bytes', fail: false },
+  error: { measure: 'bytes', fail: true },
+  gzipWarn: { measure: 'gzipBytes', fail: false },
+  gzipError: { measure: 'gzipBytes', fail: true }
+};
+
+/**
+ * Resource type of layers, built before the functions that reference them
+ */
+const LAYER_TYPE = 'AWS::Serverless::LayerVersion';
+
+/**
+ * Default time a single build may take before it is killed, in milliseconds
+ */
+const DEFAULT_BUILD_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Time a killed build process gets to exit on SIGTERM before it gets SIGKILL, in milliseconds
+ */
+const KILL_GRACE_PERIOD = 5000;
+
+/**
+ * Version of this tool, cached builds from other versions are discarded
+ */
+const TOOL_VERSION = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
 
 /**
  * BuildManager class for coordinating Lambda function builds
  * 
+ * buildCompleted listeners get the build result. Its `diagnostics` array holds every esbuild,
+ * tsc and compiler diagnostic as an object with severity, file, line, column, text, notes and
+ * plugin. `errors` and `warnings` are display text: the same diagnostics formatted as lines,
+ * plus failures without a source location such as hook failures and timeouts.
+ * 
  * @class
  * @extends EventEmitter
  * @example
@@ -24,8 +124,11 @@ import os from 'os';
  * const configManager = new ConfigurationManager();
  * const buildManager = new BuildManager(logger, configManager);
  * 
- * buildManager.on('buildCompleted', ({ functionName, success, duration }) => {
+ * buildManager.on('buildCompleted', ({ functionName, success, duration, diagnostics }) => {
  *   console.log(`${functionName}: ${success ? 'SUCCESS' : 'FAILED'} (${duration}ms)`);
+ *   diagnostics.forEach(({ severity, file, line, column, text }) => {
+ *     console.log(`${file}:${line}:${column} ${severity}: ${text}`);
+ *   });
  * });
  * 
  * await buildManager.buildFunctions(selectedFunctions);
@@ -36,16 +139,53 @@ export class BuildManager extends EventEmitter {
    * 
    * @param {Logger} logger - Logger instance for build output
    * @param {ConfigurationManager} configManager - Configuration manager for build settings
+   * @param {BuildMethodRegistry} [buildMethods] - Registry of built-in and custom build methods
    * @example
    * const buildManager = new BuildManager(logger, configManager);
+   * 
+   * // Build functions that use custom build methods
+   * const customBuildManager = new BuildManager(logger, configManager, cli.getBuildMethods());
    */
-  constructor(logger, configManager) {
+  constructor(logger, configManager, buildMethods = new BuildMethodRegistry()) {
     super();
     this.logger = logger;
     this.configManager = configManager;
+    this.buildMethods = buildMethods;
     this.buildQueue = [];
     this.activeBuildCount = 0;
     this.buildResults = new Map();
+    this.esbuildContexts = new Map();
+    this.reportedWarnings = new Set();
+    this.functionInputs = new Map();
+    this.failedFunctions = new Set();
+    this.forceRebuild = false;
+    this.inFlightBuilds = new Map();
+    this.typeCheckBuilds = new Set();
+    this.layers = new Map();
+    this.pendingLayers = new Map();
+    this.sizeAnalyzer = new BundleSizeAnalyzer();
+    this.diagnostics = new BuildDiagnostics();
+    this.bundleSizes = new Map();
+    this.topModules = new Map();
+    this.sourceMapFunctions = new Set();
+    this.bundleOutputs = new Map();
+    this.bundleExports = new Map();
+    this.duplicateBuilds = new Map();
+    this.sharedBuilds = new Map();
+    this.singlePassCandidates = new Map();
+    this.singlePasses = new Set();
+    this.currentRun = null;
+    this.nextRun = null;
+    this.buildRunId = 0;
+    this.typeCheckMode = this.configManager.get('typeCheck', 'off');
+    this.typeChecker = this.typeCheckMode !== 'off'
+      ? new TypeChecker({ buildInfoDir: path.join(this.getBuildDir(), '.tsbuildinfo') })
+      : null;
+    this.buildCache = this._createBuildCache();
+    this.npmBuilder = new NpmBuilder();
+    this.assetCopier = new AssetCopier();
+    this.buildHooks = new BuildHooks(this._getTemplateDir());
+    this.lambdaRuntime = new LambdaRuntime();
     this.maxParallelBuilds = this.configManager.get('parallelBuilds', true) ? 
       Math.max(1, Math.floor(os.cpus().length / 2)) : 1;
   }
@@ -56,10 +196,13 @@ export class BuildManager extends EventEmitter {
    * 
    * @param {Array<Object>} functions - Array of Lambda function configurations
    * @param {Array<string>} [changedFiles=[]] - Array of changed file paths for incremental builds
+   * @param {Object} [options={}] - Build run options
+   * @param {boolean} [options.force=false] - Ignore the build cache and run every build
    * @returns {Promise<Map<string, Object>>} Map of function names to build results
    * @throws {Error} If no functions provided
    * @fires BuildManager#buildStarted
    * @fires BuildManager#buildCompleted
+   * @fires BuildManager#assetsUpdated
    * @fires BuildManager#allBuildsComplete
    * @example
    * const results = await buildManager.buildFunctions(functions);
@@ -72,16 +215,29 @@ export class BuildManager extends EventEmitter {
    *   functions,
    *   ['src/handler.ts', 'src/utils.ts']
    * );
+   * 
+   * // Full rebuild that bypasses the build cache
+   * await buildManager.buildFunctions(functions, [], { force: true });
    */
-  async buildFunctions(functions, changedFiles = []) {
+  async buildFunctions(functions, changedFiles = [], { force = false } = {}) {
     if (!Array.isArray(functions) || functions.length === 0) {
       throw new Error('No functions provided for building');
     }
 
-    // Determine which functions need rebuilding
-    const functionsToRebuild = changedFiles.length > 0 
+    // Release esbuild contexts held for functions that are no longer watched
+    await this._disposeDeselectedFunctions(functions);
+    this.layers = new Map(functions.filter(func => this._isLayer(func)).map(layer => [layer.Name, layer]));
+
+    // Determine which functions need rebuilding, layers go first so dependent functions can wait for them
+    const functionsToRebuild = (changedFiles.length > 0 
       ? this._determineFunctionsToRebuild(functions, changedFiles)
-      : functions;
+      : functions
+    ).slice().sort((a, b) => Number(this._isLayer(b)) - Number(this._isLayer(a)));
+
+    // Functions that are not rebuilt still pick up changed assets, without bundling
+    if (changedFiles.length > 0) {
+      this._updateAssets(functions.filter(func => !functionsToRebuild.includes(func)), changedFiles);
+    }
 
     if (functionsToRebuild.length === 0) {
       this.logger.logInfo('No functions need rebuilding based on file changes');
@@ -89,13 +245,24 @@ export class BuildManager extends EventEmitter {
     }
 
     this.logger.logInfo(`Starting build for ${functionsToRebuild.length} functions (max parallel: ${this.maxParallelBuilds})`);
+
+    // Functions with identical build inputs are bundled once, the others are queued behind that build
+    this.duplicateBuilds = this._groupIdenticalBuilds(functionsToRebuild);
+    const duplicates = new Set(Array.from(this.duplicateBuilds.values()).flat());
+
+    // In single-pass mode the remaining esbuild functions may be bundled by one esbuild run
+    this.singlePassCandidates = this.configManager.get('singlePassBuild', false)
+      ? new Map(functionsToRebuild.filter(func => !duplicates.has(func) && this._canShareBuild(func)).map(func => [func.Name, func]))
+      : new Map();
     
     // Reset build results and progress tracking
     this.buildResults.clear();
-    this.buildQueue = [...functionsToRebuild];
+    this.buildQueue = functionsToRebuild.filter(func => !duplicates.has(func));
     this.activeBuildCount = 0;
     this.totalFunctions = functionsToRebuild.length;
     this.completedFunctions = 0;
+    this.forceRebuild = force;
+    this.buildRunId++;
 
     // Display initial progress
     this._displayProgress();
@@ -104,7 +271,7 @@ export class BuildManager extends EventEmitter {
     const allDone = new Promise(resolve => this.once('allBuildsComplete', resolve));
 
     // Start initial builds up to parallel limit
-    const initialBuilds = Math.min(this.maxParallelBuilds, functionsToRebuild.length);
+    const initialBuilds = Math.min(this.maxParallelBuilds, this.buildQueue.length);
 
     for (let i = 0; i < initialBuilds; i++) {
       const func = this.buildQueue.shift();
@@ -115,6 +282,7 @@ export class BuildManager extends EventEmitter {
 
     // Wait for all queued builds to complete
     await allDone;
+    this._discardSinglePasses();
 
     return this.buildResults;
   }
@@ -126,7 +294,7 @@ export class BuildManager extends EventEmitter {
    * @param {string} functionConfig.Name - Function name
    * @param {Object} functionConfig.Metadata - Function metadata with BuildMethod
    * @param {Object} functionConfig.Properties - Function properties
-   * @returns {Promise<Object>} Build result with success status, duration, and errors
+   * @returns {Promise<Object>} Build result with success status, duration, structured diagnostics and error text
    * @example
    * const result = await buildManager.buildFunction(functionConfig);
    * if (result.success) {
@@ -140,209 +308,2240 @@ export class BuildManager extends EventEmitter {
   }
 
   /**
-   * Internal method to build a single function
-   * @param {Object} functionConfig - Lambda function configuration
-   * @returns {Promise<Object>} Build result
+   * Schedule a build run, superseding in-flight builds that the new changes affect
+   * Runs never overlap: while a run is active, the affected builds are cancelled and every
+   * request that arrives is merged into a single follow-up run built from the latest state.
+   * 
+   * @param {Array<Object>} functions - Array of Lambda function configurations
+   * @param {Array<string>} [changedFiles=[]] - Changed file paths, empty for a full build
+   * @param {Object} [options={}] - Build run options
+   * @param {boolean} [options.force=false] - Ignore the build cache and run every build
+   * @returns {Promise<Map<string, Object>>} Results of the run that includes these changes
+   * @fires BuildManager#buildCancelled
+   * @example
+   * fileWatcher.on('filesChanged', ({ files }) => {
+   *   buildManager.scheduleBuild(selectedFunctions, files);
+   * });
    */
-  async _buildFunction(functionConfig) {
-    const startTime = Date.now();
-    this.activeBuildCount++;
-    
-    const buildResult = {
-      functionName: functionConfig.Name,
-      success: false,
-      duration: 0,
-      startTime: new Date(startTime),
-      endTime: null,
-      errors: [],
-      warnings: []
-    };
+  scheduleBuild(functions, changedFiles = [], { force = false } = {}) {
+    if (!this.nextRun) {
+      this.nextRun = { functions, changedFiles: new Set(), full: false, force: false };
+      this.nextRun.promise = new Promise((resolve, reject) => {
+        this.nextRun.resolve = resolve;
+        this.nextRun.reject = reject;
+      });
+    }
 
-    try {
-      this.logger.logBuildStart(functionConfig.Name);
-      this.emit('buildStarted', { functionName: functionConfig.Name, startTime });
+    const run = this.nextRun;
+    run.functions = functions;
+    run.force = run.force || force;
+    if (changedFiles.length === 0) {
+      run.full = true;
+    } else {
+      changedFiles.forEach(filePath => run.changedFiles.add(filePath));
+    }
 
-      // Determine build method and execute
-      const buildMethod = functionConfig.Metadata.BuildMethod;
-      
-      if (buildMethod === 'esbuild') {
-        await this._executeEsbuild(functionConfig, buildResult);
-      } else if (buildMethod === 'makefile') {
-        await this._executeMakefile(functionConfig, buildResult);
-      } else {
-        throw new Error(`Unsupported build method: ${buildMethod}`);
+    if (this.currentRun) {
+      this._cancelSupersededBuilds(functions, changedFiles);
+    } else {
+      this._startNextRun();
+    }
+
+    return run.promise;
+  }
+
+  /**
+   * Cancel the in-flight build of a function
+   * Aborts the esbuild rebuild or stops the spawned make process tree, and stops its type check
+   * unless another build waits for the same check.
+   * 
+   * @param {string} functionName - Name of the function
+   * @param {string} [reason='cancelled'] - Reason reported with the buildCancelled event
+   * @returns {boolean} True if a build was running and has been cancelled
+   * @fires BuildManager#buildCancelled
+   * @example
+   * if (buildManager.cancelBuild('HelloWorldFunction', 'superseded by newer changes')) {
+   *   console.log('Stale build stopped');
+   * }
+   */
+  cancelBuild(functionName, reason = 'cancelled') {
+    const build = this.inFlightBuilds.get(functionName);
+    if (!build || build.cancelled) {
+      return false;
+    }
+
+    build.cancelled = true;
+    build.reason = reason;
+    this._releaseTypeCheck(build);
+
+    if (build.abort) {
+      try {
+        build.abort();
+      } catch (error) {
+        this.logger.logDebug(`Failed to abort build: ${error.message}`, functionName);
       }
+    }
 
-      buildResult.success = true;
-      
-    } catch (error) {
-      buildResult.success = false;
-      buildResult.errors.push(error.message);
-      this.logger.logError(functionConfig.Name, error);
-    } finally {
-      const endTime = Date.now();
-      buildResult.endTime = new Date(endTime);
-      buildResult.duration = endTime - startTime;
-      
-      this.logger.logBuildComplete(functionConfig.Name, buildResult.success, buildResult.duration);
-      this.buildResults.set(functionConfig.Name, buildResult);
-      
-      this.activeBuildCount--;
-      this.completedFunctions++;
-      
-      // Update progress display
-      this._displayProgress();
-      
-      this.emit('buildCompleted', buildResult);
+    return true;
+  }
 
-      // Start next build if queue has items
-      if (this.buildQueue.length > 0) {
-        const nextFunction = this.buildQueue.shift();
-        setImmediate(() => this._buildFunction(nextFunction));
+  /**
+   * Start the pending run and chain the next one once it finishes
+   */
+  _startNextRun() {
+    const run = this.nextRun;
+    this.nextRun = null;
+    this.currentRun = run;
+
+    const changedFiles = run.full ? [] : Array.from(run.changedFiles);
+
+    // Copy the results, the next run reuses the same map
+    this.buildFunctions(run.functions, changedFiles, { force: run.force })
+      .then(results => run.resolve(new Map(results)), run.reject)
+      .finally(() => {
+        this.currentRun = null;
+        if (this.nextRun) {
+          this._startNextRun();
+        }
+      });
+  }
+
+  /**
+   * Cancel in-flight builds of functions affected by newly scheduled changes
+   * @param {Array} functions - Array of Lambda function configurations
+   * @param {Array} changedFiles - Changed file paths, empty for a full build
+   */
+  _cancelSupersededBuilds(functions, changedFiles) {
+    for (const func of functions) {
+      if (!this.inFlightBuilds.has(func.Name)) {
+        continue;
       }
 
-      // Check if all builds are complete
-      if (this.completedFunctions === this.totalFunctions) {
-        this._displayBuildSummary();
-        this.emit('allBuildsComplete', { 
-          results: this.buildResults,
-          totalFunctions: this.totalFunctions,
-          successCount: Array.from(this.buildResults.values()).filter(r => r.success).length
-        });
+      const codeUri = this._getCodeUri(func);
+      const affected = changedFiles.length === 0 ||
+        this._explainRebuild(func, changedFiles, codeUri).affectingFiles.length > 0;
+
+      if (affected) {
+        this.cancelBuild(func.Name, 'superseded by newer changes');
       }
     }
+  }
 
-    return buildResult;
+  /**
+   * Register how the in-flight build of a function is aborted
+   * Aborts immediately if the build was cancelled before the hook was registered. A function
+   * has one running build step at a time, a timed-out one keeps its token until it settles,
+   * so the name always finds the token of the step registering the hook.
+   * @param {string} functionName - Name of the function
+   * @param {Function} abort - Callback that stops the build
+   */
+  _setBuildAbort(functionName, abort) {
+    const build = this.inFlightBuilds.get(functionName);
+    if (!build) {
+      return;
+    }
+
+    build.abort = abort;
+    if (build.cancelled) {
+      abort();
+    }
   }
 
   /**
-   * Execute esbuild for a function
+   * Start type-checking the tsconfig project of an esbuild function
+   * With typeCheck 'error', a check that a newer run replaces cancels the build waiting for it,
+   * so the build never passes without its check.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} build - Cancellation token of the in-flight build
+   * @returns {Promise<Object|null>|null} Pending tsc result, or null when there is nothing to check
+   */
+  _startTypeCheck(functionConfig, build) {
+    if (!this.typeChecker || functionConfig.Metadata.BuildMethod !== 'esbuild') {
+      return null;
+    }
+
+    const project = this.typeChecker.findProject(this._getCodeUri(functionConfig));
+    if (!project) {
+      this.logger.logDebug('No tsconfig.json found, skipping type check', functionConfig.Name);
+      return null;
+    }
+
+    build.typeCheck = { project, runId: this.buildRunId };
+    this.typeCheckBuilds.add(build);
+
+    return this.typeChecker.check(project, this.buildRunId).catch((error) => {
+      if (error.message === 'Type check cancelled') {
+        if (this.typeCheckMode === 'error' && this.inFlightBuilds.get(functionConfig.Name) === build) {
+          this.cancelBuild(functionConfig.Name, 'type check superseded by a newer run');
+        }
+        return null;
+      }
+
+      if (error.message.startsWith('TypeScript is not installed')) {
+        // Without tsc every later check fails the same way
+        this.typeChecker = null;
+      }
+      this.logger.logWarn(`Type check skipped: ${error.message}`, functionConfig.Name);
+      return null;
+    }).finally(() => this.typeCheckBuilds.delete(build));
+  }
+
+  /**
+   * Wait for the type check of an in-flight build until the build is cancelled
+   * Another build of the run may keep the shared tsc process running after this one is cancelled.
+   * @param {string} functionName - Name of the function
+   * @param {Promise<Object|null>} typeCheck - Pending tsc result
+   * @returns {Promise<Object|null>} tsc result
+   * @throws {Error} If the build is cancelled, also when a newer run replaced its check
+   */
+  _waitForTypeCheck(functionName, typeCheck) {
+    return new Promise((resolve, reject) => {
+      this._setBuildAbort(functionName, () => reject(new Error(`Build cancelled: ${this.inFlightBuilds.get(functionName).reason}`)));
+      typeCheck.then(resolve, reject);
+    });
+  }
+
+  /**
+   * Stop waiting for the type check of a build
+   * tsc is stopped when no other build waits for the same check, such as another function of
+   * the same run in the same tsconfig project.
+   * @param {Object} build - Cancellation token of the build
+   */
+  _releaseTypeCheck(build) {
+    if (!this.typeCheckBuilds.delete(build)) {
+      return;
+    }
+
+    const { project, runId } = build.typeCheck;
+    const shared = Array.from(this.typeCheckBuilds)
+      .some(other => other.typeCheck.project === project && other.typeCheck.runId === runId);
+    if (!shared && this.typeChecker) {
+      this.typeChecker.cancel(project, runId);
+    }
+  }
+
+  /**
+   * Record the tsc diagnostics that belong to a function in its build result
+   * A diagnostic belongs to a function when its file is in the function's bundle, or inside
+   * CodeUri while no import graph is known. typeCheckCompleted carries them as structured
+   * diagnostics, in warn mode it is the only event that does since it fires after buildCompleted.
    * @param {Object} functionConfig - Lambda function configuration
    * @param {Object} buildResult - Build result object to update
+   * @param {Object|null} result - tsc result from the type checker
+   * @throws {Error} If typeCheck is 'error' and the function has type errors
+   * @fires BuildManager#typeCheckCompleted
    */
-  async _executeEsbuild(functionConfig, buildResult) {
-    const buildProps = functionConfig.Metadata.BuildProperties || {};
-    
-    // Apply custom build settings from configuration
-    const customBuildSettings = this._getCustomBuildSettings(functionConfig.Name);
-    const mergedBuildProps = { ...buildProps, ...customBuildSettings };
-    
-    const codeUri = functionConfig.Properties.CodeUri || '.';
-    const outputDir = path.join('.aws-sam', 'build', functionConfig.Name);
-
-    // Ensure output directory exists
-    fs.mkdirSync(outputDir, { recursive: true });
-
-    const entryPoint = path.join(codeUri, 'app.ts');
-    const outputFile = path.join(outputDir, 'app.js');
-
-    const esbuildArgs = [
-      entryPoint,
-      '--bundle',
-      '--platform=node',
-      `--target=${mergedBuildProps.Target || 'es2020'}`,
-      `--outfile=${outputFile}`,
-      '--external:aws-sdk'
+  _reportTypeCheck(functionConfig, buildResult, result) {
+    if (!result) {
+      return;
+    }
+
+    const codeUri = path.resolve(this._getCodeUri(functionConfig));
+    const inputs = this.functionInputs.get(functionConfig.Name);
+    const diagnostics = result.diagnostics.filter(diagnostic => inputs
+      ? inputs.has(diagnostic.file)
+      : diagnostic.file.startsWith(codeUri + path.sep));
+
+    const typeDiagnostics = diagnostics.map(diagnostic => this.diagnostics.fromTypeCheck(diagnostic));
+    const errorCount = this._recordDiagnostics(
+      functionConfig.Name,
+      typeDiagnostics,
+      buildResult,
+      this.typeCheckMode === 'error'
+    );
+
+    this.logger.logDebug(
+      `Type check of ${path.relative(process.cwd(), result.tsconfigPath)} found ${diagnostics.length} diagnostics for this function`,
+      functionConfig.Name
+    );
+    this.emit('typeCheckCompleted', { functionName: functionConfig.Name, mode: this.typeCheckMode, diagnostics: typeDiagnostics });
+
+    if (errorCount > 0) {
+      throw new Error(`Type check failed with ${errorCount} error${errorCount === 1 ? '' : 's'}`);
+    }
+  }
+
+  /**
+   * Run a build step, aborting it when it exceeds the function's build timeout
+   * The build fails at the timeout even if the step ignores the abort. Such a step keeps its
+   * cancelled token registered until it settles, so whatever it starts late is aborted at once
+   * and the next build of the function waits for it before reusing the staging directory.
+   * @param {string} functionName - Name of the function
+   * @param {Object} build - Cancellation token of the in-flight build
+   * @param {Function} execute - Callback that runs the build step
+   * @returns {Promise<*>} Result of the build step
+   * @throws {Error} If the build step fails or times out
+   */
+  async _withBuildTimeout(functionName, build, execute) {
+    const timeout = this._getBuildTimeout(functionName);
+    if (!timeout) {
+      return execute();
+    }
+
+    const step = Promise.resolve().then(execute);
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        build.timedOut = true;
+        build.settled = step.then(() => {}, () => {}).then(() => {
+          if (this.inFlightBuilds.get(functionName) === build) {
+            this.inFlightBuilds.delete(functionName);
+          }
+        });
+        this.cancelBuild(functionName, `exceeded buildTimeout of ${timeout}ms`);
+        reject(new Error(`Build timeout: no result after ${timeout}ms, the build process was killed`));
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([step, timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Wait until a timed-out build step of the function that ignored its abort has settled
+   * Gives up after another build timeout, the staging directory is still being written then.
+   * @param {string} functionName - Name of the function
+   * @returns {Promise<void>} Resolves once no abandoned build step of the function is running
+   * @throws {Error} If the abandoned build step is still running
+   */
+  async _waitForAbandonedBuild(functionName) {
+    const previous = this.inFlightBuilds.get(functionName);
+    if (!previous || !previous.settled) {
+      return;
+    }
+
+    this.logger.logBuild(functionName, 'Waiting for the timed-out build to stop', 'warn');
+    const timeout = this._getBuildTimeout(functionName);
+    if (!timeout) {
+      return previous.settled;
+    }
+
+    let timer;
+    const stillRunning = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`The timed-out build is still running after another ${timeout}ms, not building over its output`));
+      }, timeout);
+    });
+
+    try {
+      await Promise.race([previous.settled, stillRunning]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Get the build timeout of a function from buildSettings
+   * A per-function buildTimeout wins over the global one, 0 disables the timeout.
+   * @param {string} functionName - Name of the function
+   * @returns {number} Timeout in milliseconds
+   */
+  _getBuildTimeout(functionName) {
+    const buildSettings = this.configManager.get('buildSettings', {});
+    const candidates = [
+      this._lookupSettings(buildSettings, functionName),
+      this._lookupSettings(buildSettings, 'global')
     ];
 
-    if (mergedBuildProps.Minify) {
-      esbuildArgs.push('--minify');
+    for (const settings of candidates) {
+      if (settings && typeof settings.buildTimeout === 'number' && settings.buildTimeout >= 0) {
+        return settings.buildTimeout;
+      }
     }
 
-    if (mergedBuildProps.Sourcemap) {
-      esbuildArgs.push('--sourcemap');
+    return DEFAULT_BUILD_TIMEOUT;
+  }
+
+  /**
+   * Measure a function's new artifacts and check them against Lambda's limits and its size budget
+   * Layers count towards the unzipped limit of the functions that use them.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} buildResult - Build result object to update
+   * @throws {Error} If the artifacts exceed a Lambda limit or an error budget
+   */
+  _checkBundleSize(functionConfig, buildResult) {
+    const functionName = functionConfig.Name;
+    const stagingDir = path.resolve(this._getStagingDir(functionName));
+    // Cache hits leave nothing to stage, their published artifacts are unchanged
+    const dir = fs.existsSync(stagingDir) ? stagingDir : path.resolve(this._getArtifactDir(functionName));
+    if (!fs.existsSync(dir)) {
+      return;
     }
 
-    return new Promise((resolve, reject) => {
-      const esbuild = spawn('npx', ['esbuild', ...esbuildArgs], {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
+    const { bytes, gzipBytes } = this.sizeAnalyzer.measure(dir);
+    const previous = this.bundleSizes.get(functionName);
+    const size = {
+      bytes,
+      gzipBytes,
+      delta: previous ? { bytes: bytes - previous.bytes, gzipBytes: gzipBytes - previous.gzipBytes } : null,
+      topModules: functionConfig.Metadata.BuildMethod === 'esbuild' ? this.topModules.get(functionName) || [] : []
+    };
+    buildResult.size = size;
 
-      let stdout = '';
-      let stderr = '';
+    const format = (value) => this.sizeAnalyzer.formatSize(value);
+    const failures = [];
+    const layerBytes = this._getReferencedLayers(functionConfig)
+      .reduce((total, layer) => total + (this.bundleSizes.get(layer.Name)?.bytes || 0), 0);
 
-      esbuild.stdout.on('data', (data) => {
-        stdout += data.toString();
-        this.logger.logBuild(functionConfig.Name, data.toString().trim(), 'debug');
-      });
+    if (bytes + layerBytes > LAMBDA_UNZIPPED_LIMIT) {
+      const layers = layerBytes > 0 ? ` including ${format(layerBytes)} of layers` : '';
+      failures.push(`Unzipped size ${format(bytes + layerBytes)}${layers} exceeds the Lambda limit of ${format(LAMBDA_UNZIPPED_LIMIT)}`);
+    }
+    if (gzipBytes > LAMBDA_ZIPPED_LIMIT) {
+      failures.push(`Zipped size of about ${format(gzipBytes)} exceeds the Lambda limit of ${format(LAMBDA_ZIPPED_LIMIT)}`);
+    }
 
-      esbuild.stderr.on('data', (data) => {
-        stderr += data.toString();
-        const message = data.toString().trim();
-        if (message.includes('warning')) {
-          buildResult.warnings.push(message);
-          this.logger.logBuild(functionConfig.Name, `WARNING: ${message}`, 'warn');
-        } else {
-          this.logger.logBuild(functionConfig.Name, message, 'debug');
-        }
-      });
+    for (const [key, budget] of Object.entries(this._getSizeBudget(functionName))) {
+      const measured = size[SIZE_BUDGET_KEYS[key].measure];
+      if (measured <= budget) {
+        continue;
+      }
+
+      const label = SIZE_BUDGET_KEYS[key].measure === 'gzipBytes' ? 'Gzip size' : 'Bundle size';
+      const message = `${label} ${format(measured)} exceeds sizeBudget.${key} of ${format(budget)}`;
+      if (SIZE_BUDGET_KEYS[key].fail) {
+        failures.push(message);
+      } else {
+        buildResult.warnings.push(message);
+        this.logger.logBuild(functionName, message, 'warn');
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(failures.join('\n'));
+    }
+
+    this.bundleSizes.set(functionName, { bytes, gzipBytes });
+  }
+
+  /**
+   * Warn about native addons in a function's new artifacts that Lambda cannot load
+   * Functions are checked against their Architectures, layers against their CompatibleArchitectures.
+   * @param {Object} functionConfig - Lambda function or layer configuration
+   * @param {Object} buildResult - Build result object to update
+   */
+  _checkNativeModules(functionConfig, buildResult) {
+    const functionName = functionConfig.Name;
+    const properties = functionConfig.Properties || {};
+    const architectures = this._isLayer(functionConfig) ? properties.CompatibleArchitectures : (properties.Architectures || [DEFAULT_ARCHITECTURE]);
+    if (!Array.isArray(architectures) || architectures.length === 0) {
+      return;
+    }
+
+    const stagingDir = path.resolve(this._getStagingDir(functionName));
+    const dir = fs.existsSync(stagingDir) ? stagingDir : path.resolve(this._getArtifactDir(functionName));
+
+    for (const { file, platform, architecture } of this.lambdaRuntime.findIncompatibleNativeModules(dir, architectures)) {
+      const builtFor = platform === 'linux' ? architecture : { darwin: 'macOS', win32: 'Windows' }[platform];
+      const message = `Native module ${file} is built for ${builtFor}, but ${functionName} runs on Linux ${architectures.join(', ')}. ` +
+        'Install dependencies for the Lambda platform, for example with `sam build --use-container`.';
+      buildResult.warnings.push(message);
+      this.logger.logBuild(functionName, message, 'warn');
+    }
+  }
+
+  /**
+   * Get the size budget of a function from buildSettings
+   * Per-function sizeBudget keys override the global ones.
+   * @param {string} functionName - Name of the function
+   * @returns {Object<string, number>} Budgets in bytes by sizeBudget key
+   * @throws {Error} If a budget is not a valid size
+   */
+  _getSizeBudget(functionName) {
+    const buildSettings = this.configManager.get('buildSettings', {});
+    const merged = {
+      ...this._lookupSettings(buildSettings, 'global')?.sizeBudget,
+      ...this._lookupSettings(buildSettings, functionName)?.sizeBudget
+    };
+
+    const budget = {};
+    for (const [key, value] of Object.entries(merged)) {
+      if (!Object.prototype.hasOwnProperty.call(SIZE_BUDGET_KEYS, key)) {
+        throw new Error(`Unknown sizeBudget key '${key}', expected one of: ${Object.keys(SIZE_BUDGET_KEYS).join(', ')}`);
+      }
+      if (value !== undefined && value !== null) {
+        budget[key] = this.sizeAnalyzer.parseSize(value);
+      }
+    }
+
+    return budget;
+  }
+
+  /**
+   * Stop a build step early when its build has been cancelled
+   * @param {string} functionName - Name of the function
+   * @throws {Error} If the build has been cancelled
+   */
+  _throwIfCancelled(functionName) {
+    const build = this.inFlightBuilds.get(functionName);
+    if (build && build.cancelled) {
+      throw new Error(`Build cancelled: ${build.reason}`);
+    }
+  }
+
+  /**
+   * Kill a spawned process together with every process it started
+   * Processes that ignore SIGTERM get SIGKILL after KILL_GRACE_PERIOD.
+   * @param {ChildProcess} child - Process spawned by the build
+   */
+  _killProcessTree(child) {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      return;
+    }
+
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+      return;
+    }
+
+    const signalTree = (signal) => {
+      try {
+        // Negative pid signals the whole process group created with detached: true
+        process.kill(-child.pid, signal);
+      } catch (error) {
+        if (child.exitCode === null && child.signalCode === null) {
+          child.kill(signal);
+        }
+      }
+    };
+
+    signalTree('SIGTERM');
+    // The group outlives the child when only the child exits on SIGTERM
+    setTimeout(() => signalTree('SIGKILL'), KILL_GRACE_PERIOD).unref();
+  }
+
+  /**
+   * Internal method to build a single function
+   * @param {Object} functionConfig - Lambda function configuration
+   * @returns {Promise<Object>} Build result
+   */
+  async _buildFunction(functionConfig) {
+    const startTime = Date.now();
+    this.activeBuildCount++;
+
+    // Cancellation token, the build method registers how to abort its work
+    const build = { cancelled: false, timedOut: false, reason: null, abort: null, settled: null };
+
+    // Set when an identical build of another function ran first in this run
+    const sharedBuild = this.sharedBuilds.get(functionConfig.Name);
+    this.sharedBuilds.delete(functionConfig.Name);
+
+    // Functions referencing this layer wait until it is built
+    let layerBuilt = null;
+    const pendingLayer = this._isLayer(functionConfig) ? new Promise(resolve => { layerBuilt = resolve; }) : null;
+    if (pendingLayer) {
+      this.pendingLayers.set(functionConfig.Name, pendingLayer);
+    }
+    let typeCheck = null;
+    
+    const buildResult = {
+      functionName: functionConfig.Name,
+      success: false,
+      duration: 0,
+      startTime: new Date(startTime),
+      endTime: null,
+      errors: [],
+      warnings: [],
+      diagnostics: []
+    };
+
+    try {
+      this.logger.logBuildStart(functionConfig.Name);
+      this.emit('buildStarted', { functionName: functionConfig.Name, startTime });
+
+      await this._waitForAbandonedBuild(functionConfig.Name);
+      this.inFlightBuilds.set(functionConfig.Name, build);
+
+      // Determine build method and execute
+      const buildMethod = functionConfig.Metadata.BuildMethod;
+
+      await this._waitForLayers(functionConfig);
+
+      // Build output is staged and only published once the whole build succeeded
+      this._discardStagingDir(functionConfig.Name);
+
+      // tsc runs next to the bundler, only typeCheck 'error' waits for it before the build completes
+      typeCheck = this._startTypeCheck(functionConfig, build);
+      
+      await this._withBuildTimeout(functionConfig.Name, build, async () => {
+        const method = this.buildMethods.get(buildMethod);
+
+        if (sharedBuild && this._reuseSharedBuild(functionConfig, sharedBuild, buildResult)) {
+          this.logger.logBuild(functionConfig.Name, `Same build inputs as ${sharedBuild.functionName}, reusing its bundle`, 'info');
+        } else {
+          await this._runHooks('preBuild', functionConfig, buildResult);
+
+          if (!method) {
+            throw new Error(`Unsupported build method: ${buildMethod}`);
+          } else if (!method.builtIn) {
+            await this._executeCustomMethod(method, functionConfig, buildResult);
+          } else if (buildMethod === 'esbuild') {
+            await this._executeEsbuild(functionConfig, buildResult);
+          } else if (buildMethod === 'makefile') {
+            await this._executeMakefile(functionConfig, buildResult);
+          } else if (buildMethod === 'npm') {
+            await this._executeNpm(functionConfig, buildResult);
+          }
+        }
+
+        if (typeCheck && this.typeCheckMode === 'error') {
+          this._reportTypeCheck(functionConfig, buildResult, await this._waitForTypeCheck(functionConfig.Name, typeCheck));
+        }
+
+        this._copyAssets(functionConfig, buildResult);
+        await this._runHooks('postBuild', functionConfig, buildResult);
+      });
+
+      this._checkBundleSize(functionConfig, buildResult);
+      this._checkNativeModules(functionConfig, buildResult);
+      this._publishArtifacts(functionConfig.Name);
+      buildResult.success = true;
+      
+    } catch (error) {
+      buildResult.success = false;
+
+      try {
+        if (build.timedOut) {
+          buildResult.timedOut = true;
+          buildResult.errors.push(error.message);
+          // A hung esbuild context cannot be trusted for the next build
+          this.disposeFunction(functionConfig.Name);
+          this.logger.logBuildError(functionConfig.Name, error, { step: `${functionConfig.Metadata.BuildMethod} build` });
+        } else if (build.cancelled) {
+          buildResult.cancelled = true;
+          this.logger.logBuild(functionConfig.Name, `Build cancelled: ${build.reason}`, 'info');
+        } else if (error instanceof BuildHookError) {
+          buildResult.errors.push(error.message);
+          buildResult.hookFailure = error.toJSON();
+          this.logger.logBuildError(functionConfig.Name, error, { step: `${error.phase} hook` });
+        } else {
+          buildResult.errors.push(error.message);
+          this.logger.logError(functionConfig.Name, error);
+        }
+      } finally {
+        // The last good build stays in place even if reporting the failure throws
+        this._discardStagingDir(functionConfig.Name);
+        if (!build.cancelled) {
+          this._reportPreviousBuild(functionConfig.Name, buildResult);
+        }
+      }
+    } finally {
+      const endTime = Date.now();
+      buildResult.endTime = new Date(endTime);
+      buildResult.duration = endTime - startTime;
+
+      // A failed build no longer needs its type check
+      if (!buildResult.success) {
+        this._releaseTypeCheck(build);
+      }
+
+      // A timed-out step that is still running keeps its token until it settles
+      if (!build.settled && this.inFlightBuilds.get(functionConfig.Name) === build) {
+        this.inFlightBuilds.delete(functionConfig.Name);
+      }
+      if (pendingLayer) {
+        if (this.pendingLayers.get(functionConfig.Name) === pendingLayer) {
+          this.pendingLayers.delete(functionConfig.Name);
+        }
+        layerBuilt();
+      }
+      
+      this.buildResults.set(functionConfig.Name, buildResult);
+
+      if (!buildResult.cancelled) {
+        this.logger.logBuildComplete(functionConfig.Name, buildResult.success, buildResult.duration);
+
+        if (buildResult.success) {
+          this.failedFunctions.delete(functionConfig.Name);
+        } else {
+          this.failedFunctions.add(functionConfig.Name);
+        }
+      }
+      
+      this.activeBuildCount--;
+      this.completedFunctions++;
+      
+      // Update progress display
+      this._displayProgress();
+      
+      if (buildResult.cancelled) {
+        this.emit('buildCancelled', { functionName: functionConfig.Name, reason: build.reason, duration: buildResult.duration });
+      } else {
+        this.emit('buildCompleted', buildResult);
+      }
+
+      // In warn mode type errors arrive after the build, with typeCheckCompleted and as warnings in its result
+      if (typeCheck && this.typeCheckMode === 'warn' && buildResult.success) {
+        typeCheck
+          .then(result => this._reportTypeCheck(functionConfig, buildResult, result))
+          .catch(error => this.logger.logError(functionConfig.Name, `Could not report the type check: ${error.message}`));
+      }
+
+      // Functions sharing this build go next, ahead of the rest of the queue
+      const duplicates = this.duplicateBuilds.get(functionConfig.Name);
+      if (duplicates) {
+        this.duplicateBuilds.delete(functionConfig.Name);
+        duplicates.forEach(duplicate => this.sharedBuilds.set(duplicate.Name, { functionName: functionConfig.Name, result: buildResult }));
+        this.buildQueue.unshift(...duplicates);
+      }
+
+      // Start next build if queue has items
+      if (this.buildQueue.length > 0) {
+        const nextFunction = this.buildQueue.shift();
+        setImmediate(() => this._buildFunction(nextFunction));
+      }
+
+      // Check if all builds are complete
+      if (this.completedFunctions === this.totalFunctions) {
+        this._displayBuildSummary();
+        this.emit('allBuildsComplete', { 
+          results: this.buildResults,
+          totalFunctions: this.totalFunctions,
+          successCount: Array.from(this.buildResults.values()).filter(r => r.success).length
+        });
+      }
+    }
+
+    return buildResult;
+  }
+
+  /**
+   * Run the preBuild or postBuild hooks of a function from the hooks setting
+   * Hooks run one after another and their output is logged line by line. preBuild hooks run
+   * before the build method, postBuild hooks once the output is complete but not yet published,
+   * so a failing hook keeps the last good build in place. Cancelling the build stops the running hook.
+   * @param {string} phase - 'preBuild' or 'postBuild'
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} buildResult - Build result object passed to module hooks
+   * @throws {BuildHookError} If a hook fails
+   */
+  async _runHooks(phase, functionConfig, buildResult) {
+    const functionName = functionConfig.Name;
+    const hooks = this.buildHooks.getHooks(this.configManager.get('hooks', {}), functionName, phase);
+    if (hooks.length === 0) {
+      return;
+    }
+
+    // Build cache hits stage nothing, postBuild hooks then see the published artifacts
+    const stagingDir = path.resolve(this._getStagingDir(functionName));
+    const artifactsDir = phase === 'postBuild' && !fs.existsSync(stagingDir)
+      ? path.resolve(this._getArtifactDir(functionName))
+      : stagingDir;
+
+    for (const hook of hooks) {
+      const controller = new AbortController();
+      this._setBuildAbort(functionName, () => controller.abort());
+
+      await this.buildHooks.run(hook, {
+        phase,
+        functionConfig,
+        buildResult,
+        artifactsDir,
+        signal: controller.signal,
+        log: (line, level = 'info') => this.logger.logBuild(functionName, `[${phase}] ${line}`, level),
+        onSpawn: (child) => this._setBuildAbort(functionName, () => {
+          controller.abort();
+          this._killProcessTree(child);
+        })
+      });
+      this._throwIfCancelled(functionName);
+    }
+  }
+
+  /**
+   * Group functions whose esbuild builds would produce the same bundle
+   * Functions with the same resolved esbuild options, such as several handlers in one CodeUri
+   * with the same BuildProperties, share a build.
+   * @param {Array<Object>} functions - Functions to build in this run
+   * @returns {Map<string, Array<Object>>} Name of the function that is built to the functions reusing its bundle
+   */
+  _groupIdenticalBuilds(functions) {
+    const groups = new Map();
+
+    for (const func of functions.filter(candidate => this._canShareBuild(candidate))) {
+      let key;
+      try {
+        // The output directory is the only option that differs between identical builds
+        const { outdir, ...options } = this._getEsbuildOptions(func);
+        key = JSON.stringify(options);
+      } catch (error) {
+        // Invalid settings are reported by the function's own build
+        continue;
+      }
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(func);
+    }
+
+    const duplicateBuilds = new Map();
+    for (const [first, ...duplicates] of groups.values()) {
+      if (duplicates.length > 0) {
+        duplicateBuilds.set(first.Name, duplicates);
+        this.logger.logDebug(`Building once for ${[first, ...duplicates].map(func => func.Name).join(', ')}`, first.Name);
+      }
+    }
+
+    return duplicateBuilds;
+  }
+
+  /**
+   * Check whether a function's esbuild run may produce the bundle of other functions too
+   * Functions with preBuild hooks never share a build, as the hooks may generate code for one function only.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @returns {boolean} True for functions built by the built-in esbuild method without preBuild hooks
+   */
+  _canShareBuild(functionConfig) {
+    const method = this.buildMethods.get(functionConfig.Metadata?.BuildMethod);
+
+    return !this._isLayer(functionConfig) && functionConfig.Metadata?.BuildMethod === 'esbuild' && Boolean(method?.builtIn) &&
+      this.buildHooks.getHooks(this.configManager.get('hooks', {}), functionConfig.Name, 'preBuild').length === 0;
+  }
+
+  /**
+   * Stage the bundle of an identical build that ran before in this run
+   * The bundle files are hard-linked from the published artifacts of the other function, or copied
+   * when the function has postBuild hooks that could modify them. When the other build failed with
+   * esbuild errors, this build fails with the same errors. The bundle was only verified against the
+   * Handler of the other function, so it is verified against this function's Handler first.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {{functionName: string, result: Object}} sharedBuild - Function that was built and its build result
+   * @param {Object} buildResult - Build result object to update
+   * @returns {boolean} True if the bundle was reused, false if the function has to be built itself
+   * @throws {Error} If the shared build failed with esbuild errors or its bundle does not provide the Handler
+   */
+  _reuseSharedBuild(functionConfig, sharedBuild, buildResult) {
+    const { functionName: source, result } = sharedBuild;
+    const esbuildDiagnostics = result.diagnostics.filter(diagnostic => diagnostic.source === 'esbuild');
+    const outputs = this.bundleOutputs.get(source);
+
+    if (!result.success) {
+      // Builds that failed after bundling, or were cancelled, say nothing about this function's bundle
+      if (!esbuildDiagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+        return false;
+      }
+    } else if (!outputs || outputs.length === 0) {
+      return false;
+    }
+
+    // Diagnostics were logged once with the function that was built
+    buildResult.deduplicated = true;
+    buildResult.sharedWith = source;
+    for (const diagnostic of esbuildDiagnostics) {
+      buildResult.diagnostics.push(diagnostic);
+      (diagnostic.severity === 'error' ? buildResult.errors : buildResult.warnings).push(this.diagnostics.format(diagnostic));
+    }
+
+    if (!result.success) {
+      throw new Error(`Identical build of ${source} failed`);
+    }
+
+    const sourceDir = path.resolve(this._getArtifactDir(source));
+    const stagingDir = path.resolve(this._getStagingDir(functionConfig.Name));
+    const exports = this.bundleExports.get(source) || {};
+    const metafile = {
+      outputs: Object.fromEntries(outputs.map(output => [path.join(stagingDir, output), { exports: exports[output] }]))
+    };
+    this._verifyHandlerOutput(functionConfig, this._getEsbuildOptions(functionConfig), { metafile });
+
+    const copy = this.buildHooks.getHooks(this.configManager.get('hooks', {}), functionConfig.Name, 'postBuild').length > 0;
+
+    for (const output of outputs) {
+      const targetPath = path.join(stagingDir, output);
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+
+      if (copy) {
+        fs.copyFileSync(path.join(sourceDir, output), targetPath);
+        continue;
+      }
+      try {
+        fs.linkSync(path.join(sourceDir, output), targetPath);
+      } catch (error) {
+        // Hard links fail across file systems and on some mounted volumes
+        fs.copyFileSync(path.join(sourceDir, output), targetPath);
+      }
+    }
+
+    this.functionInputs.set(functionConfig.Name, new Set(this.functionInputs.get(source)));
+    this.topModules.set(functionConfig.Name, this.topModules.get(source));
+    if (this.sourceMapFunctions.has(source)) {
+      this.sourceMapFunctions.add(functionConfig.Name);
+    } else {
+      this.sourceMapFunctions.delete(functionConfig.Name);
+    }
+    this._recordBundleOutputs(functionConfig.Name, stagingDir, outputs.map(output => path.join(stagingDir, output)), metafile);
+
+    return true;
+  }
+
+  /**
+   * Remember which files make up a function's bundle, so identical builds can reuse them
+   * @param {string} functionName - Name of the function
+   * @param {string} outputDir - Absolute directory the output files are in
+   * @param {Array<string>} outputs - Output file paths, absolute or relative to the working directory
+   * @param {Object} [metafile] - esbuild metafile of the build, cached builds have none and their exports are unknown
+   */
+  _recordBundleOutputs(functionName, outputDir, outputs = [], metafile) {
+    const relativeTo = output => path.relative(outputDir, path.resolve(output));
+
+    this.bundleOutputs.set(functionName, outputs.map(relativeTo));
+    this.bundleExports.set(functionName, Object.fromEntries(
+      Object.entries(metafile?.outputs || {}).map(([output, { exports }]) => [relativeTo(output), exports])
+    ));
+  }
+
+  /**
+   * Get the bundle of a function from a single-pass esbuild run
+   * The first function of a run to reach its esbuild step starts one esbuild run for itself and
+   * every pending function with compatible options. Each function then moves its part of the output
+   * into its staging directory. When the single pass fails, functions build on their own so errors
+   * are reported for the function they belong to.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} buildOptions - Resolved esbuild options of the function
+   * @param {Object} buildResult - Build result object to update
+   * @returns {Promise<Object|null>} esbuild result with this function's metafile and warnings, or null to build on its own
+   */
+  async _takeSinglePassOutput(functionConfig, buildOptions, buildResult) {
+    const functionName = functionConfig.Name;
+    const singlePass = Array.from(this.singlePasses).find(pass => pass.pending.has(functionName)) ||
+      this._startSinglePass(functionName, buildOptions);
+    singlePass?.pending.delete(functionName);
+
+    // Options can change between the start of the single pass and this build, for example when a layer was built
+    if (!singlePass || JSON.stringify(singlePass.members.get(functionName)) !== JSON.stringify(buildOptions)) {
+      return null;
+    }
+
+    const result = await singlePass.promise;
+    this._throwIfCancelled(functionName);
+    if (!result) {
+      return null;
+    }
+
+    const outputDir = path.resolve(this._getSinglePassDir(functionName));
+    const stagingDir = path.resolve(buildOptions.outdir);
+    const outputs = Object.keys(result.metafile.outputs)
+      .filter(output => path.resolve(output).startsWith(outputDir + path.sep));
+    if (outputs.length === 0) {
+      return null;
+    }
+
+    // Both directories sit in the build directory, so relative source map paths stay valid
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    fs.renameSync(outputDir, stagingDir);
+
+    const metafile = { inputs: {}, outputs: {} };
+    const pending = [];
+    for (const output of outputs) {
+      const stagedPath = path.relative(process.cwd(), path.join(stagingDir, path.relative(outputDir, path.resolve(output))));
+      metafile.outputs[stagedPath] = result.metafile.outputs[output];
+      if (result.metafile.outputs[output].entryPoint) {
+        pending.push(result.metafile.outputs[output].entryPoint);
+      }
+    }
+
+    // The function's inputs are the files reachable from its entry points
+    while (pending.length > 0) {
+      const input = pending.pop();
+      if (metafile.inputs[input] || !result.metafile.inputs[input]) {
+        continue;
+      }
+      metafile.inputs[input] = result.metafile.inputs[input];
+      result.metafile.inputs[input].imports
+        .filter(imported => !imported.external)
+        .forEach(imported => pending.push(imported.path));
+    }
+
+    buildResult.singlePass = true;
+    this.logger.logBuild(functionName, `Bundled in a single esbuild pass with ${singlePass.members.size - 1} other functions`, 'debug');
+
+    return {
+      metafile,
+      warnings: result.warnings.filter(warning => !warning.location || metafile.inputs[warning.location.file])
+    };
+  }
+
+  /**
+   * Start a single-pass esbuild run for a function and the pending functions it is compatible with
+   * Every entry point is written below the function's single-pass directory, next to its staging directory.
+   * @param {string} functionName - Name of the function starting the run
+   * @param {Object} buildOptions - Resolved esbuild options of the function
+   * @returns {{members: Map<string, Object>, pending: Set<string>, promise: Promise<Object|null>}|null} Single pass,
+   * or null when no other function can join
+   */
+  _startSinglePass(functionName, buildOptions) {
+    if (!this.singlePassCandidates.delete(functionName)) {
+      return null;
+    }
+
+    const key = this._getSinglePassKey(buildOptions);
+    const members = new Map([[functionName, buildOptions]]);
+
+    for (const candidate of this.singlePassCandidates.values()) {
+      // Functions waiting for a layer that is still building resolve its modules once it is done
+      if (!key || this._getReferencedLayers(candidate).some(layer => this.pendingLayers.has(layer.Name))) {
+        continue;
+      }
+
+      let options;
+      try {
+        options = this._getEsbuildOptions(candidate);
+      } catch (error) {
+        // Invalid settings are reported by the function's own build
+        continue;
+      }
+
+      const cached = this._shouldConsultCache(candidate.Name) && this.buildCache.lookup(candidate.Name, options).hit;
+      if (this._getSinglePassKey(options) === key && !cached) {
+        members.set(candidate.Name, options);
+      }
+    }
+
+    if (members.size < 2) {
+      return null;
+    }
+
+    const entryPoints = [];
+    for (const [memberName, options] of members) {
+      this.singlePassCandidates.delete(memberName);
+      fs.rmSync(this._getSinglePassDir(memberName), { recursive: true, force: true });
+
+      const outputDir = path.relative(this.getBuildDir(), path.resolve(this._getSinglePassDir(memberName)));
+      for (const entry of options.entryPoints) {
+        entryPoints.push({ in: entry, out: path.join(outputDir, this._getOutputPath(entry, options)) });
+      }
+    }
+
+    const { entryPoints: ignoredEntryPoints, outdir, outbase, ...sharedOptions } = buildOptions;
+    const singlePass = {
+      members,
+      pending: new Set(members.keys()),
+      promise: esbuild.build({ ...sharedOptions, entryPoints, outdir: this.getBuildDir() }).catch(error => {
+        this.logger.logBuild(functionName, `Single-pass build failed, building each function separately: ${error.message.split('\n')[0]}`, 'debug');
+        return null;
+      })
+    };
+    this.singlePasses.add(singlePass);
+
+    this.logger.logBuild(functionName, `Bundling ${members.size} functions in a single esbuild pass`, 'info');
+    return singlePass;
+  }
+
+  /**
+   * Get the options that have to match for functions to share a single-pass esbuild run
+   * Functions that emit files through the file or copy loaders build on their own, since
+   * esbuild writes those files to the root of the shared output directory.
+   * @param {Object} buildOptions - Resolved esbuild options
+   * @returns {string|null} Comparable options, or null if the function cannot join a single pass
+   */
+  _getSinglePassKey(buildOptions) {
+    const { entryPoints, outdir, outbase, ...sharedOptions } = buildOptions;
+    const loaders = Object.values(buildOptions.loader || {});
+
+    if (buildOptions.splitting || loaders.includes('file') || loaders.includes('copy')) {
+      return null;
+    }
+    return JSON.stringify(sharedOptions);
+  }
+
+  /**
+   * Get the output path, without extension, esbuild gives an entry point in a build of its own
+   * Mirrors esbuild's default outbase, the lowest common ancestor directory of the entry points.
+   * @param {string} entry - Entry point
+   * @param {Object} buildOptions - Resolved esbuild options the entry point belongs to
+   * @returns {string} Output path relative to the output directory
+   */
+  _getOutputPath(entry, buildOptions) {
+    let outbase = buildOptions.outbase;
+
+    if (!outbase) {
+      const entryDirs = buildOptions.entryPoints.map(entryPoint => path.dirname(path.resolve(entryPoint)));
+      outbase = entryDirs[0];
+      while (!entryDirs.every(dir => dir === outbase || dir.startsWith(outbase + path.sep))) {
+        outbase = path.dirname(outbase);
+      }
+    }
+
+    return path.relative(outbase, path.resolve(entry)).replace(/\.[^./\\]+$/, '');
+  }
+
+  /**
+   * Get the directory a single-pass esbuild run writes a function's bundle to
+   * @param {string} functionName - Name of the function
+   * @returns {string} Directory next to the function's staging directory
+   */
+  _getSinglePassDir(functionName) {
+    return path.join(path.dirname(this._getArtifactDir(functionName)), `.${functionName}.single-pass`);
+  }
+
+  /**
+   * Remove the single-pass output that no build took, such as the output of cancelled builds
+   */
+  _discardSinglePasses() {
+    for (const singlePass of this.singlePasses) {
+      singlePass.promise.then(() => {
+        for (const functionName of singlePass.members.keys()) {
+          // A single pass of a later run may already write to the same directory
+          if (!Array.from(this.singlePasses).some(pass => pass.members.has(functionName))) {
+            fs.rmSync(this._getSinglePassDir(functionName), { recursive: true, force: true });
+          }
+        }
+      });
+    }
+
+    this.singlePasses.clear();
+    this.singlePassCandidates.clear();
+  }
+
+  /**
+   * Check whether a build target is a layer
+   * @param {Object} functionConfig - Lambda function or layer configuration
+   * @returns {boolean} True for AWS::Serverless::LayerVersion resources
+   */
+  _isLayer(functionConfig) {
+    return functionConfig.Type === LAYER_TYPE;
+  }
+
+  /**
+   * Get the watched layers a function references in its Layers property
+   * `!Ref LayerName` is parsed to the plain logical ID, `{ Ref: LayerName }` is accepted too and ARNs are skipped.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @returns {Array<Object>} Referenced layer configurations
+   */
+  _getReferencedLayers(functionConfig) {
+    const references = functionConfig.Properties?.Layers;
+    if (!Array.isArray(references) || this._isLayer(functionConfig)) {
+      return [];
+    }
+
+    return references
+      .map(reference => (reference && typeof reference === 'object') ? reference.Ref : reference)
+      .filter((name, index, names) => typeof name === 'string' && this.layers.has(name) && names.indexOf(name) === index)
+      .map(name => this.layers.get(name));
+  }
+
+  /**
+   * Wait for the in-flight builds of the layers a function references
+   * @param {Object} functionConfig - Lambda function configuration
+   * @returns {Promise<void>} Resolves once the layers are built, whether or not they succeeded
+   */
+  async _waitForLayers(functionConfig) {
+    const pending = this._getReferencedLayers(functionConfig)
+      .filter(layer => this.pendingLayers.has(layer.Name));
+
+    if (pending.length > 0) {
+      this.logger.logBuild(functionConfig.Name, `Waiting for layer ${pending.map(layer => layer.Name).join(', ')}`, 'debug');
+      await Promise.all(pending.map(layer => this.pendingLayers.get(layer.Name)));
+    }
+  }
+
+  /**
+   * List the module names a layer provides to the functions using it
+   * Reads the packages installed in the built layer's nodejs/node_modules, and the dependencies
+   * of its package.json so functions bundle correctly before the layer has been built.
+   * @param {Object} layerConfig - Layer configuration
+   * @returns {Array<string>} Package names, including scoped names
+   */
+  _getLayerModules(layerConfig) {
+    const modules = new Set();
+    const contentUri = this._getCodeUri(layerConfig);
+
+    for (const packageJsonPath of [path.join(contentUri, 'package.json'), path.join(contentUri, 'nodejs', 'package.json')]) {
+      try {
+        const { dependencies = {} } = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        Object.keys(dependencies).forEach(name => modules.add(name));
+      } catch (error) {
+        // The layer may not use a package.json at this location
+      }
+    }
+
+    const nodeModulesDir = path.join(this._getArtifactDir(layerConfig.Name), 'nodejs', 'node_modules');
+    const listPackages = (dir, scope = '') => {
+      try {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+
+          if (!scope && entry.name.startsWith('@')) {
+            listPackages(path.join(dir, entry.name), entry.name);
+          } else {
+            modules.add(scope ? `${scope}/${entry.name}` : entry.name);
+          }
+        }
+      } catch (error) {
+        // The layer has not been built yet
+      }
+    };
+    listPackages(nodeModulesDir);
+
+    return Array.from(modules);
+  }
+
+  /**
+   * Execute esbuild for a function
+   * Reuses the function's long-lived esbuild context so only the changed modules are reprocessed
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} buildResult - Build result object to update
+   */
+  async _executeEsbuild(functionConfig, buildResult) {
+    const buildOptions = this._getEsbuildOptions(functionConfig, buildResult);
+
+    if (buildOptions.sourcemap) {
+      this.sourceMapFunctions.add(functionConfig.Name);
+    } else {
+      this.sourceMapFunctions.delete(functionConfig.Name);
+    }
+
+    if (this._reuseCachedBuild(functionConfig.Name, buildOptions, buildResult)) {
+      return null;
+    }
+
+    // In single-pass mode the bundle may come from one esbuild run for several functions
+    let result = await this._takeSinglePassOutput(functionConfig, buildOptions, buildResult);
+    try {
+      if (!result) {
+        const context = await this._getEsbuildContext(functionConfig.Name, buildOptions);
+        this._throwIfCancelled(functionConfig.Name);
+        this._setBuildAbort(functionConfig.Name, () => context.cancel());
+        result = await context.rebuild();
+      }
+    } catch (error) {
+      this.buildCache?.invalidate(functionConfig.Name);
+      this._recordDiagnostics(functionConfig.Name, this.diagnostics.fromEsbuild(error.warnings, 'warning'), buildResult);
+      const errorCount = this._recordDiagnostics(functionConfig.Name, this.diagnostics.fromEsbuild(error.errors, 'error'), buildResult);
+      this._explainTargetMessages(functionConfig, buildOptions, error.errors, buildResult);
+      throw new Error(errorCount > 0
+        ? `esbuild failed with ${errorCount} error${errorCount === 1 ? '' : 's'}`
+        : `esbuild failed: ${error.message}`);
+    }
+
+    this._recordDiagnostics(functionConfig.Name, this.diagnostics.fromEsbuild(result.warnings, 'warning'), buildResult);
+    this._explainTargetMessages(functionConfig, buildOptions, result.warnings, buildResult);
+    await this._listCommonJsExports(buildOptions, result.metafile);
+    this._verifyHandlerOutput(functionConfig, buildOptions, result);
+    this._rewriteSourceMaps(result.metafile);
+    this._recordInputGraph(functionConfig.Name, result.metafile);
+    this.topModules.set(functionConfig.Name, this.sizeAnalyzer.getTopModules(result.metafile));
+
+    const outputs = Object.keys(result.metafile.outputs);
+    const moduleMarker = this._writeModuleMarker(buildOptions);
+    if (moduleMarker) {
+      outputs.push(moduleMarker);
+    }
+    this._storeCachedBuild(functionConfig.Name, buildOptions, outputs);
+    this._recordBundleOutputs(functionConfig.Name, path.resolve(buildOptions.outdir), outputs, result.metafile);
+    this.logger.logBuild(functionConfig.Name, 'esbuild completed successfully', 'debug');
+    return result;
+  }
+
+  /**
+   * Create the persistent build cache unless it is disabled in the configuration
+   * @returns {BuildCache|null} Build cache, or null when disabled
+   */
+  _createBuildCache() {
+    if (!this.configManager.get('buildCache', true)) {
+      return null;
+    }
+
+    // The cache describes the artifacts of one build directory, so it is kept in it
+    const cache = new BuildCache(path.join(this.getBuildDir(), '.hot-reload-cache.json'), {
+      toolVersion: TOOL_VERSION,
+      esbuildVersion: esbuild.version
+    });
+    cache.on('cacheReset', ({ reason }) => {
+      this.logger.logDebug(`Discarded build cache: ${reason}`);
+    });
+
+    return cache;
+  }
+
+  /**
+   * Skip a build when the cache holds output for identical inputs and options
+   * Only builds without a live esbuild context consult the cache, such as the first build after
+   * a start. Rebuilds of a live context are incremental and cheaper than hashing every input.
+   * @param {string} functionName - Name of the function
+   * @param {Object} buildOptions - Resolved esbuild options
+   * @param {Object} buildResult - Build result object to update
+   * @returns {boolean} True if the cached output was reused
+   */
+  _reuseCachedBuild(functionName, buildOptions, buildResult) {
+    if (!this._shouldConsultCache(functionName)) {
+      return false;
+    }
+
+    const { hit, reason, inputs, outputs } = this.buildCache.lookup(functionName, buildOptions);
+    if (!hit) {
+      this.logger.logDebug(`Build cache miss: ${reason}`, functionName);
+      return false;
+    }
+
+    // Restore the import graph so later file changes are matched without a rebuild
+    this.functionInputs.set(functionName, new Set(inputs));
+    this._recordBundleOutputs(functionName, path.resolve(this._getArtifactDir(functionName)), outputs);
+    buildResult.cached = true;
+    this.logger.logBuild(functionName, 'Inputs unchanged, reusing cached build output', 'info');
+    return true;
+  }
+
+  /**
+   * Check whether a build may be skipped based on the build cache
+   * @param {string} functionName - Name of the function
+   * @returns {boolean} True if the cache is enabled, the build is not forced and no esbuild context is live
+   */
+  _shouldConsultCache(functionName) {
+    return Boolean(this.buildCache) && !this.forceRebuild && !this.esbuildContexts.has(functionName);
+  }
+
+  /**
+   * Record a successful esbuild build in the cache
+   * @param {string} functionName - Name of the function
+   * @param {Object} buildOptions - Resolved esbuild options
+   * @param {Array<string>} outputFiles - Files the build wrote, absolute or relative to the working directory
+   */
+  _storeCachedBuild(functionName, buildOptions, outputFiles) {
+    if (!this.buildCache) {
+      return;
+    }
+
+    // Outputs are recorded at the paths they are published to
+    const stagingDir = path.resolve(buildOptions.outdir);
+    const artifactDir = path.resolve(this._getArtifactDir(functionName));
+    const outputs = {};
+    for (const output of outputFiles) {
+      outputs[path.join(artifactDir, path.relative(stagingDir, path.resolve(output)))] = path.resolve(output);
+    }
+
+    this.buildCache.store(functionName, buildOptions, this.getFunctionInputs(functionName), outputs);
+  }
+
+  /**
+   * Remove every cached build so the next build of each function runs esbuild again
+   * 
+   * @example
+   * commandHandler.on('clearCache', () => buildManager.clearCache());
+   */
+  clearCache() {
+    if (!this.buildCache) {
+      this.logger.logInfo('Build cache is disabled');
+      return;
+    }
+
+    this.buildCache.clear();
+    this.logger.logInfo('Build cache cleared');
+  }
+
+  /**
+   * Resolve the esbuild options for a function from its metadata and custom build settings
+   * Defaults follow `sam build`: bundled, platform node, cjs format and minified. The target is the
+   * Node.js version of the Runtime (es2020 for other runtimes) and, unless External is set, the AWS SDK
+   * the runtime provides is not bundled.
+   * ES module bundles for Node.js get a banner that defines require with createRequire.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} [buildResult] - Build result object that receives unsupported property and runtime warnings
+   * @returns {Object} Options for the esbuild JS API
+   */
+  _getEsbuildOptions(functionConfig, buildResult) {
+    const buildProps = functionConfig.Metadata.BuildProperties || {};
+    
+    // Apply custom build settings from configuration
+    const customBuildSettings = this._getCustomBuildSettings(functionConfig.Name);
+    const mergedBuildProps = { ...buildProps, ...customBuildSettings };
+    
+    const codeUri = this._getCodeUri(functionConfig);
+    const outputDir = this._getStagingDir(functionConfig.Name);
+
+    const { module: handlerModule } = this._parseHandler(functionConfig.Properties.Handler);
+    const entryPoints = this._resolveEntryPoints(mergedBuildProps, codeUri, handlerModule);
+    const outbase = this._resolveOutbase(codeUri, entryPoints, handlerModule);
+
+    const runtime = functionConfig.Properties.Runtime;
+    const runtimeDefaults = this.lambdaRuntime.getDefaults(runtime);
+    const translatedOptions = this._translateBuildProperties(functionConfig.Name, mergedBuildProps, buildResult);
+
+    const buildOptions = {
+      bundle: true,
+      platform: 'node',
+      target: runtimeDefaults ? runtimeDefaults.target : 'es2020',
+      format: 'cjs',
+      minify: true,
+      ...translatedOptions,
+      entryPoints: entryPoints.map(entry => path.join(codeUri, entry)),
+      outdir: outputDir,
+      metafile: true,
+      logLevel: 'silent'
+    };
+
+    if (outbase) {
+      buildOptions.outbase = outbase;
+    }
+
+    if (runtimeDefaults && translatedOptions.external === undefined) {
+      buildOptions.external = [...runtimeDefaults.external];
+    }
+
+    const { newer } = this.lambdaRuntime.checkTarget(translatedOptions.target, runtime);
+    if (newer.length > 0) {
+      this._reportRuntimeConflict(
+        functionConfig.Name,
+        `Target ${newer.join(', ')} is newer than ${runtime} supports, the bundle may use syntax the runtime cannot run. ` +
+        `Remove Target to build for ${runtimeDefaults.target}.`,
+        buildResult
+      );
+    }
+
+    // Modules the function's layers provide are resolved from /opt/nodejs at runtime
+    const layerModules = this._getReferencedLayers(functionConfig).flatMap(layer => this._getLayerModules(layer));
+    if (layerModules.length > 0) {
+      buildOptions.external = [...new Set([...(buildOptions.external || []), ...layerModules])].sort();
+    }
+
+    // ES module bundles have no require, which bundled CommonJS dependencies use for built-ins like fs
+    const banner = buildOptions.banner?.js || '';
+    if (buildOptions.format === 'esm' && buildOptions.platform === 'node' && !banner.includes('createRequire')) {
+      buildOptions.banner = { ...buildOptions.banner, js: banner ? `${ESM_REQUIRE_BANNER}\n${banner}` : ESM_REQUIRE_BANNER };
+    }
+
+    const outputExtension = this._getOutputExtension(buildOptions);
+    const loadedAs = EXTENSION_FORMATS[outputExtension];
+    if (loadedAs && ['esm', 'cjs'].includes(buildOptions.format) && loadedAs !== buildOptions.format) {
+      this._reportRuntimeConflict(
+        functionConfig.Name,
+        `OutExtension ${outputExtension} makes Node.js load the bundle as ${loadedAs === 'esm' ? 'an ES module' : 'CommonJS'}, ` +
+        `but Format is ${buildOptions.format}. Set OutExtension to .js=${buildOptions.format === 'esm' ? '.mjs' : '.cjs'} or remove it.`,
+        buildResult
+      );
+    }
+
+    return buildOptions;
+  }
+
+  /**
+   * Get the extension esbuild gives JavaScript output, '.js' unless OutExtension changes it
+   * @param {Object} buildOptions - Resolved esbuild options
+   * @returns {string} Output extension, such as '.js' or '.mjs'
+   */
+  _getOutputExtension(buildOptions) {
+    return buildOptions.outExtension?.['.js'] || '.js';
+  }
+
+  /**
+   * Mark the output of an ES module build that uses the .js extension as ES modules
+   * Node.js loads .js files as CommonJS unless the nearest package.json sets "type": "module", and
+   * /var/task has no package.json of its own. Output with the .mjs extension needs no marker.
+   * @param {Object} buildOptions - Resolved esbuild options
+   * @returns {string|null} Path of the written package.json, or null if none is needed
+   */
+  _writeModuleMarker(buildOptions) {
+    if (buildOptions.format !== 'esm' || this._getOutputExtension(buildOptions) !== '.js') {
+      return null;
+    }
+
+    const markerPath = path.join(path.resolve(buildOptions.outdir), 'package.json');
+    fs.writeFileSync(markerPath, `${JSON.stringify({ type: 'module' })}\n`);
+    return markerPath;
+  }
+
+  /**
+   * Translate SAM esbuild BuildProperties into esbuild JS API options
+   * Values keep the shapes `sam build` accepts, e.g. `Loader: ['.png=file']` or `MainFields: 'module,main'`
+   * @param {string} functionName - Name of the function, used in warnings
+   * @param {Object} buildProps - Merged build properties
+   * @param {Object} [buildResult] - Build result object that receives unsupported property warnings
+   * @returns {Object} Translated esbuild options (EntryPoints is resolved separately)
+   */
+  _translateBuildProperties(functionName, buildProps, buildResult) {
+    const options = {};
+
+    for (const [key, value] of Object.entries(buildProps)) {
+      if (value === undefined || value === null || TOOL_SETTING_KEYS.includes(key)) {
+        continue;
+      }
+
+      if (!Object.prototype.hasOwnProperty.call(SAM_ESBUILD_PROPERTIES, key)) {
+        this._reportUnsupportedProperty(functionName, key, buildResult);
+        continue;
+      }
+
+      const option = SAM_ESBUILD_PROPERTIES[key];
+
+      switch (key) {
+        case 'EntryPoints':
+          break;
+        case 'Minify':
+        case 'KeepNames':
+        case 'SourcesContent':
+          options[option] = this._toBoolean(value);
+          break;
+        case 'Sourcemap':
+          // esbuild also accepts 'inline', 'external', 'linked' and 'both'
+          options[option] = ['inline', 'external', 'linked', 'both'].includes(value) ? value : this._toBoolean(value);
+          break;
+        case 'Target':
+          options[option] = this._toList(value);
+          break;
+        case 'Format':
+        case 'Platform':
+          options[option] = String(value);
+          break;
+        case 'MainFields':
+        case 'External':
+          options[option] = this._toList(value);
+          break;
+        case 'Loader':
+        case 'Define':
+        case 'OutExtension':
+          options[option] = this._toKeyValueMap(value);
+          break;
+        case 'Banner':
+        case 'Footer':
+          options[option] = this._toKeyValueMap(value, 'js');
+          break;
+      }
+    }
+
+    if (Array.isArray(options.target) && options.target.length === 1) {
+      options.target = options.target[0];
+    }
+
+    return options;
+  }
+
+  /**
+   * Warn once per function about BuildProperties that do not fit the function's Runtime
+   * @param {string} functionName - Name of the function
+   * @param {string} message - Warning message
+   * @param {Object} [buildResult] - Build result object that receives the warning
+   */
+  _reportRuntimeConflict(functionName, message, buildResult) {
+    if (buildResult) {
+      buildResult.warnings.push(message);
+    }
+
+    const reportKey = `${functionName}:${message}`;
+    if (!this.reportedWarnings.has(reportKey)) {
+      this.reportedWarnings.add(reportKey);
+      this.logger.logWarn(message, functionName);
+    }
+  }
+
+  /**
+   * Warn once per function about a BuildProperty that has no esbuild equivalent
+   * @param {string} functionName - Name of the function
+   * @param {string} key - Unsupported property name
+   * @param {Object} [buildResult] - Build result object that receives the warning
+   */
+  _reportUnsupportedProperty(functionName, key, buildResult) {
+    const message = `Unsupported esbuild BuildProperty '${key}' for ${functionName} is ignored. ` +
+      `Supported properties: ${Object.keys(SAM_ESBUILD_PROPERTIES).join(', ')}`;
+
+    if (buildResult) {
+      buildResult.warnings.push(message);
+    }
+
+    const reportKey = `${functionName}:${key}`;
+    if (!this.reportedWarnings.has(reportKey)) {
+      this.reportedWarnings.add(reportKey);
+      this.logger.logWarn(message, functionName);
+    }
+  }
+
+  /**
+   * Convert a BuildProperty value to a boolean, accepting YAML strings like "true"
+   * @param {*} value - Property value
+   * @returns {boolean} Boolean value
+   */
+  _toBoolean(value) {
+    if (typeof value === 'string') {
+      return value.trim().toLowerCase() === 'true';
+    }
+    return Boolean(value);
+  }
+
+  /**
+   * Convert a comma separated string or array BuildProperty into a list
+   * @param {string|Array} value - Property value
+   * @returns {Array<string>} List of values
+   */
+  _toList(value) {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  /**
+   * Convert `key=value` BuildProperty entries into an object
+   * Accepts a single string, a list of strings or an object map
+   * @param {string|Array|Object} value - Property value
+   * @param {string} [defaultKey] - Key used for entries without '=' (e.g. 'js' for Banner)
+   * @returns {Object} Key/value map
+   */
+  _toKeyValueMap(value, defaultKey) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, String(v)]));
+    }
+
+    const entries = Array.isArray(value) ? value : [value];
+    const map = {};
+
+    for (const entry of entries) {
+      const text = String(entry);
+      const separatorIndex = text.indexOf('=');
+
+      if (separatorIndex > 0) {
+        map[text.slice(0, separatorIndex).trim()] = text.slice(separatorIndex + 1);
+      } else if (defaultKey) {
+        map[defaultKey] = text;
+      }
+    }
+
+    return map;
+  }
+
+  /**
+   * Split a Lambda Handler into its module path and exported function name
+   * @param {string} [handler] - Handler property, e.g. handlers/orders.lambdaHandler
+   * @returns {{module: string|null, exportName: string|null}} Handler module and export name
+   */
+  _parseHandler(handler) {
+    if (typeof handler !== 'string' || !handler.includes('.')) {
+      return { module: null, exportName: null };
+    }
+
+    const separatorIndex = handler.lastIndexOf('.');
+    return {
+      module: path.posix.normalize(handler.slice(0, separatorIndex).replace(/\\/g, '/')),
+      exportName: handler.slice(separatorIndex + 1)
+    };
+  }
+
+  /**
+   * Resolve entry points relative to CodeUri
+   * Uses EntryPoints when provided, otherwise derives the entry from the Handler module like sam build
+   * @param {Object} buildProps - Merged build properties
+   * @param {string} codeUri - Function's source code directory
+   * @param {string|null} handlerModule - Module path from the Handler property
+   * @returns {Array<string>} Entry points relative to CodeUri
+   */
+  _resolveEntryPoints(buildProps, codeUri, handlerModule) {
+    if (Array.isArray(buildProps.EntryPoints) && buildProps.EntryPoints.length > 0) {
+      return buildProps.EntryPoints;
+    }
+
+    if (typeof buildProps.EntryPoints === 'string' && buildProps.EntryPoints) {
+      return [buildProps.EntryPoints];
+    }
+
+    if (!handlerModule) {
+      return ['app.ts'];
+    }
+
+    const candidates = HANDLER_EXTENSIONS.map(ext => `${handlerModule}${ext}`);
+    const existing = candidates.find(candidate => fs.existsSync(path.join(codeUri, candidate)));
+
+    return [existing || candidates[0]];
+  }
+
+  /**
+   * Choose an outbase so the entry matching the Handler lands where the Handler expects it
+   * For example src/handlers/orders.ts with Handler handlers/orders.lambdaHandler is built to handlers/orders.js
+   * @param {string} codeUri - Function's source code directory
+   * @param {Array<string>} entryPoints - Entry points relative to CodeUri
+   * @param {string|null} handlerModule - Module path from the Handler property
+   * @returns {string|undefined} Outbase directory, or undefined to keep esbuild's common-ancestor default
+   */
+  _resolveOutbase(codeUri, entryPoints, handlerModule) {
+    if (!handlerModule) {
+      return undefined;
+    }
+
+    const stripExtension = (entry) => path.posix.normalize(entry.replace(/\\/g, '/')).replace(/\.[^/.]+$/, '');
+    const handlerEntry = entryPoints.find(entry => {
+      const entryModule = stripExtension(entry);
+      return entryModule === handlerModule || entryModule.endsWith(`/${handlerModule}`);
+    });
+
+    if (!handlerEntry) {
+      return undefined;
+    }
+
+    const entryModule = stripExtension(handlerEntry);
+    const baseDir = entryModule.slice(0, entryModule.length - handlerModule.length);
+    const outbase = path.resolve(codeUri, baseDir || '.');
+
+    // esbuild requires every entry point to live under the outbase
+    const allUnderOutbase = entryPoints.every(entry => {
+      const resolved = path.resolve(codeUri, entry);
+      return resolved.startsWith(outbase + path.sep);
+    });
+
+    return allUnderOutbase ? outbase : undefined;
+  }
+
+  /**
+   * Verify the build produced the module the Handler points at and that it exports the Handler
+   * function. CommonJS output is only checked when its exports could be listed.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} buildOptions - Resolved esbuild options
+   * @param {Object} result - esbuild build result with metafile
+   * @throws {Error} If no output matches the Handler module or it does not export the Handler function
+   */
+  _verifyHandlerOutput(functionConfig, buildOptions, result) {
+    const handler = functionConfig.Properties.Handler;
+    const { module: handlerModule, exportName } = this._parseHandler(handler);
+
+    if (!handlerModule || !result || !result.metafile) {
+      return;
+    }
+
+    const outputDir = path.resolve(buildOptions.outdir);
+    const producedModules = new Map(Object.keys(result.metafile.outputs)
+      .filter(output => /\.[cm]?js$/.test(output))
+      .map(output => [path.relative(outputDir, path.resolve(output)).split(path.sep).join('/'), output]));
+    const expectedModule = `${handlerModule}${this._getOutputExtension(buildOptions)}`;
+
+    if (!producedModules.has(expectedModule)) {
+      throw new Error(
+        `Handler '${handler}' expects module '${expectedModule}' in the build output, ` +
+        `but esbuild produced: ${[...producedModules.keys()].join(', ') || 'no JavaScript files'}. ` +
+        `Update Metadata.BuildProperties.EntryPoints or the Handler so they match.`
+      );
+    }
+
+    const { exports } = result.metafile.outputs[producedModules.get(expectedModule)];
+    if (['esm', 'cjs'].includes(buildOptions.format) && Array.isArray(exports) && !exports.includes(exportName)) {
+      throw new Error(
+        `Handler '${handler}' expects '${expectedModule}' to export '${exportName}', ` +
+        `but it exports ${exports.length > 0 ? exports.join(', ') : 'nothing'}.`
+      );
+    }
+  }
+
+  /**
+   * List the exports of CommonJS output, which the esbuild metafile leaves empty
+   * The entry point of each output is transformed once more as an ES module, without bundling,
+   * and the exports esbuild lists for it replace the empty list. Outputs of CommonJS sources or of
+   * entry points that re-export a whole module get no list, their exports are only known at runtime.
+   * @param {Object} buildOptions - Resolved esbuild options
+   * @param {Object} metafile - esbuild metafile, its outputs are replaced with listed exports
+   * @returns {Promise<void>} Resolves once every entry point has been analysed
+   */
+  async _listCommonJsExports(buildOptions, metafile) {
+    if (buildOptions.format !== 'cjs' || !metafile) {
+      return;
+    }
+
+    await Promise.all(Object.entries(metafile.outputs).map(async ([output, info]) => {
+      if (!info.entryPoint) {
+        return;
+      }
+
+      let exports;
+      if (metafile.inputs?.[info.entryPoint]?.format === 'esm') {
+        try {
+          const analysis = await esbuild.build({
+            entryPoints: [info.entryPoint],
+            absWorkingDir: buildOptions.absWorkingDir,
+            loader: buildOptions.loader,
+            tsconfig: buildOptions.tsconfig,
+            outdir: buildOptions.outdir,
+            format: 'esm',
+            bundle: false,
+            write: false,
+            metafile: true,
+            logLevel: 'silent'
+          });
+          const [analysed] = Object.values(analysis.metafile.outputs);
+          // A .js file in a "type": "module" package still counts as an ES module when it assigns exports
+          const commonJs = analysis.warnings.some(warning => warning.id === 'commonjs-variable-in-esm');
+          if (!commonJs && !/^export \* from /m.test(analysis.outputFiles[0].text)) {
+            exports = analysed.exports;
+          }
+        } catch (error) {
+          this.logger.logDebug(`Could not list the exports of ${info.entryPoint}: ${error.message}`);
+        }
+      }
+
+      // Outputs are replaced rather than changed, a single-pass build shares them between functions
+      metafile.outputs[output] = { ...info, exports };
+    }));
+  }
+
+  /**
+   * Make the sources of emitted source maps relative to the map file
+   * Maps are written into the staging directory, which sits at the same depth as the artifact
+   * directory it is renamed to, so the relative paths hold once the build is published.
+   * Nothing depends on the directory the tool runs in, and a debugger that maps /var/task of the
+   * sam local container to the artifact directory resolves them to the original files.
+   * Inline source maps are left as esbuild wrote them.
+   * @param {Object} metafile - esbuild metafile
+   */
+  _rewriteSourceMaps(metafile) {
+    Object.keys(metafile?.outputs || {})
+      .filter(output => output.endsWith('.map'))
+      .forEach(output => this._rewriteSourceMap(path.resolve(output)));
+  }
+
+  /**
+   * Rewrite the sources of one source map relative to the map file, without a sourceRoot
+   * @param {string} mapPath - Absolute path of the source map
+   */
+  _rewriteSourceMap(mapPath) {
+    const map = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+    const mapDir = path.dirname(mapPath);
+    const sourceDir = path.resolve(mapDir, map.sourceRoot || '');
+
+    map.sources = map.sources.map(source => {
+      // Virtual modules of plugins use namespaced names instead of file paths
+      if (/^[a-z][\w+.-]*:/i.test(source)) {
+        return source;
+      }
+      return path.relative(mapDir, path.resolve(sourceDir, source)).split(path.sep).join('/');
+    });
+    delete map.sourceRoot;
+
+    fs.writeFileSync(mapPath, JSON.stringify(map));
+  }
+
+  /**
+   * Check whether the last esbuild build of a function emitted source maps
+   *
+   * @param {string} functionName - Name of the function
+   * @returns {boolean} True if Sourcemap is enabled for the function
+   * @example
+   * if (buildManager.usesSourceMaps('HelloWorldFunction')) {
+   *   // run the function with NODE_OPTIONS=--enable-source-maps
+   * }
+   */
+  usesSourceMaps(functionName) {
+    return this.sourceMapFunctions.has(functionName);
+  }
+
+  /**
+   * Get the persistent esbuild context for a function, creating it on first use
+   * The context is recreated when the resolved build options change
+   * @param {string} functionName - Name of the function
+   * @param {Object} buildOptions - Resolved esbuild options
+   * @returns {Promise<Object>} esbuild build context
+   */
+  async _getEsbuildContext(functionName, buildOptions) {
+    const optionsKey = JSON.stringify(buildOptions);
+    const existing = this.esbuildContexts.get(functionName);
+
+    if (existing && existing.optionsKey === optionsKey) {
+      return existing.context;
+    }
+
+    if (existing) {
+      this.logger.logDebug('Build options changed, recreating esbuild context', functionName);
+      await this.disposeFunction(functionName);
+    }
+
+    const context = await esbuild.context(buildOptions);
+    this.esbuildContexts.set(functionName, { context, optionsKey });
+    this.logger.logDebug('Created esbuild context', functionName);
+
+    return context;
+  }
+
+  /**
+   * Add structured diagnostics to a build result and log them with a code frame
+   * @param {string} functionName - Name of the function
+   * @param {Array<Object>} diagnostics - Diagnostics from BuildDiagnostics
+   * @param {Object} buildResult - Build result object to update
+   * @param {boolean} [failOnError=true] - Whether error diagnostics fail the build, otherwise they are reported as warnings
+   * @returns {number} Number of diagnostics that fail the build
+   */
+  _recordDiagnostics(functionName, diagnostics, buildResult, failOnError = true) {
+    let errorCount = 0;
+
+    for (const diagnostic of diagnostics) {
+      const fails = diagnostic.severity === 'error' && failOnError;
+      buildResult.diagnostics.push(diagnostic);
+      (fails ? buildResult.errors : buildResult.warnings).push(this.diagnostics.format(diagnostic));
+      this.logger.logDiagnostic(functionName, diagnostic, fails ? 'error' : 'warn');
+
+      if (fails) {
+        errorCount++;
+      }
+    }
+
+    return errorCount;
+  }
+
+  /**
+   * Explain esbuild messages about syntax the target cannot express when the Runtime supports it
+   * For example BigInt literals may crash with Target es2019, although nodejs20.x runs them.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} buildOptions - Resolved esbuild options
+   * @param {Array<Object>} [messages=[]] - esbuild errors or warnings
+   * @param {Object} buildResult - Build result object to update
+   */
+  _explainTargetMessages(functionConfig, buildOptions, messages = [], buildResult) {
+    const runtime = functionConfig.Properties.Runtime;
+    const { older } = this.lambdaRuntime.checkTarget(buildOptions.target, runtime);
+    if (older.length === 0 || !messages.some(message => /configured target environment/.test(message.text))) {
+      return;
+    }
+
+    const message = `Target ${older.join(', ')} is older than ${runtime} supports and cannot express syntax used in the code. ` +
+      `Remove Target to build for ${this.lambdaRuntime.getDefaults(runtime).target}.`;
+    buildResult.warnings.push(message);
+    this.logger.logBuild(functionConfig.Name, message, 'warn');
+  }
+
+  /**
+   * Execute makefile build for a function
+   * Follows `sam build`: runs the `build-<LogicalId>` target of the Makefile in ContextPath
+   * (default CodeUri) from ProjectRoot (default CodeUri) with ARTIFACTS_DIR set to the artifact directory
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} buildResult - Build result object to update
+   */
+  async _executeMakefile(functionConfig, buildResult) {
+    const codeUri = this._getCodeUri(functionConfig);
+    const metadata = functionConfig.Metadata || {};
+    const contextPath = metadata.ContextPath ? this._resolveTemplatePath(metadata.ContextPath) : codeUri;
+    const workingDir = metadata.ProjectRoot ? this._resolveTemplatePath(metadata.ProjectRoot) : codeUri;
+    const makefilePath = path.resolve(contextPath, 'Makefile');
+    const target = `build-${functionConfig.Name}`;
+
+    if (!fs.existsSync(makefilePath)) {
+      throw new Error(`Makefile not found at ${makefilePath}`);
+    }
+
+    const targets = this._parseMakefileTargets(fs.readFileSync(makefilePath, 'utf8'));
+    if (!targets.includes(target)) {
+      throw new Error(
+        `Makefile at ${makefilePath} has no '${target}' target. ` +
+        `sam build runs 'make ${target}' for function ${functionConfig.Name}, add a target with that name that copies the build output to $(ARTIFACTS_DIR).`
+      );
+    }
+
+    const artifactsDir = path.resolve(this._getStagingDir(functionConfig.Name));
+    fs.mkdirSync(artifactsDir, { recursive: true });
+
+    return new Promise((resolve, reject) => {
+      // A process group of its own lets cancellation stop everything make started
+      const make = spawn('make', ['-f', makefilePath, target], {
+        cwd: workingDir,
+        env: { ...process.env, ARTIFACTS_DIR: artifactsDir },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        detached: process.platform !== 'win32'
+      });
+      this._setBuildAbort(functionConfig.Name, () => this._killProcessTree(make));
+
+      let stdout = '';
+      let stderr = '';
+
+      make.stdout.on('data', (data) => {
+        stdout += data.toString();
+        this.logger.logBuild(functionConfig.Name, data.toString().trim(), 'debug');
+      });
+
+      make.stderr.on('data', (data) => {
+        stderr += data.toString();
+        this.logger.logBuild(functionConfig.Name, data.toString().trim(), 'debug');
+      });
+
+      make.on('close', (code, signal) => {
+        if (signal) {
+          reject(new Error(`make ${target} was stopped by ${signal}`));
+          return;
+        }
+
+        // Compilers report to stderr, tsc to stdout
+        const errorCount = this._recordDiagnostics(
+          functionConfig.Name,
+          this.diagnostics.parseOutput(`${stdout}\n${stderr}`, path.resolve(workingDir), 'make'),
+          buildResult,
+          code !== 0
+        );
+
+        if (code === 0) {
+          this.logger.logBuild(functionConfig.Name, `make ${target} completed successfully`, 'debug');
+          resolve();
+        } else if (errorCount > 0) {
+          reject(new Error(`make ${target} failed with exit code ${code} and ${errorCount} error${errorCount === 1 ? '' : 's'}`));
+        } else {
+          reject(new Error(`make ${target} failed with exit code ${code}: ${stderr}`));
+        }
+      });
+
+      make.on('error', (error) => {
+        reject(new Error(`Failed to spawn make: ${error.message}`));
+      });
+    });
+  }
+
+  /**
+   * Execute npm build for a function
+   * Follows the npm builder of `sam build`: copies CodeUri into the staging directory, or its
+   * nodejs/ directory for layers, and installs production dependencies there. npm only runs when package.json or the lockfile changed since
+   * the last install, otherwise the artifact's node_modules is reused.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} buildResult - Build result object to update
+   */
+  async _executeNpm(functionConfig, buildResult) {
+    const sourceDir = path.resolve(this._getCodeUri(functionConfig));
+    const stagingDir = path.resolve(this._getStagingDir(functionConfig.Name));
+    // Lambda mounts layers at /opt and resolves Node.js modules from /opt/nodejs/node_modules
+    const artifactsDir = this._isLayer(functionConfig) ? path.join(stagingDir, 'nodejs') : stagingDir;
+    const dependencyHash = this.npmBuilder.getDependencyHash(sourceDir);
+
+    // Start from hard links of the published build so unchanged files and node_modules are reused
+    this.npmBuilder.linkTree(path.resolve(this._getArtifactDir(functionConfig.Name)), stagingDir);
+
+    const { copied, removed } = this.npmBuilder.copySources(sourceDir, artifactsDir, [this.getBuildDir()]);
+    this.logger.logBuild(functionConfig.Name, `Copied ${copied} changed files, removed ${removed} stale entries`, 'debug');
+    this._throwIfCancelled(functionConfig.Name);
+
+    if (this.npmBuilder.isInstallCurrent(artifactsDir, dependencyHash)) {
+      buildResult.dependenciesReused = true;
+      this.logger.logBuild(functionConfig.Name, 'package.json and lockfile unchanged, reusing node_modules', 'debug');
+      return;
+    }
+
+    await this._runNpmInstall(functionConfig.Name, artifactsDir, this.npmBuilder.getInstallArgs(sourceDir));
+    this.npmBuilder.recordInstall(artifactsDir, dependencyHash);
+  }
+
+  /**
+   * Execute a custom build method registered from a project module
+   * The method builds into the staging directory; cancellation aborts the context signal and
+   * calls the method's cancel hook.
+   * @param {Object} method - Registered build method
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} buildResult - Build result object to update
+   */
+  async _executeCustomMethod(method, functionConfig, buildResult) {
+    const functionName = functionConfig.Name;
+    const artifactsDir = path.resolve(this._getStagingDir(functionName));
+    const controller = new AbortController();
+
+    fs.mkdirSync(artifactsDir, { recursive: true });
+    this._setBuildAbort(functionName, () => {
+      controller.abort();
+      if (method.cancel) {
+        method.cancel(functionName);
+      }
+    });
+
+    const result = await method.build(functionConfig, {
+      artifactsDir,
+      codeUri: path.resolve(this._getCodeUri(functionConfig)),
+      signal: controller.signal,
+      log: (message, level = 'info') => this.logger.logBuild(functionName, message, level)
+    });
+    this._throwIfCancelled(functionName);
+
+    for (const warning of (result && Array.isArray(result.warnings)) ? result.warnings : []) {
+      buildResult.warnings.push(String(warning));
+      this.logger.logBuild(functionName, `WARNING: ${warning}`, 'warn');
+    }
+  }
+
+  /**
+   * Install production dependencies into an artifact directory
+   * @param {string} functionName - Name of the function
+   * @param {string} artifactsDir - Absolute artifact directory containing package.json
+   * @param {Array<string>} args - npm arguments
+   * @returns {Promise<void>} Resolves once npm exits successfully
+   */
+  _runNpmInstall(functionName, artifactsDir, args) {
+    return new Promise((resolve, reject) => {
+      const command = `npm ${args.join(' ')}`;
+      const npm = spawn(process.platform === 'win32' ? 'npm.cmd' : 'npm', args, {
+        cwd: artifactsDir,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        shell: process.platform === 'win32',
+        detached: process.platform !== 'win32'
+      });
+      this._setBuildAbort(functionName, () => this._killProcessTree(npm));
+
+      let stderr = '';
+
+      npm.stdout.on('data', (data) => {
+        this.logger.logBuild(functionName, data.toString().trim(), 'debug');
+      });
+
+      npm.stderr.on('data', (data) => {
+        stderr += data.toString();
+        this.logger.logBuild(functionName, data.toString().trim(), 'debug');
+      });
+
+      npm.on('close', (code, signal) => {
+        if (signal) {
+          reject(new Error(`${command} was stopped by ${signal}`));
+        } else if (code === 0) {
+          this.logger.logBuild(functionName, `${command} completed successfully`, 'debug');
+          resolve();
+        } else {
+          reject(new Error(`${command} failed with exit code ${code}: ${stderr}`));
+        }
+      });
+
+      npm.on('error', (error) => {
+        reject(new Error(`Failed to spawn npm: ${error.message}`));
+      });
+    });
+  }
+
+  /**
+   * List the targets defined in a Makefile
+   * Skips variable assignments, recipe lines and comments; a rule may define several targets.
+   * @param {string} content - Makefile content
+   * @returns {Array<string>} Target names
+   */
+  _parseMakefileTargets(content) {
+    const targets = [];
+
+    for (const line of content.split(/\r?\n/)) {
+      if (line.startsWith('\t') || line.trim().startsWith('#')) {
+        continue;
+      }
+
+      const rule = line.match(/^([^:=#]+?)\s*::?(?!=)/);
+      if (rule) {
+        targets.push(...rule[1].trim().split(/\s+/));
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Get the directory every artifact and the built template are written to
+   * The buildDir setting is resolved against the directory of the template, like the
+   * `--build-dir` option of `sam build`, so the result does not depend on where the tool runs.
+   *
+   * @returns {string} Absolute build directory
+   * @example
+   * // templatePath 'stacks/api/template.yaml' and the default buildDir
+   * buildManager.getBuildDir(); // '/repo/stacks/api/.aws-sam/build'
+   */
+  getBuildDir() {
+    return path.resolve(this._getTemplateDir(), this.configManager.get('buildDir', path.join('.aws-sam', 'build')));
+  }
+
+  /**
+   * Get the directory of the template, which relative paths in the template are resolved against
+   * @returns {string} Absolute template directory
+   */
+  _getTemplateDir() {
+    return path.dirname(path.resolve(this.configManager.get('templatePath', './template.yaml')));
+  }
+
+  /**
+   * Resolve a path from the template, such as CodeUri or ContextPath, like `sam build` does
+   * @param {string} templatePath - Path relative to the template directory, or absolute
+   * @returns {string} The same location relative to the working directory, '.' for the working directory
+   */
+  _resolveTemplatePath(templatePath) {
+    return path.relative(process.cwd(), path.resolve(this._getTemplateDir(), templatePath)) || '.';
+  }
 
-      esbuild.on('close', (code) => {
-        if (code === 0) {
-          this.logger.logBuild(functionConfig.Name, 'esbuild completed successfully', 'debug');
-          resolve();
-        } else {
-          reject(new Error(`esbuild failed with exit code ${code}: ${stderr}`));
-        }
-      });
+  /**
+   * Get the source directory of a function, or the ContentUri of a layer
+   * @param {Object} functionConfig - Lambda function or layer configuration
+   * @returns {string} CodeUri resolved against the template directory, relative to the working directory
+   */
+  _getCodeUri(functionConfig) {
+    return this._resolveTemplatePath(functionConfig.Properties.CodeUri || '.');
+  }
 
-      esbuild.on('error', (error) => {
-        reject(new Error(`Failed to spawn esbuild: ${error.message}`));
-      });
-    });
+  /**
+   * Get the directory a function's build output is written to
+   * @param {string} functionName - Name of the function
+   * @returns {string} Artifact directory in the build directory, as used by `sam build`
+   */
+  _getArtifactDir(functionName) {
+    return path.join(this.getBuildDir(), functionName);
   }
 
   /**
-   * Execute makefile build for a function
-   * @param {Object} functionConfig - Lambda function configuration
-   * @param {Object} buildResult - Build result object to update
+   * Get the directory a function is built into before its output is published
+   * It sits next to the artifact directory, at the same depth so relative paths such as sourcemap
+   * sources stay valid when it is renamed.
+   * @param {string} functionName - Name of the function
+   * @returns {string} Staging directory
    */
-  async _executeMakefile(functionConfig, buildResult) {
-    const codeUri = functionConfig.Properties.CodeUri || '.';
-    const makefilePath = path.join(codeUri, 'Makefile');
+  _getStagingDir(functionName) {
+    return path.join(path.dirname(this._getArtifactDir(functionName)), `.${functionName}.staging`);
+  }
 
-    if (!fs.existsSync(makefilePath)) {
-      throw new Error(`Makefile not found at ${makefilePath}`);
+  /**
+   * Publish a staging directory as the artifacts of a function
+   * The artifact directory stays a real directory, as `sam build` writes it, so bind mounts of
+   * `sam local` containers keep working. The published artifacts are renamed to a backup, the
+   * staging directory is renamed over the artifact directory and the backup is removed, so the
+   * artifacts are only missing between two renames. If the second rename fails, the backup is restored.
+   * Builds that wrote nothing, such as build cache hits, keep the published artifacts.
+   * @param {string} functionName - Name of the function
+   * @param {string} [stagingDir] - Directory to publish, the function's staging directory by default
+   * @returns {boolean} True if new artifacts were published
+   */
+  _publishArtifacts(functionName, stagingDir = path.resolve(this._getStagingDir(functionName))) {
+    if (!fs.existsSync(stagingDir)) {
+      return false;
     }
 
-    return new Promise((resolve, reject) => {
-      const make = spawn('make', ['build'], {
-        cwd: codeUri,
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
+    const artifactDir = path.resolve(this._getArtifactDir(functionName));
+    const backupDir = path.join(path.dirname(artifactDir), `.${functionName}.previous`);
 
-      let stdout = '';
-      let stderr = '';
+    fs.rmSync(backupDir, { recursive: true, force: true });
+    const hasPrevious = fs.existsSync(artifactDir);
+    if (hasPrevious) {
+      fs.renameSync(artifactDir, backupDir);
+    }
 
-      make.stdout.on('data', (data) => {
-        stdout += data.toString();
-        this.logger.logBuild(functionConfig.Name, data.toString().trim(), 'debug');
-      });
+    try {
+      fs.renameSync(stagingDir, artifactDir);
+    } catch (error) {
+      if (hasPrevious) {
+        fs.renameSync(backupDir, artifactDir);
+      }
+      throw error;
+    }
 
-      make.stderr.on('data', (data) => {
-        stderr += data.toString();
-        const message = data.toString().trim();
-        if (message.includes('warning')) {
-          buildResult.warnings.push(message);
-          this.logger.logBuild(functionConfig.Name, `WARNING: ${message}`, 'warn');
-        } else {
-          this.logger.logBuild(functionConfig.Name, message, 'debug');
-        }
-      });
+    fs.rmSync(backupDir, { recursive: true, force: true });
+    this.logger.logDebug(`Published build output to ${path.relative(process.cwd(), artifactDir)}`, functionName);
+    return true;
+  }
 
-      make.on('close', (code) => {
-        if (code === 0) {
-          this.logger.logBuild(functionConfig.Name, 'make build completed successfully', 'debug');
-          resolve();
-        } else {
-          reject(new Error(`make build failed with exit code ${code}: ${stderr}`));
-        }
-      });
+  /**
+   * Remove the staging directory of a function
+   * @param {string} functionName - Name of the function
+   */
+  _discardStagingDir(functionName) {
+    try {
+      fs.rmSync(path.resolve(this._getStagingDir(functionName)), { recursive: true, force: true });
+    } catch (error) {
+      this.logger.logDebug(`Could not remove staging directory: ${error.message}`, functionName);
+    }
+  }
 
-      make.on('error', (error) => {
-        reject(new Error(`Failed to spawn make: ${error.message}`));
-      });
-    });
+  /**
+   * Tell the user that the last good build stays in place after a failed build
+   * @param {string} functionName - Name of the function
+   * @param {Object} buildResult - Build result object to update
+   */
+  _reportPreviousBuild(functionName, buildResult) {
+    const artifactDir = path.relative(process.cwd(), this._getArtifactDir(functionName));
+
+    let builtAt;
+    try {
+      builtAt = fs.statSync(artifactDir).mtime;
+    } catch (error) {
+      this.logger.logWarn(`No previous build in ${artifactDir}, nothing is served until a build succeeds`, functionName);
+      return;
+    }
+
+    buildResult.servingPreviousBuild = true;
+    this.logger.logWarn(
+      `Build failed, still serving the last good build from ${artifactDir} (built ${builtAt.toLocaleTimeString()})`,
+      functionName
+    );
   }
 
   /**
@@ -388,6 +2587,61 @@ export class BuildManager extends EventEmitter {
     return this.activeBuildCount > 0;
   }
 
+  /**
+   * Dispose the persistent esbuild context held for a function
+   * Call when a function stops being watched so esbuild can release its resources
+   * 
+   * @param {string} functionName - Name of the function
+   * @returns {Promise<void>} Resolves once the context has been disposed
+   * @example
+   * await buildManager.disposeFunction('HelloWorldFunction');
+   */
+  async disposeFunction(functionName) {
+    const entry = this.esbuildContexts.get(functionName);
+    if (!entry) {
+      return;
+    }
+
+    this.esbuildContexts.delete(functionName);
+    try {
+      await entry.context.dispose();
+      this.logger.logDebug('Disposed esbuild context', functionName);
+    } catch (error) {
+      this.logger.logDebug(`Failed to dispose esbuild context: ${error.message}`, functionName);
+    }
+  }
+
+  /**
+   * Cancel in-flight builds and dispose all persistent esbuild contexts
+   * Should be called before the process exits
+   * 
+   * @returns {Promise<void>} Resolves once every context has been disposed
+   * @example
+   * await buildManager.dispose();
+   */
+  async dispose() {
+    for (const functionName of this.inFlightBuilds.keys()) {
+      this.cancelBuild(functionName, 'shutting down');
+    }
+    if (this.typeChecker) {
+      this.typeChecker.dispose();
+    }
+
+    const functionNames = Array.from(this.esbuildContexts.keys());
+    await Promise.all(functionNames.map(name => this.disposeFunction(name)));
+  }
+
+  /**
+   * Dispose esbuild contexts of functions missing from the watched function list
+   * @param {Array} functions - Array of watched Lambda function configurations
+   * @returns {Promise<void>}
+   */
+  async _disposeDeselectedFunctions(functions) {
+    const watchedNames = new Set(functions.map(func => func.Name));
+    const deselected = Array.from(this.esbuildContexts.keys()).filter(name => !watchedNames.has(name));
+    await Promise.all(deselected.map(name => this.disposeFunction(name)));
+  }
+
   /**
    * Determine which functions need rebuilding based on changed files
    * @param {Array} functions - Array of Lambda function configurations
@@ -398,7 +2652,7 @@ export class BuildManager extends EventEmitter {
     const functionsToRebuild = [];
 
     for (const func of functions) {
-      const codeUri = func.Properties.CodeUri || '.';
+      const codeUri = this._getCodeUri(func);
       const needsRebuild = this._functionNeedsRebuild(func, changedFiles, codeUri);
       
       if (needsRebuild) {
@@ -409,6 +2663,18 @@ export class BuildManager extends EventEmitter {
       }
     }
 
+    // Functions pick up the new layer contents and externals, so they rebuild with their layers
+    const rebuiltLayers = new Set(functionsToRebuild.filter(func => this._isLayer(func)).map(layer => layer.Name));
+    for (const func of functions) {
+      if (functionsToRebuild.includes(func)) continue;
+
+      const changedLayer = this._getReferencedLayers(func).find(layer => rebuiltLayers.has(layer.Name));
+      if (changedLayer) {
+        functionsToRebuild.push(func);
+        this.logger.logInfo(`Function ${func.Name} needs rebuilding because layer ${changedLayer.Name} changed`);
+      }
+    }
+
     return functionsToRebuild;
   }
 
@@ -421,33 +2687,387 @@ export class BuildManager extends EventEmitter {
    */
   _functionNeedsRebuild(functionConfig, changedFiles, codeUri) {
     // Check if any changed files affect this function
-    const functionAffected = changedFiles.some(filePath => {
-      // Normalize paths for comparison
-      const normalizedFilePath = path.normalize(filePath);
-      const normalizedCodeUri = path.normalize(codeUri);
-      
-      // Check if the changed file is within the function's code directory
-      return normalizedFilePath.startsWith(normalizedCodeUri) || 
-             normalizedFilePath.startsWith(path.join(normalizedCodeUri, '/'));
-    });
+    const { affectingFiles, why } = this._explainRebuild(functionConfig, changedFiles, codeUri);
 
-    if (!functionAffected) {
+    if (affectingFiles.length === 0) {
+      this.logger.logDebug(`Skip: ${why}`, functionConfig.Name);
       return false;
     }
 
-    // Check artifact freshness
-    return this._isArtifactStale(functionConfig, codeUri);
+    // Check artifact freshness, esbuild builds are checked by content hash in the build cache instead
+    const isStale = this.buildCache && functionConfig.Metadata.BuildMethod === 'esbuild'
+      ? true
+      : this._isArtifactStale(functionConfig, codeUri, affectingFiles);
+    this.logger.logDebug(
+      isStale ? `Rebuild: ${why}` : `Skip: ${why}, but the build artifacts are already up to date`,
+      functionConfig.Name
+    );
+
+    return isStale;
+  }
+
+  /**
+   * Work out which changed files affect a function and explain why
+   * Uses the import graph recorded from the last esbuild metafile so edits to shared code and
+   * workspace packages outside CodeUri are picked up. Falls back to CodeUri containment when no
+   * graph is known yet (first build, makefile builds) or the last build failed.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Array} changedFiles - Array of changed file paths
+   * @param {string} codeUri - Function's source code directory
+   * @returns {{affectingFiles: Array<string>, why: string}} Absolute paths of affecting files and the reason
+   */
+  _explainRebuild(functionConfig, changedFiles, codeUri) {
+    const resolvedCodeUri = path.resolve(codeUri);
+    // Assets are copied without a rebuild unless the bundle imports them
+    const changedAssets = this._getChangedAssets(functionConfig, changedFiles);
+    const resolvedFiles = changedFiles.map(filePath => path.resolve(filePath))
+      .filter(filePath => !changedAssets.includes(filePath));
+    const inputs = this.functionInputs.get(functionConfig.Name);
+    const lastBuildFailed = this.failedFunctions.has(functionConfig.Name);
+
+    // Resolve paths for comparison, the file watcher reports absolute paths
+    const isInCodeUri = (filePath) =>
+      filePath === resolvedCodeUri || filePath.startsWith(resolvedCodeUri + path.sep);
+
+    const relative = (filePath) => path.relative(process.cwd(), filePath) || filePath;
+
+    if (!inputs) {
+      const watchedInputs = this._getWatchedInputs(functionConfig, codeUri);
+      const isWatched = (filePath) => watchedInputs.some(input => filePath === input || filePath.startsWith(input + path.sep));
+      const affectingFiles = resolvedFiles.filter(isWatched);
+      const where = watchedInputs.length === 1 && watchedInputs[0] === resolvedCodeUri
+        ? `CodeUri ${codeUri}`
+        : `its watched inputs ${watchedInputs.map(relative).join(', ')}`;
+
+      return {
+        affectingFiles,
+        why: affectingFiles.length > 0
+          ? `${affectingFiles.map(relative).join(', ')} changed inside ${where} (no import graph recorded yet)`
+          : `no changed file is inside ${where} (no import graph recorded yet)`
+      };
+    }
+
+    const importedFiles = resolvedFiles.filter(filePath => inputs.has(filePath));
+
+    // package.json and tsconfig.json change how imports resolve for every input below them
+    const configFiles = resolvedFiles.filter(filePath => {
+      if (!RESOLUTION_CONFIG_FILES.includes(path.basename(filePath))) return false;
+      const configDir = path.dirname(filePath) + path.sep;
+      return Array.from(inputs).some(input => input.startsWith(configDir) && !input.includes(`${path.sep}node_modules${path.sep}`));
+    });
+
+    const retryFiles = lastBuildFailed
+      ? resolvedFiles.filter(filePath => isInCodeUri(filePath) && !inputs.has(filePath) && !configFiles.includes(filePath))
+      : [];
+    const affectingFiles = [...importedFiles, ...configFiles, ...retryFiles];
+
+    if (affectingFiles.length === 0) {
+      return {
+        affectingFiles,
+        why: `none of the changed files are in its import graph (${inputs.size} inputs)`
+      };
+    }
+
+    const reasons = [];
+    if (importedFiles.length > 0) {
+      reasons.push(`${importedFiles.map(relative).join(', ')} is imported by the bundle`);
+    }
+    if (configFiles.length > 0) {
+      reasons.push(`${configFiles.map(relative).join(', ')} controls module resolution for its inputs`);
+    }
+    if (retryFiles.length > 0) {
+      reasons.push(`${retryFiles.map(relative).join(', ')} changed inside CodeUri after a failed build`);
+    }
+
+    return { affectingFiles, why: reasons.join('; ') };
+  }
+
+  /**
+   * Get the asset patterns of a function
+   * Patterns from the global and the function's buildSettings and from Metadata.Assets are combined.
+   * Layers have no assets.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @returns {Array<string>} Glob patterns relative to CodeUri
+   * @throws {Error} If a setting is not a list of patterns
+   */
+  _getAssetPatterns(functionConfig) {
+    if (this._isLayer(functionConfig)) {
+      return [];
+    }
+
+    const buildSettings = this.configManager.get('buildSettings', {});
+    const sources = [
+      ['buildSettings.global.assets', this._lookupSettings(buildSettings, 'global')?.assets],
+      [`buildSettings.${functionConfig.Name}.assets`, this._lookupSettings(buildSettings, functionConfig.Name)?.assets],
+      ['Metadata.Assets', functionConfig.Metadata?.Assets]
+    ];
+
+    const patterns = [];
+    for (const [setting, value] of sources) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      const list = typeof value === 'string' ? [value] : value;
+      if (!Array.isArray(list) || list.some(pattern => typeof pattern !== 'string')) {
+        throw new Error(`${setting} must be a list of glob patterns`);
+      }
+      patterns.push(...list);
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Copy the assets of a function into its new build output
+   * Build cache hits stage nothing, their published artifacts are hard-linked into the staging
+   * directory first, so the assets are brought up to date in a build that is published as a whole.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Object} buildResult - Build result object to update
+   * @throws {Error} If the asset patterns are invalid
+   */
+  _copyAssets(functionConfig, buildResult) {
+    const patterns = this._getAssetPatterns(functionConfig);
+    if (patterns.length === 0) {
+      return;
+    }
+
+    const sourceDir = path.resolve(this._getCodeUri(functionConfig));
+    const stagingDir = path.resolve(this._getStagingDir(functionConfig.Name));
+    const assets = this.assetCopier.findAssets(sourceDir, patterns, [this.getBuildDir()]);
+
+    if (assets.length === 0) {
+      const message = `Asset patterns ${patterns.join(', ')} match no files in ${functionConfig.Properties.CodeUri || '.'}`;
+      buildResult.warnings.push(message);
+      this.logger.logBuild(functionConfig.Name, message, 'warn');
+      return;
+    }
+
+    if (!fs.existsSync(stagingDir)) {
+      this.npmBuilder.linkTree(path.resolve(this._getArtifactDir(functionConfig.Name)), stagingDir);
+    }
+    const { copied } = this.assetCopier.copyAssets(sourceDir, stagingDir, assets);
+    buildResult.assets = assets;
+    this.logger.logBuild(functionConfig.Name, `Copied ${copied} of ${assets.length} assets`, 'debug');
+  }
+
+  /**
+   * Find the changed files that are assets of a function and not imported by its bundle
+   * Invalid asset patterns match nothing here, the next build reports them.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {Array<string>} changedFiles - Changed file paths
+   * @returns {Array<string>} Absolute paths of the changed assets
+   */
+  _getChangedAssets(functionConfig, changedFiles) {
+    let rules;
+    try {
+      const patterns = this._getAssetPatterns(functionConfig);
+      if (patterns.length === 0) {
+        return [];
+      }
+      rules = this.assetCopier.compilePatterns(patterns);
+    } catch (error) {
+      return [];
+    }
+
+    const codeUri = path.resolve(this._getCodeUri(functionConfig));
+    const inputs = this.functionInputs.get(functionConfig.Name);
+
+    return changedFiles.map(filePath => path.resolve(filePath)).filter(filePath =>
+      filePath.startsWith(codeUri + path.sep) &&
+      !(inputs && inputs.has(filePath)) &&
+      this.assetCopier.matches(path.relative(codeUri, filePath).split(path.sep).join('/'), rules));
+  }
+
+  /**
+   * Publish the changed assets of functions that are not rebuilt
+   * The published build is hard-linked into a staging directory, the changed assets are copied over
+   * the links and the result is published like a build, so the bundle is reused without rebuilding.
+   * Assets deleted from CodeUri are removed from the artifacts. Functions without a successful
+   * build yet are skipped, their first build copies every asset.
+   * @param {Array<Object>} functions - Functions that are not rebuilt in this run
+   * @param {Array<string>} changedFiles - Changed file paths
+   * @fires BuildManager#assetsUpdated
+   */
+  _updateAssets(functions, changedFiles) {
+    for (const func of functions) {
+      const changedAssets = this._getChangedAssets(func, changedFiles);
+      const artifactDir = path.resolve(this._getArtifactDir(func.Name));
+      if (changedAssets.length === 0 || !fs.existsSync(artifactDir)) {
+        continue;
+      }
+
+      const codeUri = path.resolve(this._getCodeUri(func));
+      const stagingDir = path.join(path.dirname(artifactDir), `.${func.Name}.assets`);
+      try {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+        this.npmBuilder.linkTree(artifactDir, stagingDir);
+        const { copied, removed } = this.assetCopier.copyAssets(
+          codeUri,
+          stagingDir,
+          changedAssets.map(filePath => path.relative(codeUri, filePath))
+        );
+        this._publishArtifacts(func.Name, stagingDir);
+        this.logger.logInfo(`Updated ${copied + removed} changed assets without rebuilding`, func.Name);
+        this.emit('assetsUpdated', { functionName: func.Name, files: changedAssets, copied, removed });
+      } catch (error) {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+        this.logger.logWarn(`Could not update assets: ${error.message}`, func.Name);
+      }
+    }
+  }
+
+  /**
+   * Get the extensions of the files an asset pattern can match
+   * @param {string} pattern - Glob pattern relative to CodeUri
+   * @returns {Array<string>|null} Extensions without a leading dot, null if the pattern matches any extension
+   */
+  _getPatternExtensions(pattern) {
+    const fileName = pattern.replace(/\\/g, '/').split('/').pop();
+    const match = fileName.match(/\.(\{[^{}]*\}|[^.*?{}]+)$/);
+    if (!match) {
+      return null;
+    }
+
+    const extensions = match[1].startsWith('{') ? match[1].slice(1, -1).split(',') : [match[1]];
+    return extensions.every(extension => /^[^./*?{}]+$/.test(extension)) ? extensions : null;
+  }
+
+  /**
+   * Get the directories the file watcher has to watch for a set of functions
+   * CodeUri and the build directory are resolved against the template directory, so it is watched
+   * rather than the directory the tool runs in. Source directories outside of it are watched too.
+   *
+   * @param {Array<Object>} functions - Array of Lambda function configurations
+   * @returns {Array<string>} Absolute directories
+   * @example
+   * // templatePath 'stacks/api/template.yaml', ApiFunction has CodeUri '../../shared/api'
+   * buildManager.getWatchDirs(functions); // ['/repo/stacks/api', '/repo/shared/api']
+   */
+  getWatchDirs(functions) {
+    const templateDir = this._getTemplateDir();
+    const dirs = [templateDir];
+
+    for (const func of functions) {
+      const codeUri = path.resolve(this._getCodeUri(func));
+      if (!dirs.some(dir => codeUri === dir || codeUri.startsWith(dir + path.sep))) {
+        dirs.push(codeUri);
+      }
+    }
+
+    return dirs;
+  }
+
+  /**
+   * Get the file extensions the file watcher has to report for a set of functions
+   * Besides every extension a Handler module may have and configuration files this includes the
+   * extensions of explicit EntryPoints and of every asset pattern, so a changed entry point or asset
+   * reaches the build manager. A pattern without a fixed extension, such as `templates/**`, can
+   * match any file and makes the watcher report every extension.
+   *
+   * @param {Array<Object>} functions - Array of Lambda function configurations
+   * @returns {Array<string>} Extensions without a leading dot, or ['*'] for every extension
+   * @example
+   * // buildSettings { "global": { "assets": ["**\/*.graphql"] } }
+   * const fileWatcher = new FileWatcher({ extensions: buildManager.getWatchExtensions(functions) });
+   * // extensions ['ts', 'js', 'mts', 'mjs', 'cts', 'cjs', 'json', 'yaml', 'yml', 'graphql']
+   */
+  getWatchExtensions(functions) {
+    const extensions = new Set(WATCHED_EXTENSIONS);
+
+    for (const func of functions) {
+      const buildProps = { ...(func.Metadata?.BuildProperties || {}), ...this._getCustomBuildSettings(func.Name) };
+      [].concat(buildProps.EntryPoints || [])
+        .map(entry => path.extname(String(entry)).slice(1))
+        .filter(Boolean)
+        .forEach(extension => extensions.add(extension));
+
+      let patterns;
+      try {
+        patterns = this._getAssetPatterns(func);
+      } catch (error) {
+        // Invalid asset settings are reported by the build
+        continue;
+      }
+
+      for (const pattern of patterns.filter(pattern => !pattern.startsWith('!'))) {
+        const patternExtensions = this._getPatternExtensions(pattern);
+        if (!patternExtensions) {
+          return ['*'];
+        }
+        patternExtensions.forEach(extension => extensions.add(extension));
+      }
+    }
+
+    return Array.from(extensions);
+  }
+
+  /**
+   * Get the files and directories whose changes trigger a rebuild when no import graph is known
+   * Custom build methods may list them with getWatchedInputs, everything else watches CodeUri.
+   * @param {Object} functionConfig - Lambda function configuration
+   * @param {string} codeUri - Function's source code directory
+   * @returns {Array<string>} Absolute watched paths
+   */
+  _getWatchedInputs(functionConfig, codeUri) {
+    const method = this.buildMethods.get((functionConfig.Metadata || {}).BuildMethod);
+
+    if (method && method.getWatchedInputs) {
+      try {
+        const watchedInputs = method.getWatchedInputs(functionConfig);
+        if (Array.isArray(watchedInputs) && watchedInputs.length > 0) {
+          return watchedInputs.map(input => path.resolve(this._getTemplateDir(), input));
+        }
+      } catch (error) {
+        this.logger.logWarn(`getWatchedInputs of build method ${method.name} failed, watching CodeUri: ${error.message}`, functionConfig.Name);
+      }
+    }
+
+    return [path.resolve(codeUri)];
+  }
+
+  /**
+   * Record the input files of a function's bundle from the esbuild metafile
+   * @param {string} functionName - Name of the function
+   * @param {Object} metafile - esbuild metafile
+   */
+  _recordInputGraph(functionName, metafile) {
+    if (!metafile || !metafile.inputs) {
+      return;
+    }
+
+    // Inputs from plugins live in namespaces like "virtual:..." and have no file on disk
+    const inputs = Object.keys(metafile.inputs)
+      .filter(input => !/^[a-z-]+:/i.test(input) || path.isAbsolute(input))
+      .map(input => path.resolve(input));
+
+    this.functionInputs.set(functionName, new Set(inputs));
+    this.logger.logDebug(`Recorded ${inputs.length} input files from the esbuild metafile`, functionName);
+  }
+
+  /**
+   * Get the input files recorded for a function's last successful esbuild build
+   * 
+   * @param {string} functionName - Name of the function
+   * @returns {Array<string>} Absolute paths of the bundle's input files, empty if unknown
+   * @example
+   * const inputs = buildManager.getFunctionInputs('HelloWorldFunction');
+   * console.log(`${inputs.length} files are bundled into HelloWorldFunction`);
+   */
+  getFunctionInputs(functionName) {
+    return Array.from(this.functionInputs.get(functionName) || []);
   }
 
   /**
    * Check if build artifacts are stale compared to source files
    * @param {Object} functionConfig - Lambda function configuration
    * @param {string} codeUri - Function's source code directory
+   * @param {Array<string>} [changedFiles=[]] - Changed input files, which may live outside CodeUri
    * @returns {boolean} True if artifacts are stale and need rebuilding
    */
-  _isArtifactStale(functionConfig, codeUri) {
+  _isArtifactStale(functionConfig, codeUri, changedFiles = []) {
     try {
-      const outputDir = path.join('.aws-sam', 'build', functionConfig.Name);
+      const outputDir = this._getArtifactDir(functionConfig.Name);
       
       // Check if output directory exists
       if (!fs.existsSync(outputDir)) {
@@ -456,7 +3076,14 @@ export class BuildManager extends EventEmitter {
       }
 
       // Get the most recent modification time of source files
-      const sourceModTime = this._getLatestSourceModTime(codeUri);
+      const sourceModTime = changedFiles.reduce((latest, filePath) => {
+        try {
+          return Math.max(latest, fs.statSync(filePath).mtime.getTime());
+        } catch (error) {
+          // Deleted files always make the artifact stale
+          return Number.MAX_SAFE_INTEGER;
+        }
+      }, this._getLatestSourceModTime(codeUri));
       
       // Get the modification time of the build artifact
       const artifactModTime = this._getArtifactModTime(outputDir);
@@ -579,7 +3206,8 @@ export class BuildManager extends EventEmitter {
   _displayBuildSummary() {
     const results = Array.from(this.buildResults.values());
     const successCount = results.filter(r => r.success).length;
-    const failureCount = results.filter(r => !r.success).length;
+    const cancelledCount = results.filter(r => r.cancelled).length;
+    const failureCount = results.filter(r => !r.success && !r.cancelled).length;
     const totalDuration = results.reduce((sum, r) => sum + r.duration, 0);
     const averageDuration = results.length > 0 ? Math.round(totalDuration / results.length) : 0;
 
@@ -589,6 +3217,9 @@ export class BuildManager extends EventEmitter {
     this.logger.logInfo(`Total Functions: ${results.length}`);
     this.logger.logInfo(`Successful: ${successCount}`);
     this.logger.logInfo(`Failed: ${failureCount}`);
+    if (cancelledCount > 0) {
+      this.logger.logInfo(`Cancelled: ${cancelledCount}`);
+    }
     this.logger.logInfo(`Total Duration: ${totalDuration}ms`);
     this.logger.logInfo(`Average Duration: ${averageDuration}ms`);
     this.logger.logInfo('='.repeat(60));
@@ -597,7 +3228,7 @@ export class BuildManager extends EventEmitter {
     if (results.length > 0) {
       this.logger.logInfo('\nFunction Build Results:');
       results.forEach(result => {
-        const status = result.success ? '✅ SUCCESS' : '❌ FAILED';
+        const status = result.success ? '✅ SUCCESS' : (result.cancelled ? '⏹️ CANCELLED' : '❌ FAILED');
         const duration = `${result.duration}ms`;
         this.logger.logInfo(`  ${result.functionName}: ${status} (${duration})`);
         
@@ -606,6 +3237,18 @@ export class BuildManager extends EventEmitter {
             this.logger.logInfo(`    Error: ${error}`);
           });
         }
+
+        if (result.servingPreviousBuild) {
+          this.logger.logInfo('    Serving the previous successful build');
+        }
+
+        if (result.deduplicated) {
+          this.logger.logInfo(`    Bundle shared with ${result.sharedWith}`);
+        }
+
+        if (result.size) {
+          this._displayBundleSize(result.size);
+        }
         
         if (result.warnings.length > 0) {
           result.warnings.forEach(warning => {
@@ -618,6 +3261,25 @@ export class BuildManager extends EventEmitter {
     this.logger.logInfo('');
   }
 
+  /**
+   * Display the size of a function's artifacts in the build summary
+   * @param {Object} size - Size recorded by _checkBundleSize
+   */
+  _displayBundleSize(size) {
+    const format = (value) => this.sizeAnalyzer.formatSize(value);
+    const signed = (value) => `${value >= 0 ? '+' : ''}${format(value)}`;
+
+    const change = size.delta
+      ? `, ${signed(size.delta.bytes)} (${signed(size.delta.gzipBytes)} gzip) since the previous build`
+      : '';
+    this.logger.logInfo(`    Size: ${format(size.bytes)} (${format(size.gzipBytes)} gzip)${change}`);
+
+    if (size.topModules.length > 0) {
+      const modules = size.topModules.map(({ module, bytes }) => `${module} ${format(bytes)}`).join(', ');
+      this.logger.logInfo(`    Top modules: ${modules}`);
+    }
+  }
+
   /**
    * Get custom build settings for a function from configuration
    * @param {string} functionName - Name of the function
@@ -626,17 +3288,25 @@ export class BuildManager extends EventEmitter {
   _getCustomBuildSettings(functionName) {
     const buildSettings = this.configManager.get('buildSettings', {});
     
-    // Check for function-specific settings
-    if (buildSettings[functionName]) {
-      return buildSettings[functionName];
-    }
-    
-    // Check for global build settings
-    if (buildSettings.global) {
-      return buildSettings.global;
+    // Check for function-specific settings, then global build settings
+    return this._lookupSettings(buildSettings, functionName) ||
+      this._lookupSettings(buildSettings, 'global') ||
+      {};
+  }
+
+  /**
+   * Look up a settings object in buildSettings by key
+   * Ignores members inherited from Object.prototype, such as a function named valueOf.
+   * @param {Object} buildSettings - buildSettings from the configuration
+   * @param {string} key - Function name or 'global'
+   * @returns {Object|null} Settings object, or null if not configured
+   */
+  _lookupSettings(buildSettings, key) {
+    const settings = buildSettings[key];
+    if (!settings || typeof settings !== 'object' || settings === Object.prototype) {
+      return null;
     }
-    
-    return {};
+    return settings;
   }
 
   /**
@@ -4,10 +4,75 @@
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import fc from 'fast-check';
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { execFileSync, spawn } from 'child_process';
+import { pathToFileURL } from 'url';
+import match from 'nodemon/lib/monitor/match.js';
 import { BuildManager } from './build-manager.js';
+import { BuildCache } from './build-cache.js';
+import { BuildMethodRegistry } from './build-method-registry.js';
 import { Logger } from './logger.js';
 import { ConfigurationManager } from './configuration-manager.js';
+import { FileWatcher } from './file-watcher.js';
+
+/**
+ * Create a logger mock with every method BuildManager calls
+ * @returns {Object} Logger with a vi.fn() per method
+ */
+const createMockLogger = () => ({
+  logInfo: vi.fn(),
+  logBuildStart: vi.fn(),
+  logBuildComplete: vi.fn(),
+  logBuild: vi.fn(),
+  logBuildError: vi.fn(),
+  logError: vi.fn(),
+  logDebug: vi.fn(),
+  logWarn: vi.fn(),
+  logDiagnostic: vi.fn()
+});
+
+/**
+ * Create a configuration manager mock that returns the defaults for unset keys
+ * The build cache is off unless enabled, so builds leave no cache file in the build directory.
+ * @param {Object|Function} [values={}] - Configuration values, or a function returning them on every lookup
+ * @returns {Object} Configuration manager with a vi.fn() get
+ */
+const createConfig = (values = {}) => ({
+  get: vi.fn((key, defaultValue) => {
+    const config = { buildCache: false, ...(typeof values === 'function' ? values() : values) };
+    return config[key] !== undefined ? config[key] : defaultValue;
+  })
+});
+
+/**
+ * Create a project in a new temporary directory, with a build directory inside it
+ * Builds of the project never write into the repository, every test removes its whole project.
+ * @param {Object<string, string>} [files={}] - File contents by path relative to the project
+ * @returns {Object} testDir and buildDir, createManager(values, buildMethods) for a BuildManager that
+ *   builds into buildDir with further configuration values as for createConfig, and remove()
+ */
+const createProject = (files = {}) => {
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-manager-test-'));
+  const buildDir = path.join(testDir, '.aws-sam', 'build');
+
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(testDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(testDir, file), content);
+  }
+
+  return {
+    testDir,
+    buildDir,
+    createManager: (values = {}, buildMethods) => new BuildManager(
+      createMockLogger(),
+      createConfig(typeof values === 'function' ? () => ({ buildDir, ...values() }) : { buildDir, ...values }),
+      buildMethods
+    ),
+    remove: () => fs.rmSync(testDir, { recursive: true, force: true })
+  };
+};
 
 describe('BuildManager', () => {
   let buildManager;
@@ -16,23 +81,10 @@ describe('BuildManager', () => {
 
   beforeEach(() => {
     // Create mock logger with all required methods
-    mockLogger = {
-      logInfo: vi.fn(),
-      logBuildStart: vi.fn(),
-      logBuildComplete: vi.fn(),
-      logBuild: vi.fn(),
-      logError: vi.fn(),
-      logDebug: vi.fn(),
-      logWarn: vi.fn()
-    };
+    mockLogger = createMockLogger();
 
     // Create mock configuration manager
-    mockConfigManager = {
-      get: vi.fn((key, defaultValue) => {
-        if (key === 'parallelBuilds') return true;
-        return defaultValue;
-      })
-    };
+    mockConfigManager = createConfig({ parallelBuilds: true });
 
     buildManager = new BuildManager(mockLogger, mockConfigManager);
   });
@@ -320,6 +372,28 @@ describe('BuildManager', () => {
     ), { numRuns: 30 });
   });
 
+  it('should match absolute changed file paths reported by the file watcher', async () => {
+    const functions = [
+      {
+        Name: 'Function1',
+        Properties: { CodeUri: './func1', Runtime: 'nodejs20.x' },
+        Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+      },
+      {
+        Name: 'Function10',
+        Properties: { CodeUri: './func10', Runtime: 'nodejs20.x' },
+        Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+      }
+    ];
+
+    buildManager._executeEsbuild = vi.fn(async () => {});
+    buildManager._isArtifactStale = vi.fn(() => true);
+
+    const results = await buildManager.buildFunctions(functions, [path.resolve('func1/app.ts')]);
+
+    expect(Array.from(results.keys())).toEqual(['Function1']);
+  });
+
   /**
    * **Feature: lambda-hot-reload-improvements, Property 18: Build completion reporting**
    * **Validates: Requirements 6.5**
@@ -582,3 +656,2355 @@ describe('BuildManager', () => {
     ), { numRuns: 100 });
   });
 });
+
+describe('BuildManager failure logging', () => {
+  let project;
+  let testDir;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    project = createProject({ 'app.ts': 'export const handler = async () => {\n  return 1 +;\n};\n' });
+    ({ testDir } = project);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    project.remove();
+  });
+
+  it('should report failed builds through a Logger without error listeners', async () => {
+    // The CLI does not listen for the logger's error event
+    const logger = new Logger();
+    const configManager = new ConfigurationManager();
+    configManager.updateConfig('buildCache', false);
+    configManager.updateConfig('buildDir', project.buildDir);
+    const buildManager = new BuildManager(logger, configManager);
+
+    const result = await buildManager.buildFunction({
+      Name: 'BrokenFunction',
+      Properties: { CodeUri: testDir, Handler: 'app.handler', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+    });
+    await buildManager.dispose();
+
+    expect(logger.listenerCount('error')).toBe(0);
+    expect(result.success).toBe(false);
+    expect(result.errors).toContain('esbuild failed with 1 error');
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('esbuild failed with 1 error'));
+  });
+});
+
+describe('BuildManager esbuild contexts', () => {
+  let project;
+  let buildManager;
+  let testDir;
+
+  beforeEach(() => {
+    project = createProject({ 'app.ts': 'export const lambdaHandler = async () => ({ statusCode: 200 });\n' });
+    ({ testDir } = project);
+    buildManager = project.createManager();
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const contextFunction = () => ({
+    Name: 'ContextFunction',
+    Properties: { CodeUri: testDir, Handler: 'app.lambdaHandler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+  });
+
+  it('should reuse the same esbuild context across rebuilds', async () => {
+    const first = await buildManager.buildFunction(contextFunction());
+    const context = buildManager.esbuildContexts.get('ContextFunction').context;
+
+    fs.writeFileSync(path.join(testDir, 'app.ts'), 'export const lambdaHandler = async () => ({ statusCode: 201 });\n');
+    const second = await buildManager.buildFunction(contextFunction());
+
+    expect(first.success).toBe(true);
+    expect(second.success).toBe(true);
+    expect(buildManager.esbuildContexts.get('ContextFunction').context).toBe(context);
+    expect(fs.readFileSync(path.join(project.buildDir, 'ContextFunction', 'app.js'), 'utf8')).toContain('201');
+  });
+
+  it('should dispose contexts of functions that are no longer watched', async () => {
+    await buildManager.buildFunction(contextFunction());
+    expect(buildManager.esbuildContexts.has('ContextFunction')).toBe(true);
+
+    buildManager._executeEsbuild = vi.fn(async () => {});
+    await buildManager.buildFunctions([{ ...contextFunction(), Name: 'OtherFunction' }]);
+
+    expect(buildManager.esbuildContexts.has('ContextFunction')).toBe(false);
+  });
+});
+
+describe('BuildManager entry points', () => {
+  let project;
+  let buildManager;
+  let testDir;
+  let artifactDir;
+
+  beforeEach(() => {
+    project = createProject({
+      'src/handlers/orders.ts': 'export const lambdaHandler = async () => "orders";\n',
+      'src/handlers/users.ts': 'export const lambdaHandler = async () => "users";\n'
+    });
+    ({ testDir } = project);
+    artifactDir = path.join(project.buildDir, 'EntryFunction');
+    buildManager = project.createManager();
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const entryFunction = (handler, entryPoints) => ({
+    Name: 'EntryFunction',
+    Properties: { CodeUri: testDir, Handler: handler, Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: entryPoints ? { EntryPoints: entryPoints } : {} }
+  });
+
+  it('should parse handler module paths and export names', () => {
+    expect(buildManager._parseHandler('handlers/orders.lambdaHandler')).toEqual({
+      module: 'handlers/orders',
+      exportName: 'lambdaHandler'
+    });
+    expect(buildManager._parseHandler('app.handler')).toEqual({ module: 'app', exportName: 'handler' });
+    expect(buildManager._parseHandler(undefined)).toEqual({ module: null, exportName: null });
+  });
+
+  it('should place nested entry points where the Handler expects them', async () => {
+    const result = await buildManager.buildFunction(
+      entryFunction('handlers/orders.lambdaHandler', ['src/handlers/orders.ts', 'src/handlers/users.ts'])
+    );
+
+    expect(result.success).toBe(true);
+    expect(fs.existsSync(path.join(artifactDir, 'handlers', 'orders.js'))).toBe(true);
+    expect(fs.existsSync(path.join(artifactDir, 'handlers', 'users.js'))).toBe(true);
+  });
+
+  it('should derive the entry point from the Handler when EntryPoints is not set', async () => {
+    const result = await buildManager.buildFunction(entryFunction('src/handlers/users.lambdaHandler'));
+
+    expect(result.success).toBe(true);
+    expect(fs.existsSync(path.join(artifactDir, 'src', 'handlers', 'users.js'))).toBe(true);
+  });
+
+  it('should watch every extension an entry point may have', () => {
+    const extensions = buildManager.getWatchExtensions([
+      entryFunction('handlers/orders.lambdaHandler'),
+      entryFunction('handlers/orders.lambdaHandler', ['src/handlers/orders.tsx'])
+    ]);
+
+    expect(extensions).toEqual(expect.arrayContaining(['ts', 'js', 'mts', 'mjs', 'cts', 'cjs', 'tsx']));
+  });
+
+  it('should fail with a clear error when no output matches the Handler module', async () => {
+    const result = await buildManager.buildFunction(
+      entryFunction('index.lambdaHandler', ['src/handlers/orders.ts'])
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toContain("Handler 'index.lambdaHandler' expects module 'index.js'");
+    expect(result.errors[0]).toContain('orders.js');
+  });
+
+  it('should fail when the CommonJS output does not export the Handler function', async () => {
+    const result = await buildManager.buildFunction(entryFunction('src/handlers/orders.handler'));
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toBe(
+      "Handler 'src/handlers/orders.handler' expects 'src/handlers/orders.js' to export 'handler', but it exports lambdaHandler."
+    );
+  });
+
+  it('should not check the exports of CommonJS sources and whole-module re-exports', async () => {
+    fs.writeFileSync(path.join(testDir, 'src', 'handlers', 'legacy.js'), 'exports.lambdaHandler = async () => "legacy";\n');
+    fs.writeFileSync(path.join(testDir, 'src', 'handlers', 'index.ts'), 'export * from "./users";\n');
+
+    expect((await buildManager.buildFunction(entryFunction('src/handlers/legacy.lambdaHandler'))).success).toBe(true);
+    expect((await buildManager.buildFunction(entryFunction('src/handlers/index.lambdaHandler'))).success).toBe(true);
+  });
+});
+
+describe('BuildManager ES module output', () => {
+  let project;
+  let buildManager;
+  let testDir;
+  let artifactDir;
+
+  beforeEach(() => {
+    project = createProject({
+      // A CommonJS dependency that requires a Node.js built-in
+      'node_modules/cjs-dep/package.json': '{ "name": "cjs-dep", "main": "index.js" }\n',
+      'node_modules/cjs-dep/index.js': 'module.exports = () => typeof require("fs").existsSync;\n',
+      'app.ts': 'import check from "cjs-dep";\nexport const handler = async () => check();\n'
+    });
+    ({ testDir } = project);
+    artifactDir = path.join(project.buildDir, 'EsmFunction');
+    buildManager = project.createManager();
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const esmFunction = (buildProperties, handler = 'app.handler') => ({
+    Name: 'EsmFunction',
+    Properties: { CodeUri: testDir, Handler: handler, Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: { Format: 'esm', ...buildProperties } }
+  });
+
+  const runHandler = (file) => execFileSync(process.execPath, ['-e', `
+    import(${JSON.stringify(pathToFileURL(path.resolve(artifactDir, file)).href)})
+      .then(app => app.handler()).then(console.log, error => console.log(error.message))`
+  ], { encoding: 'utf8', timeout: 10000 }).trim();
+
+  it('should mark .js output as ES modules and give CommonJS dependencies require', async () => {
+    const result = await buildManager.buildFunction(esmFunction({}));
+
+    expect(result.success).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(artifactDir, 'package.json'), 'utf8'))).toEqual({ type: 'module' });
+    expect(fs.readFileSync(path.join(artifactDir, 'app.js'), 'utf8')).toMatch(/^import \{ createRequire as __createRequire \}/);
+    expect(runHandler('app.js')).toBe('function');
+  });
+
+  it('should write .mjs output without a package.json marker', async () => {
+    const result = await buildManager.buildFunction(esmFunction({ OutExtension: ['.js=.mjs'] }));
+
+    expect(result.success).toBe(true);
+    expect(fs.readdirSync(artifactDir)).toEqual(['app.mjs']);
+    expect(runHandler('app.mjs')).toBe('function');
+  });
+
+  it('should fail when the ES module does not export the Handler function', async () => {
+    const result = await buildManager.buildFunction(esmFunction({}, 'app.main'));
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toBe("Handler 'app.main' expects 'app.js' to export 'main', but it exports handler.");
+  });
+});
+
+describe('BuildManager SAM BuildProperties', () => {
+  let buildManager;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = createMockLogger();
+    const mockConfigManager = createConfig();
+
+    buildManager = new BuildManager(mockLogger, mockConfigManager);
+  });
+
+  it('should translate every SAM esbuild BuildProperty like sam build', () => {
+    const options = buildManager._translateBuildProperties('PropsFunction', {
+      Minify: 'false',
+      Sourcemap: true,
+      KeepNames: true,
+      Target: 'node20',
+      Format: 'esm',
+      Platform: 'node',
+      MainFields: 'module,main',
+      External: ['@aws-sdk/*', 'pg-native'],
+      Loader: ['.png=file', '.graphql=text'],
+      Define: ['process.env.STAGE="dev"'],
+      Banner: 'js=// banner',
+      Footer: ['js=// footer'],
+      OutExtension: ['.js=.mjs']
+    });
+
+    expect(options).toEqual({
+      minify: false,
+      sourcemap: true,
+      keepNames: true,
+      target: 'node20',
+      format: 'esm',
+      platform: 'node',
+      mainFields: ['module', 'main'],
+      external: ['@aws-sdk/*', 'pg-native'],
+      loader: { '.png': 'file', '.graphql': 'text' },
+      define: { 'process.env.STAGE': '"dev"' },
+      banner: { js: '// banner' },
+      footer: { js: '// footer' },
+      outExtension: { '.js': '.mjs' }
+    });
+  });
+
+  it('should warn once per function about unsupported BuildProperties', () => {
+    const buildResult = { warnings: [] };
+
+    buildManager._translateBuildProperties('PropsFunction', { Bundle: false }, buildResult);
+    buildManager._translateBuildProperties('PropsFunction', { Bundle: false }, buildResult);
+
+    expect(buildResult.warnings).toHaveLength(2);
+    expect(buildResult.warnings[0]).toContain("'Bundle'");
+    expect(mockLogger.logWarn).toHaveBeenCalledTimes(1);
+    expect(mockLogger.logWarn).toHaveBeenCalledWith(expect.stringContaining('PropsFunction'), 'PropsFunction');
+  });
+
+  it('should derive the target and the provided SDK externals from the Runtime', () => {
+    const optionsFor = (runtime, buildProperties = {}) => buildManager._getEsbuildOptions({
+      Name: 'DefaultsFunction',
+      Properties: { CodeUri: './defaults', Handler: 'app.handler', Runtime: runtime },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: buildProperties }
+    });
+
+    expect(optionsFor('nodejs20.x')).toMatchObject({
+      bundle: true, platform: 'node', target: 'node20', format: 'cjs', minify: true, external: ['@aws-sdk/*']
+    });
+    expect(optionsFor('nodejs16.x')).toMatchObject({ target: 'node16', external: ['aws-sdk'] });
+    expect(optionsFor('nodejs22.x', { Target: 'es2022', External: [] })).toMatchObject({ target: 'es2022', external: [] });
+    expect(optionsFor('nodejs20.x').banner).toBeUndefined();
+
+    const other = optionsFor('provided.al2023');
+    expect(other.target).toBe('es2020');
+    expect(other.external).toBeUndefined();
+  });
+
+  it('should warn once when Target is newer than the Runtime supports', () => {
+    const buildResult = { warnings: [] };
+    const functionConfig = {
+      Name: 'NewerTargetFunction',
+      Properties: { CodeUri: './defaults', Handler: 'app.handler', Runtime: 'nodejs18.x' },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: { Target: ['es2023', 'node18'] } }
+    };
+
+    buildManager._getEsbuildOptions(functionConfig, buildResult);
+    buildManager._getEsbuildOptions(functionConfig, buildResult);
+
+    expect(buildResult.warnings).toEqual([
+      'Target es2023 is newer than nodejs18.x supports, the bundle may use syntax the runtime cannot run. Remove Target to build for node18.',
+      'Target es2023 is newer than nodejs18.x supports, the bundle may use syntax the runtime cannot run. Remove Target to build for node18.'
+    ]);
+    expect(mockLogger.logWarn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should add the createRequire banner to ES module bundles and check OutExtension against Format', () => {
+    const buildResult = { warnings: [] };
+    const optionsFor = (buildProperties) => buildManager._getEsbuildOptions({
+      Name: 'EsmOptionsFunction',
+      Properties: { CodeUri: './esm', Handler: 'app.handler', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: buildProperties }
+    }, buildResult);
+
+    const banner = "import { createRequire as __createRequire } from 'module'; const require = __createRequire(import.meta.url);";
+    expect(optionsFor({ Format: 'esm' }).banner).toEqual({ js: banner });
+    expect(optionsFor({ Format: 'esm', Banner: 'js=// built' }).banner).toEqual({ js: `${banner}\n// built` });
+    expect(optionsFor({ Format: 'esm', Banner: ['js=import { createRequire } from "module";'] }).banner)
+      .toEqual({ js: 'import { createRequire } from "module";' });
+    expect(buildResult.warnings).toEqual([]);
+
+    optionsFor({ Format: 'esm', OutExtension: ['.js=.cjs'] });
+    optionsFor({ OutExtension: ['.js=.mjs'] });
+    expect(buildResult.warnings).toEqual([
+      'OutExtension .cjs makes Node.js load the bundle as CommonJS, but Format is esm. Set OutExtension to .js=.mjs or remove it.',
+      'OutExtension .mjs makes Node.js load the bundle as an ES module, but Format is cjs. Set OutExtension to .js=.cjs or remove it.'
+    ]);
+  });
+
+  it('should accept key=value properties as lists or maps', () => {
+    fc.assert(fc.property(
+      fc.dictionary(
+        fc.string({ minLength: 1, maxLength: 10 }).filter(s => !s.includes('=') && s.trim() === s && s !== '__proto__'),
+        fc.string({ maxLength: 10 })
+      ),
+      (map) => {
+        const asList = Object.entries(map).map(([key, value]) => `${key}=${value}`);
+        expect(buildManager._toKeyValueMap(asList)).toEqual(map);
+        expect(buildManager._toKeyValueMap(map)).toEqual(map);
+      }
+    ), { numRuns: 100 });
+  });
+});
+
+describe('BuildManager import graph', () => {
+  let project;
+  let buildManager;
+  let mockLogger;
+  let testDir;
+
+  beforeEach(() => {
+    project = createProject({
+      'shared/util.ts': 'export const greet = () => "hi";\n',
+      'shared/unused.ts': 'export const unused = 1;\n',
+      'function/app.ts': 'import { greet } from "../shared/util";\nexport const handler = async () => greet();\n'
+    });
+    ({ testDir } = project);
+    buildManager = project.createManager();
+    mockLogger = buildManager.logger;
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const graphFunction = () => ({
+    Name: 'GraphFunction',
+    Properties: { CodeUri: path.join(testDir, 'function'), Handler: 'app.handler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+  });
+
+  // Push the artifact mtime into the past so the next edit is newer
+  const ageArtifacts = () => {
+    const past = new Date(Date.now() - 60000);
+    const artifactDir = path.join(project.buildDir, 'GraphFunction');
+    for (const file of fs.readdirSync(artifactDir)) {
+      fs.utimesSync(path.join(artifactDir, file), past, past);
+    }
+  };
+
+  it('should record bundle inputs from the esbuild metafile', async () => {
+    const results = await buildManager.buildFunctions([graphFunction()]);
+    expect(results.get('GraphFunction').success).toBe(true);
+
+    const inputs = buildManager.getFunctionInputs('GraphFunction');
+    expect(inputs).toContain(path.join(testDir, 'function', 'app.ts'));
+    expect(inputs).toContain(path.join(testDir, 'shared', 'util.ts'));
+    expect(inputs).not.toContain(path.join(testDir, 'shared', 'unused.ts'));
+  });
+
+  it('should rebuild when shared code outside CodeUri changes', async () => {
+    await buildManager.buildFunctions([graphFunction()]);
+    ageArtifacts();
+
+    const sharedFile = path.join(testDir, 'shared', 'util.ts');
+    fs.writeFileSync(sharedFile, 'export const greet = () => "hello";\n');
+
+    const toRebuild = buildManager._determineFunctionsToRebuild([graphFunction()], [sharedFile]);
+    expect(toRebuild).toHaveLength(1);
+    expect(mockLogger.logDebug).toHaveBeenCalledWith(
+      expect.stringMatching(/^Rebuild: .*util\.ts is imported by the bundle/),
+      'GraphFunction'
+    );
+  });
+
+  it('should skip functions whose import graph does not contain the changed file', async () => {
+    await buildManager.buildFunctions([graphFunction()]);
+    ageArtifacts();
+
+    const unusedFile = path.join(testDir, 'shared', 'unused.ts');
+    fs.writeFileSync(unusedFile, 'export const unused = 2;\n');
+
+    const toRebuild = buildManager._determineFunctionsToRebuild([graphFunction()], [unusedFile]);
+    expect(toRebuild).toHaveLength(0);
+    expect(mockLogger.logDebug).toHaveBeenCalledWith(
+      expect.stringMatching(/^Skip: none of the changed files are in its import graph/),
+      'GraphFunction'
+    );
+  });
+
+  it('should rebuild when a package.json above the inputs changes', async () => {
+    await buildManager.buildFunctions([graphFunction()]);
+    ageArtifacts();
+
+    const packageFile = path.join(testDir, 'package.json');
+    fs.writeFileSync(packageFile, '{}\n');
+
+    const toRebuild = buildManager._determineFunctionsToRebuild([graphFunction()], [packageFile]);
+    expect(toRebuild).toHaveLength(1);
+  });
+
+  it('should fall back to CodeUri matching after a failed build', async () => {
+    fs.writeFileSync(path.join(testDir, 'function', 'app.ts'), 'import { missing } from "./nowhere";\nexport const handler = missing;\n');
+    const results = await buildManager.buildFunctions([graphFunction()]);
+    expect(results.get('GraphFunction').success).toBe(false);
+
+    const newFile = path.join(testDir, 'function', 'nowhere.ts');
+    fs.writeFileSync(newFile, 'export const missing = async () => 1;\n');
+
+    const toRebuild = buildManager._determineFunctionsToRebuild([graphFunction()], [newFile]);
+    expect(toRebuild).toHaveLength(1);
+  });
+});
+
+describe('BuildManager build cache', () => {
+  let project;
+  let testDir;
+  let managers;
+
+  beforeEach(() => {
+    project = createProject({ 'app.ts': 'export const handler = async () => 1;\n' });
+    ({ testDir } = project);
+    managers = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(managers.map(manager => manager.dispose()));
+    project.remove();
+  });
+
+  // Each manager simulates one run of the tool sharing a cache file in the test directory
+  const createManager = () => {
+    const manager = project.createManager();
+    manager.buildCache = new BuildCache(path.join(testDir, 'cache.json'), { toolVersion: 'test', esbuildVersion: 'test' });
+    managers.push(manager);
+    return manager;
+  };
+
+  const cachedFunction = () => ({
+    Name: 'CachedFunction',
+    Properties: { CodeUri: testDir, Handler: 'app.handler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+  });
+
+  it('should skip unchanged builds after a restart and restore the import graph', async () => {
+    const first = await createManager().buildFunction(cachedFunction());
+    expect(first.cached).toBeUndefined();
+
+    const restarted = createManager();
+    const second = await restarted.buildFunction(cachedFunction());
+
+    expect(second.success).toBe(true);
+    expect(second.cached).toBe(true);
+    expect(restarted.esbuildContexts.has('CachedFunction')).toBe(false);
+    expect(restarted.getFunctionInputs('CachedFunction')).toContain(path.join(testDir, 'app.ts'));
+  });
+
+  it('should rebuild when content changes, when forced and after clearing the cache', async () => {
+    const manager = createManager();
+    await manager.buildFunction(cachedFunction());
+
+    fs.writeFileSync(path.join(testDir, 'app.ts'), 'export const handler = async () => 2;\n');
+    expect((await manager.buildFunction(cachedFunction())).cached).toBeUndefined();
+
+    const forced = await manager.buildFunctions([cachedFunction()], [], { force: true });
+    expect(forced.get('CachedFunction').cached).toBeUndefined();
+
+    manager.clearCache();
+    expect((await createManager().buildFunction(cachedFunction())).cached).toBeUndefined();
+  });
+
+  it('should only consult the cache while a function has no live esbuild context', async () => {
+    const manager = createManager();
+    const lookup = vi.spyOn(manager.buildCache, 'lookup');
+
+    await manager.buildFunction(cachedFunction());
+    fs.writeFileSync(path.join(testDir, 'app.ts'), 'export const handler = async () => 2;\n');
+    await manager.buildFunction(cachedFunction());
+
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect(manager.esbuildContexts.has('CachedFunction')).toBe(true);
+  });
+});
+
+// Killed orphans can linger as zombies until init reaps them, those count as stopped
+const isProcessRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return false;
+  }
+  try {
+    return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+  } catch (error) {
+    return true;
+  }
+};
+
+describe('BuildManager cancellation', () => {
+  let project;
+  let buildManager;
+  let mockLogger;
+
+  beforeEach(() => {
+    project = createProject();
+    buildManager = project.createManager();
+    mockLogger = buildManager.logger;
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 200 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  it('should cancel superseded builds and merge repeated changes into one follow-up', async () => {
+    const functions = [{
+      Name: 'SlowFunction',
+      Properties: { CodeUri: './slow', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+    }];
+
+    let executions = 0;
+    buildManager._executeEsbuild = vi.fn((functionConfig) => {
+      executions++;
+      if (executions > 1) return Promise.resolve();
+      // The first build only ends when it is aborted
+      return new Promise((resolve, reject) => {
+        buildManager._setBuildAbort(functionConfig.Name, () => reject(new Error('The build was canceled')));
+      });
+    });
+
+    const cancelled = [];
+    buildManager.on('buildCancelled', (event) => cancelled.push(event));
+    const buildFunctionsSpy = vi.spyOn(buildManager, 'buildFunctions');
+
+    const first = buildManager.scheduleBuild(functions, ['./slow/app.ts']);
+    await waitFor(() => buildManager.inFlightBuilds.has('SlowFunction'));
+
+    const second = buildManager.scheduleBuild(functions, ['./slow/app.ts']);
+    const third = buildManager.scheduleBuild(functions, ['./slow/util.ts']);
+    expect(third).toBe(second);
+
+    const firstResults = await first;
+    const followUpResults = await second;
+
+    expect(firstResults.get('SlowFunction').cancelled).toBe(true);
+    expect(followUpResults.get('SlowFunction').success).toBe(true);
+    expect(cancelled).toEqual([
+      expect.objectContaining({ functionName: 'SlowFunction', reason: 'superseded by newer changes' })
+    ]);
+    expect(executions).toBe(2);
+    expect(buildFunctionsSpy).toHaveBeenCalledTimes(2);
+    expect(buildFunctionsSpy.mock.calls[1][1]).toEqual(['./slow/app.ts', './slow/util.ts']);
+    expect(mockLogger.logError).not.toHaveBeenCalled();
+  });
+
+  it('should not cancel builds that the new changes do not affect', async () => {
+    const functions = [{
+      Name: 'SlowFunction',
+      Properties: { CodeUri: './slow', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+    }];
+
+    let finishBuild;
+    buildManager._executeEsbuild = vi.fn(() => new Promise(resolve => { finishBuild = resolve; }));
+
+    const first = buildManager.scheduleBuild(functions, ['./slow/app.ts']);
+    await waitFor(() => buildManager.inFlightBuilds.has('SlowFunction'));
+
+    buildManager.scheduleBuild(functions, ['./other/app.ts']);
+    expect(buildManager.inFlightBuilds.get('SlowFunction').cancelled).toBe(false);
+
+    finishBuild();
+    expect((await first).get('SlowFunction').success).toBe(true);
+  });
+
+  it('should stop the whole make process tree when a makefile build is cancelled', async () => {
+    const { testDir } = project;
+    fs.writeFileSync(path.join(testDir, 'Makefile'), 'build-MakeFunction:\n\tsleep 30 & echo $$! > background.pid; sleep 30\n');
+
+    const build = buildManager.buildFunction({
+      Name: 'MakeFunction',
+      Properties: { CodeUri: testDir, Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'makefile' }
+    });
+
+    const pidFile = path.join(testDir, 'background.pid');
+    await waitFor(() => fs.existsSync(pidFile) && fs.readFileSync(pidFile, 'utf8').trim() !== '');
+    const backgroundPid = Number(fs.readFileSync(pidFile, 'utf8').trim());
+
+    expect(buildManager.cancelBuild('MakeFunction', 'test')).toBe(true);
+    const result = await build;
+
+    expect(result.cancelled).toBe(true);
+    await waitFor(() => !isProcessRunning(backgroundPid));
+    expect(isProcessRunning(backgroundPid)).toBe(false);
+  });
+});
+
+describe('BuildManager build timeouts', () => {
+  let project;
+  let mockLogger;
+  let buildSettings;
+  let buildManager;
+
+  beforeEach(() => {
+    project = createProject();
+    buildSettings = {};
+    buildManager = project.createManager(() => ({ buildSettings }));
+    mockLogger = buildManager.logger;
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  it('should resolve per-function, global and default build timeouts', () => {
+    expect(buildManager._getBuildTimeout('AnyFunction')).toBe(5 * 60 * 1000);
+
+    buildSettings.global = { buildTimeout: 60000, Minify: false };
+    buildSettings.SlowFunction = { buildTimeout: 0 };
+
+    expect(buildManager._getBuildTimeout('AnyFunction')).toBe(60000);
+    expect(buildManager._getBuildTimeout('SlowFunction')).toBe(0);
+  });
+
+  it('should not pass buildTimeout to esbuild or report it as unsupported', () => {
+    const options = buildManager._translateBuildProperties('AnyFunction', { buildTimeout: 1000, Minify: false }, { warnings: [] });
+
+    expect(options).toEqual({ minify: false });
+    expect(mockLogger.logWarn).not.toHaveBeenCalled();
+  });
+
+  it('should time out a hung build, report it and still complete the batch', async () => {
+    buildSettings.HungFunction = { buildTimeout: 50 };
+    buildManager._executeEsbuild = vi.fn((functionConfig) =>
+      functionConfig.Name === 'HungFunction' ? new Promise(() => {}) : Promise.resolve()
+    );
+
+    const results = await buildManager.buildFunctions([
+      {
+        Name: 'HungFunction',
+        Properties: { CodeUri: './hung', Runtime: 'nodejs20.x' },
+        Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+      },
+      {
+        Name: 'FastFunction',
+        Properties: { CodeUri: './fast', Runtime: 'nodejs20.x' },
+        Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+      }
+    ]);
+
+    const hung = results.get('HungFunction');
+    expect(hung.success).toBe(false);
+    expect(hung.timedOut).toBe(true);
+    expect(hung.errors[0]).toMatch(/timeout/i);
+    expect(mockLogger.logBuildError).toHaveBeenCalledWith(
+      'HungFunction',
+      expect.objectContaining({ message: expect.stringMatching(/timeout/i) }),
+      { step: 'esbuild build' }
+    );
+    expect(results.get('FastFunction').success).toBe(true);
+  });
+
+  it('should kill the make process tree when a makefile build times out', async () => {
+    const { testDir } = project;
+    fs.writeFileSync(path.join(testDir, 'Makefile'), 'build-MakeFunction:\n\tsleep 30 & echo $$! > background.pid; sleep 30\n');
+    buildSettings.MakeFunction = { buildTimeout: 500 };
+
+    const result = await buildManager.buildFunction({
+      Name: 'MakeFunction',
+      Properties: { CodeUri: testDir, Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'makefile' }
+    });
+
+    expect(result.timedOut).toBe(true);
+
+    const backgroundPid = Number(fs.readFileSync(path.join(testDir, 'background.pid'), 'utf8').trim());
+    for (let i = 0; i < 100 && isProcessRunning(backgroundPid); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(isProcessRunning(backgroundPid)).toBe(false);
+  });
+
+  describe('abandoned build steps', () => {
+    const zombieFunction = {
+      Name: 'ZombieFunction',
+      Properties: { CodeUri: './zombie', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+    };
+
+    let finishZombie;
+    let lateAbort;
+
+    beforeEach(() => {
+      buildSettings.ZombieFunction = { buildTimeout: 50 };
+      lateAbort = vi.fn();
+
+      // The first build ignores its abort, then registers a late abort and writes into the staging directory
+      buildManager._executeEsbuild = vi.fn()
+        .mockImplementationOnce(() => new Promise(resolve => { finishZombie = resolve; }).then(() => {
+          buildManager._setBuildAbort('ZombieFunction', lateAbort);
+          const stagingDir = buildManager._getStagingDir('ZombieFunction');
+          fs.mkdirSync(stagingDir, { recursive: true });
+          fs.writeFileSync(path.join(stagingDir, 'stale.js'), '');
+        }))
+        .mockImplementation(async () => {
+          const stagingDir = buildManager._getStagingDir('ZombieFunction');
+          fs.mkdirSync(stagingDir, { recursive: true });
+          fs.writeFileSync(path.join(stagingDir, 'fresh.js'), '');
+        });
+    });
+
+    afterEach(async () => {
+      finishZombie();
+      await buildManager.inFlightBuilds.get('ZombieFunction')?.settled;
+    });
+
+    it('should abort what a timed-out step starts late and wait for it before building again', async () => {
+      expect((await buildManager.buildFunction(zombieFunction)).timedOut).toBe(true);
+
+      buildSettings.ZombieFunction = { buildTimeout: 5000 };
+      const nextBuild = buildManager.buildFunction(zombieFunction);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(buildManager._executeEsbuild).toHaveBeenCalledTimes(1);
+
+      finishZombie();
+      const result = await nextBuild;
+
+      expect(lateAbort).toHaveBeenCalledTimes(1);
+      expect(result.success).toBe(true);
+      const artifactDir = buildManager._getArtifactDir('ZombieFunction');
+      expect(fs.existsSync(path.join(artifactDir, 'fresh.js'))).toBe(true);
+      expect(fs.existsSync(path.join(artifactDir, 'stale.js'))).toBe(false);
+      expect(buildManager.inFlightBuilds.has('ZombieFunction')).toBe(false);
+    });
+
+    it('should fail the next build while the timed-out step keeps running', async () => {
+      await buildManager.buildFunction(zombieFunction);
+
+      const result = await buildManager.buildFunction(zombieFunction);
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toMatch(/still running/);
+      expect(buildManager._executeEsbuild).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('should kill a process tree that ignores SIGTERM with SIGKILL', async () => {
+    const child = spawn('sh', ['-c', "trap '' TERM; echo ready; sleep 30"], { detached: true, stdio: ['ignore', 'pipe', 'ignore'] });
+    await new Promise(resolve => child.stdout.once('data', resolve));
+    const exited = new Promise(resolve => child.once('exit', (code, signal) => resolve(signal)));
+
+    vi.useFakeTimers({ toFake: ['setTimeout'] });
+    try {
+      buildManager._killProcessTree(child);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(child.exitCode).toBe(null);
+
+      vi.advanceTimersByTime(5000);
+    } finally {
+      vi.useRealTimers();
+    }
+
+    expect(await exited).toBe('SIGKILL');
+  });
+});
+
+describe('BuildManager makefile builds', () => {
+  let project;
+  let buildManager;
+  let testDir;
+  let artifactDir;
+
+  beforeEach(() => {
+    project = createProject({ 'src/index.js': 'exports.handler = async () => 1;\n' });
+    ({ testDir } = project);
+    fs.mkdirSync(path.join(testDir, 'build-scripts'));
+    artifactDir = path.join(project.buildDir, 'MakeFunction');
+    buildManager = project.createManager();
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const makeFunction = (metadata = {}) => ({
+    Name: 'MakeFunction',
+    Properties: { CodeUri: path.join(testDir, 'src'), Handler: 'index.handler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'makefile', ...metadata }
+  });
+
+  it('should list Makefile targets like make does', () => {
+    const targets = buildManager._parseMakefileTargets([
+      'ARTIFACTS_DIR ?= ./out',
+      'NODE := node',
+      '# build-Commented:',
+      '.PHONY: build-First build-Second',
+      'build-First build-Second: deps',
+      '\tcp index.js $(ARTIFACTS_DIR)',
+      'build-Third::',
+      'deps:'
+    ].join('\n'));
+
+    expect(targets).toEqual(['.PHONY', 'build-First', 'build-Second', 'build-Third', 'deps']);
+  });
+
+  it('should run build-<LogicalId> with ARTIFACTS_DIR set to the artifact directory', async () => {
+    fs.writeFileSync(
+      path.join(testDir, 'src', 'Makefile'),
+      'build-MakeFunction:\n\tcp index.js "$(ARTIFACTS_DIR)/index.js"\n'
+    );
+
+    const result = await buildManager.buildFunction(makeFunction());
+
+    expect(result.success).toBe(true);
+    expect(fs.existsSync(path.join(artifactDir, 'index.js'))).toBe(true);
+  });
+
+  it('should use the Makefile in ContextPath and run from ProjectRoot', async () => {
+    fs.writeFileSync(
+      path.join(testDir, 'build-scripts', 'Makefile'),
+      'build-MakeFunction:\n\tcp src/index.js "$(ARTIFACTS_DIR)/index.js"\n'
+    );
+
+    const result = await buildManager.buildFunction(makeFunction({
+      ContextPath: path.join(testDir, 'build-scripts'),
+      ProjectRoot: testDir
+    }));
+
+    expect(result.success).toBe(true);
+    expect(fs.existsSync(path.join(artifactDir, 'index.js'))).toBe(true);
+  });
+
+  it('should parse compiler diagnostics from make output instead of matching on warning', async () => {
+    fs.writeFileSync(path.join(testDir, 'src', 'app.c'), 'int main() {\n  return x;\n}\n');
+    fs.writeFileSync(
+      path.join(testDir, 'src', 'Makefile'),
+      [
+        'build-MakeFunction:',
+        '\t@echo "checking for warnings in headers" >&2',
+        '\t@echo "app.c:2:10: error: use of undeclared identifier \'x\'" >&2',
+        '\t@echo "app.c:1:5: note: in function \'main\'" >&2',
+        '\t@echo "lib/types.ts(4,3): error TS2304: Cannot find name \'Foo\'."',
+        '\t@exit 2',
+        ''
+      ].join('\n')
+    );
+
+    const result = await buildManager.buildFunction(makeFunction());
+
+    expect(result.success).toBe(false);
+    expect(result.warnings).toEqual([]);
+    // stdout is parsed before stderr
+    expect(result.diagnostics).toEqual([
+      expect.objectContaining({ file: path.join(testDir, 'src', 'lib', 'types.ts'), line: 4, column: 3, code: 'TS2304' }),
+      expect.objectContaining({
+        severity: 'error',
+        file: path.join(testDir, 'src', 'app.c'),
+        line: 2,
+        column: 10,
+        text: "use of undeclared identifier 'x'",
+        notes: [{ text: "in function 'main'", file: path.join(testDir, 'src', 'app.c'), line: 1, column: 5 }],
+        source: 'make'
+      })
+    ]);
+    expect(result.errors[1]).toMatch(/app\.c:2:10 - error: use of undeclared identifier 'x'$/);
+    expect(result.errors).toContain('make build-MakeFunction failed with exit code 2 and 2 errors');
+  });
+
+  it('should fail before running make when the build target is missing', async () => {
+    fs.writeFileSync(path.join(testDir, 'src', 'Makefile'), 'build:\n\ttouch ran\n');
+
+    const result = await buildManager.buildFunction(makeFunction());
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toContain("has no 'build-MakeFunction' target");
+    expect(fs.existsSync(path.join(testDir, 'src', 'ran'))).toBe(false);
+  });
+});
+
+describe('BuildManager type checking', () => {
+  let project;
+  let mockLogger;
+  let testDir;
+  let buildManager;
+
+  beforeEach(() => {
+    project = createProject({
+      'tsconfig.json': '{}\n',
+      'orders/app.ts': 'export const handler = async () => 1;\n',
+      'users/app.ts': 'export const handler = async () => 2;\n'
+    });
+    ({ testDir } = project);
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const createManager = (typeCheck, config = {}) => {
+    buildManager = project.createManager({ typeCheck, ...config });
+    mockLogger = buildManager.logger;
+    buildManager._executeEsbuild = vi.fn(async () => {});
+    buildManager.typeChecker.check = vi.fn(async (tsconfigPath) => ({
+      tsconfigPath,
+      duration: 5,
+      diagnostics: [{
+        file: path.join(testDir, 'orders', 'app.ts'),
+        line: 1,
+        column: 14,
+        category: 'error',
+        code: 'TS2322',
+        message: "Type 'number' is not assignable to type 'string'."
+      }]
+    }));
+    return buildManager;
+  };
+
+  const typeCheckedFunction = (name, dir) => ({
+    Name: name,
+    Properties: { CodeUri: path.join(testDir, dir), Handler: 'app.handler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+  });
+
+  it('should not type-check unless enabled', () => {
+    buildManager = project.createManager();
+    expect(buildManager.typeChecker).toBeNull();
+  });
+
+  it('should fail only the functions with type errors when typeCheck is error', async () => {
+    createManager('error');
+
+    const results = await buildManager.buildFunctions([
+      typeCheckedFunction('OrdersFunction', 'orders'),
+      typeCheckedFunction('UsersFunction', 'users')
+    ]);
+
+    const orders = results.get('OrdersFunction');
+    expect(orders.success).toBe(false);
+    expect(orders.errors[0]).toMatch(/orders[\\/]app\.ts:1:14 - error TS2322: Type 'number'/);
+    expect(orders.errors).toContain('Type check failed with 1 error');
+    expect(results.get('UsersFunction').success).toBe(true);
+    expect(buildManager.typeChecker.check).toHaveBeenCalledWith(path.join(testDir, 'tsconfig.json'), buildManager.buildRunId);
+  });
+
+  it('should report type errors as warnings after the build when typeCheck is warn', async () => {
+    createManager('warn');
+
+    const typeChecked = new Promise(resolve => buildManager.once('typeCheckCompleted', resolve));
+    const results = await buildManager.buildFunctions([typeCheckedFunction('OrdersFunction', 'orders')]);
+    const { functionName, mode, diagnostics } = await typeChecked;
+
+    expect(results.get('OrdersFunction').success).toBe(true);
+    expect(functionName).toBe('OrdersFunction');
+    expect(mode).toBe('warn');
+    expect(diagnostics).toEqual([expect.objectContaining({
+      severity: 'error',
+      file: path.join(testDir, 'orders', 'app.ts'),
+      line: 1,
+      column: 14,
+      code: 'TS2322',
+      source: 'tsc'
+    })]);
+    expect(buildManager.getFunctionBuildStatus('OrdersFunction').warnings[0]).toContain('error TS2322');
+    expect(mockLogger.logDiagnostic).toHaveBeenCalledWith(
+      'OrdersFunction',
+      expect.objectContaining({ severity: 'error', code: 'TS2322', line: 1, column: 14, source: 'tsc' }),
+      'warn'
+    );
+  });
+
+  /**
+   * Replace tsc with a check that only ends when it is cancelled
+   * @returns {Object} The type checker stubs
+   */
+  const stubPendingCheck = () => {
+    const checks = new Map();
+    buildManager.typeChecker.check = vi.fn((tsconfigPath, runId) => {
+      if (!checks.has(runId)) {
+        let reject;
+        const promise = new Promise((resolve, rejectCheck) => { reject = rejectCheck; });
+        checks.set(runId, { promise, reject });
+      }
+      return checks.get(runId).promise;
+    });
+    buildManager.typeChecker.cancel = vi.fn((tsconfigPath, runId) => {
+      checks.get(runId)?.reject(new Error('Type check cancelled'));
+    });
+    return { check: buildManager.typeChecker.check, cancel: buildManager.typeChecker.cancel, checks };
+  };
+
+  it('should stop tsc when the build waiting for it is cancelled', async () => {
+    createManager('error');
+    const { check, cancel } = stubPendingCheck();
+
+    const pending = buildManager.buildFunction(typeCheckedFunction('OrdersFunction', 'orders'));
+    await vi.waitFor(() => expect(check).toHaveBeenCalled());
+    buildManager.cancelBuild('OrdersFunction', 'superseded by newer changes');
+    const result = await pending;
+
+    expect(cancel).toHaveBeenCalledWith(path.join(testDir, 'tsconfig.json'), buildManager.buildRunId);
+    expect(result.cancelled).toBe(true);
+    expect(result.success).toBe(false);
+  });
+
+  it('should stop tsc when the build waiting for it times out', async () => {
+    createManager('error', { buildSettings: { global: { buildTimeout: 50 } } });
+    const { cancel } = stubPendingCheck();
+
+    const result = await buildManager.buildFunction(typeCheckedFunction('OrdersFunction', 'orders'));
+
+    expect(result.timedOut).toBe(true);
+    expect(cancel).toHaveBeenCalledWith(path.join(testDir, 'tsconfig.json'), buildManager.buildRunId);
+  });
+
+  it('should keep tsc running while another build of the run waits for it', async () => {
+    createManager('error');
+    const { check, cancel } = stubPendingCheck();
+
+    const orders = buildManager.buildFunction(typeCheckedFunction('OrdersFunction', 'orders'));
+    const users = buildManager.buildFunction(typeCheckedFunction('UsersFunction', 'users'));
+    await vi.waitFor(() => expect(check).toHaveBeenCalledTimes(2));
+    buildManager.cancelBuild('OrdersFunction', 'superseded by newer changes');
+
+    expect((await orders).cancelled).toBe(true);
+    expect(cancel).not.toHaveBeenCalled();
+
+    buildManager.cancelBuild('UsersFunction', 'shutting down');
+    expect((await users).cancelled).toBe(true);
+    expect(cancel).toHaveBeenCalledTimes(1);
+  });
+
+  it('should cancel the build when a newer run replaces its type check in error mode', async () => {
+    createManager('error');
+    const { check, checks } = stubPendingCheck();
+    const cancelled = vi.fn();
+    buildManager.on('buildCancelled', cancelled);
+
+    const pending = buildManager.buildFunction(typeCheckedFunction('OrdersFunction', 'orders'));
+    await vi.waitFor(() => expect(check).toHaveBeenCalled());
+    // The type checker rejects a check that a check of a newer run replaces
+    checks.get(buildManager.buildRunId).reject(new Error('Type check cancelled'));
+    const result = await pending;
+
+    expect(result.success).toBe(false);
+    expect(result.cancelled).toBe(true);
+    expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({
+      functionName: 'OrdersFunction',
+      reason: 'type check superseded by a newer run'
+    }));
+  });
+
+  it('should log a failure to report the type check when typeCheck is warn', async () => {
+    createManager('warn');
+    buildManager.once('typeCheckCompleted', () => {
+      throw new Error('listener failed');
+    });
+
+    const results = await buildManager.buildFunctions([typeCheckedFunction('OrdersFunction', 'orders')]);
+
+    expect(results.get('OrdersFunction').success).toBe(true);
+    await vi.waitFor(() => expect(mockLogger.logError).toHaveBeenCalledWith(
+      'OrdersFunction',
+      'Could not report the type check: listener failed'
+    ));
+  });
+});
+
+describe('BuildManager npm builds', () => {
+  let project;
+  let buildManager;
+  let testDir;
+  let artifactsDir;
+
+  beforeEach(() => {
+    project = createProject({
+      'app.js': 'exports.handler = async () => 1;\n',
+      'package.json': JSON.stringify({ name: 'npm-function', dependencies: { 'left-pad': '1.3.0' } }),
+      'package-lock.json': JSON.stringify({ lockfileVersion: 3 }),
+      'tests/app.test.js': 'test();\n',
+      '.npmignore': 'tests/\n'
+    });
+    ({ testDir } = project);
+    artifactsDir = path.join(project.buildDir, 'NpmFunction');
+
+    buildManager = project.createManager();
+    // Stand-in for npm that leaves an installed dependency behind
+    buildManager._runNpmInstall = vi.fn(async (functionName, dir) => {
+      fs.mkdirSync(path.join(dir, 'node_modules', 'left-pad'), { recursive: true });
+    });
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const npmFunction = () => ({
+    Name: 'NpmFunction',
+    Properties: { CodeUri: testDir, Handler: 'app.handler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'npm' }
+  });
+
+  it('should copy CodeUri without ignored files and install from the lockfile', async () => {
+    const result = await buildManager.buildFunction(npmFunction());
+
+    expect(result.success).toBe(true);
+    expect(fs.existsSync(path.join(artifactsDir, 'app.js'))).toBe(true);
+    expect(fs.existsSync(path.join(artifactsDir, 'package-lock.json'))).toBe(true);
+    expect(fs.existsSync(path.join(artifactsDir, 'tests'))).toBe(false);
+    expect(buildManager._runNpmInstall).toHaveBeenCalledWith(
+      'NpmFunction',
+      path.join(project.buildDir, '.NpmFunction.staging'),
+      expect.arrayContaining(['ci', '--omit=dev', '--prefer-offline'])
+    );
+  });
+
+  it('should reuse node_modules until package.json or the lockfile changes', async () => {
+    await buildManager.buildFunction(npmFunction());
+
+    fs.writeFileSync(path.join(testDir, 'app.js'), 'exports.handler = async () => 2;\n');
+    const sourceOnly = await buildManager.buildFunction(npmFunction());
+
+    expect(sourceOnly.dependenciesReused).toBe(true);
+    expect(buildManager._runNpmInstall).toHaveBeenCalledTimes(1);
+    expect(fs.readFileSync(path.join(artifactsDir, 'app.js'), 'utf8')).toContain('=> 2');
+    expect(fs.existsSync(path.join(artifactsDir, 'node_modules', 'left-pad'))).toBe(true);
+
+    fs.writeFileSync(path.join(testDir, 'package-lock.json'), JSON.stringify({ lockfileVersion: 3, packages: {} }));
+    await buildManager.buildFunction(npmFunction());
+
+    expect(buildManager._runNpmInstall).toHaveBeenCalledTimes(2);
+  });
+
+  it('should remove files that were deleted from CodeUri', async () => {
+    fs.writeFileSync(path.join(testDir, 'old.js'), 'module.exports = 1;\n');
+    await buildManager.buildFunction(npmFunction());
+    expect(fs.existsSync(path.join(artifactsDir, 'old.js'))).toBe(true);
+
+    fs.rmSync(path.join(testDir, 'old.js'));
+    await buildManager.buildFunction(npmFunction());
+
+    expect(fs.existsSync(path.join(artifactsDir, 'old.js'))).toBe(false);
+    expect(fs.existsSync(path.join(artifactsDir, 'node_modules'))).toBe(true);
+  });
+
+  it('should not touch the published files when a rebuild fails', async () => {
+    await buildManager.buildFunction(npmFunction());
+
+    fs.writeFileSync(path.join(testDir, 'app.js'), 'exports.handler = async () => 2;\n');
+    fs.writeFileSync(path.join(testDir, 'package.json'), JSON.stringify({ name: 'npm-function', dependencies: {} }));
+    buildManager._runNpmInstall.mockRejectedValueOnce(new Error('npm exited with code 1'));
+    const result = await buildManager.buildFunction(npmFunction());
+
+    expect(result.servingPreviousBuild).toBe(true);
+    expect(fs.readFileSync(path.join(artifactsDir, 'app.js'), 'utf8')).toContain('=> 1');
+    expect(fs.existsSync(path.join(artifactsDir, 'node_modules', 'left-pad'))).toBe(true);
+  });
+
+  it('should fail without a package.json in CodeUri', async () => {
+    fs.rmSync(path.join(testDir, 'package.json'));
+
+    const result = await buildManager.buildFunction(npmFunction());
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toMatch(/package\.json not found/);
+    expect(buildManager._runNpmInstall).not.toHaveBeenCalled();
+  });
+
+  it('should warn about native modules built for another architecture', async () => {
+    // ELF header of an x86_64 shared object, e_machine 0x3e at offset 18
+    const header = Buffer.alloc(64);
+    header.writeUInt32BE(0x7f454c46, 0);
+    header[5] = 1;
+    header.writeUInt16LE(0x3e, 18);
+    buildManager._runNpmInstall = vi.fn(async (functionName, dir) => {
+      fs.mkdirSync(path.join(dir, 'node_modules', 'sharp', 'build', 'Release'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'node_modules', 'sharp', 'build', 'Release', 'sharp.node'), header);
+    });
+
+    const x86Result = await buildManager.buildFunction(npmFunction());
+    const armResult = await buildManager.buildFunction({
+      ...npmFunction(),
+      Properties: { ...npmFunction().Properties, Architectures: ['arm64'] }
+    });
+
+    expect(x86Result.warnings).toEqual([]);
+    expect(armResult.success).toBe(true);
+    expect(armResult.warnings).toEqual([expect.stringContaining(
+      'Native module node_modules/sharp/build/Release/sharp.node is built for x86_64, but NpmFunction runs on Linux arm64'
+    )]);
+  });
+});
+
+describe('BuildManager custom build methods', () => {
+  let project;
+  let buildManager;
+  let buildMethods;
+  let testDir;
+
+  beforeEach(() => {
+    project = createProject();
+    ({ testDir } = project);
+    fs.mkdirSync(path.join(testDir, 'src'));
+    fs.mkdirSync(path.join(testDir, 'shared'));
+
+    buildMethods = new BuildMethodRegistry();
+    buildManager = project.createManager({}, buildMethods);
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const swcFunction = () => ({
+    Name: 'SwcFunction',
+    Properties: { CodeUri: path.join(testDir, 'src'), Handler: 'index.handler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'swc' }
+  });
+
+  it('should build into the staging directory, publish it and collect warnings', async () => {
+    const build = vi.fn(async (functionConfig, { artifactsDir, log }) => {
+      fs.writeFileSync(path.join(artifactsDir, 'index.js'), 'exports.handler = async () => 1;\n');
+      log('compiled 1 file');
+      return { warnings: ['unused import'] };
+    });
+    buildMethods.register('swc', { build });
+
+    const result = await buildManager.buildFunction(swcFunction());
+
+    expect(result.success).toBe(true);
+    expect(result.warnings).toEqual(['unused import']);
+    expect(build).toHaveBeenCalledWith(expect.objectContaining({ Name: 'SwcFunction' }), expect.objectContaining({
+      artifactsDir: path.join(project.buildDir, '.SwcFunction.staging')
+    }));
+    expect(fs.existsSync(path.join(project.buildDir, 'SwcFunction', 'index.js'))).toBe(true);
+  });
+
+  it('should call the cancel hook and abort the signal when the build is cancelled', async () => {
+    let signal;
+    const cancel = vi.fn();
+    buildMethods.register('swc', {
+      build: (functionConfig, context) => {
+        signal = context.signal;
+        return new Promise((resolve, reject) => {
+          context.signal.addEventListener('abort', () => reject(new Error('aborted')));
+        });
+      },
+      cancel
+    });
+
+    const pending = buildManager.buildFunction(swcFunction());
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(buildManager.cancelBuild('SwcFunction', 'superseded')).toBe(true);
+
+    const result = await pending;
+    expect(result.cancelled).toBe(true);
+    expect(signal.aborted).toBe(true);
+    expect(cancel).toHaveBeenCalledWith('SwcFunction');
+  });
+
+  it('should rebuild when a watched input outside CodeUri changes', () => {
+    buildMethods.register('swc', {
+      build: async () => {},
+      getWatchedInputs: (functionConfig) => [functionConfig.Properties.CodeUri, path.join(testDir, 'shared')]
+    });
+
+    const changed = [path.join(testDir, 'shared', 'util.js')];
+    const { affectingFiles, why } = buildManager._explainRebuild(swcFunction(), changed, swcFunction().Properties.CodeUri);
+
+    expect(affectingFiles).toEqual(changed);
+    expect(why).toMatch(/watched inputs/);
+    expect(buildManager._explainRebuild(swcFunction(), [path.join(testDir, 'other.js')], testDir).affectingFiles).toEqual([]);
+  });
+
+  it('should fail functions whose build method is not registered', async () => {
+    const result = await buildManager.buildFunction(swcFunction());
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toMatch(/Unsupported build method: swc/);
+  });
+});
+
+describe('BuildManager layers', () => {
+  let project;
+  let buildManager;
+  let testDir;
+
+  beforeEach(() => {
+    project = createProject({
+      'layer/package.json': JSON.stringify({ dependencies: { 'left-pad': '1.3.0' } }),
+      'src/app.ts': "import leftPad from 'left-pad';\nimport { log } from '@acme/logger';\nexport const handler = async () => log(leftPad('1', 3));\n"
+    });
+    ({ testDir } = project);
+
+    buildManager = project.createManager();
+    // Stand-in for npm that installs the layer's dependency
+    buildManager._runNpmInstall = vi.fn(async (functionName, dir) => {
+      fs.mkdirSync(path.join(dir, 'node_modules', '@acme', 'logger'), { recursive: true });
+    });
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const sharedLayer = () => ({
+    Name: 'SharedLayer',
+    Type: 'AWS::Serverless::LayerVersion',
+    Properties: { ContentUri: path.join(testDir, 'layer'), CodeUri: path.join(testDir, 'layer') },
+    Metadata: { BuildMethod: 'npm' }
+  });
+
+  const apiFunction = (name = 'ApiFunction', layers = ['SharedLayer']) => ({
+    Name: name,
+    Type: 'AWS::Serverless::Function',
+    Properties: { CodeUri: path.join(testDir, 'src'), Handler: 'app.handler', Runtime: 'nodejs20.x', Layers: layers },
+    Metadata: { BuildMethod: 'esbuild' }
+  });
+
+  it('should build npm layers into the nodejs/ layout', async () => {
+    const results = await buildManager.buildFunctions([sharedLayer()]);
+
+    expect(results.get('SharedLayer').success).toBe(true);
+    expect(fs.existsSync(path.join(project.buildDir, 'SharedLayer', 'nodejs', 'package.json'))).toBe(true);
+    expect(buildManager._runNpmInstall).toHaveBeenCalledWith(
+      'SharedLayer',
+      path.join(project.buildDir, '.SharedLayer.staging', 'nodejs'),
+      expect.any(Array)
+    );
+  });
+
+  it('should build layers first and bundle functions with layer modules as externals', async () => {
+    const order = [];
+    buildManager.on('buildCompleted', ({ functionName }) => order.push(functionName));
+
+    const results = await buildManager.buildFunctions([apiFunction(), sharedLayer()]);
+
+    expect(order).toEqual(['SharedLayer', 'ApiFunction']);
+    expect(results.get('ApiFunction').success).toBe(true);
+
+    const bundle = fs.readFileSync(path.join(project.buildDir, 'ApiFunction', 'app.js'), 'utf8');
+    expect(bundle).toContain('require("left-pad")');
+    expect(bundle).toContain('require("@acme/logger")');
+    expect(buildManager._getEsbuildOptions(apiFunction(), { warnings: [] }).external).toEqual(['@acme/logger', '@aws-sdk/*', 'left-pad']);
+  });
+
+  it('should rebuild the functions that reference a changed layer', async () => {
+    const functions = [sharedLayer(), apiFunction(), apiFunction('OtherFunction', [{ Ref: 'OtherLayer' }])];
+    buildManager.layers = new Map([['SharedLayer', functions[0]]]);
+
+    const rebuild = buildManager._determineFunctionsToRebuild(functions, [path.join(testDir, 'layer', 'index.js')]);
+
+    expect(rebuild.map(func => func.Name)).toEqual(['SharedLayer', 'ApiFunction']);
+    expect(buildManager.logger.logInfo).toHaveBeenCalledWith('Function ApiFunction needs rebuilding because layer SharedLayer changed');
+  });
+
+  it('should only resolve references to watched layers', () => {
+    buildManager.layers = new Map([['SharedLayer', sharedLayer()]]);
+    const func = apiFunction('ApiFunction', ['SharedLayer', { Ref: 'SharedLayer' }, 'arn:aws:lambda:us-east-1:123:layer:x:1', { 'Fn::GetAtt': 'x' }]);
+
+    expect(buildManager._getReferencedLayers(func).map(layer => layer.Name)).toEqual(['SharedLayer']);
+    expect(buildManager._getReferencedLayers(sharedLayer())).toEqual([]);
+  });
+});
+
+describe('BuildManager artifact publishing', () => {
+  let project;
+  let buildManager;
+  let buildMethods;
+  let testDir;
+  let artifactDir;
+  let stagingDir;
+
+  beforeEach(() => {
+    project = createProject({ 'app.ts': 'export const handler = async () => 1;\n' });
+    ({ testDir } = project);
+    artifactDir = path.join(project.buildDir, 'PublishedFunction');
+    stagingDir = path.join(project.buildDir, '.PublishedFunction.staging');
+
+    buildMethods = new BuildMethodRegistry();
+    buildManager = project.createManager({}, buildMethods);
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const esbuildFunction = () => ({
+    Name: 'PublishedFunction',
+    Properties: { CodeUri: testDir, Handler: 'app.handler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+  });
+
+  it('should keep serving the last good bundle when a rebuild fails', async () => {
+    expect((await buildManager.buildFunction(esbuildFunction())).success).toBe(true);
+    const published = fs.readFileSync(path.join(artifactDir, 'app.js'), 'utf8');
+
+    fs.writeFileSync(path.join(testDir, 'app.ts'), 'export const handler = async () => {\n');
+    const failed = await buildManager.buildFunction(esbuildFunction());
+
+    expect(failed.success).toBe(false);
+    expect(failed.servingPreviousBuild).toBe(true);
+    expect(fs.readFileSync(path.join(artifactDir, 'app.js'), 'utf8')).toBe(published);
+    expect(fs.existsSync(stagingDir)).toBe(false);
+    expect(buildManager.logger.logWarn).toHaveBeenCalledWith(
+      expect.stringContaining(`still serving the last good build from ${path.relative(process.cwd(), artifactDir)}`),
+      'PublishedFunction'
+    );
+
+    fs.writeFileSync(path.join(testDir, 'app.ts'), 'export const handler = async () => 2;\n');
+    expect((await buildManager.buildFunction(esbuildFunction())).success).toBe(true);
+    expect(fs.readFileSync(path.join(artifactDir, 'app.js'), 'utf8')).toContain('2');
+  });
+
+  it('should keep serving the last good bundle with the logger the CLI uses', async () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const configManager = new ConfigurationManager();
+    configManager.updateConfig('buildCache', false);
+    configManager.updateConfig('buildDir', project.buildDir);
+    const cliBuildManager = new BuildManager(new Logger(), configManager);
+
+    try {
+      expect((await cliBuildManager.buildFunction(esbuildFunction())).success).toBe(true);
+      const published = fs.readFileSync(path.join(artifactDir, 'app.js'), 'utf8');
+
+      fs.writeFileSync(path.join(testDir, 'app.ts'), 'export const handler = async () => {\n  return 1 +;\n};\n');
+      const failed = await cliBuildManager.buildFunction(esbuildFunction());
+
+      expect(failed.success).toBe(false);
+      expect(failed.servingPreviousBuild).toBe(true);
+      expect(fs.readFileSync(path.join(artifactDir, 'app.js'), 'utf8')).toBe(published);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('esbuild failed with 1 error'));
+      expect(logSpy).toHaveBeenCalledWith(expect.stringContaining(`still serving the last good build from ${path.relative(process.cwd(), artifactDir)}`));
+    } finally {
+      await cliBuildManager.dispose();
+      errorSpy.mockRestore();
+      logSpy.mockRestore();
+    }
+  });
+
+  it('should replace the whole artifact directory on success', async () => {
+    let version = 0;
+    buildMethods.register('versioned', {
+      build: async (functionConfig, { artifactsDir }) => {
+        version++;
+        fs.writeFileSync(path.join(artifactsDir, `v${version}.js`), '');
+      }
+    });
+    const func = { ...esbuildFunction(), Metadata: { BuildMethod: 'versioned' } };
+
+    const builds = () => fs.readdirSync(path.dirname(artifactDir)).filter(name => name.startsWith('.PublishedFunction'));
+
+    await buildManager.buildFunction(func);
+    await buildManager.buildFunction(func);
+
+    expect(fs.readdirSync(artifactDir)).toEqual(['v2.js']);
+    // A real directory, as written by `sam build`, so bind mounts of sam local containers keep working
+    expect(fs.lstatSync(artifactDir).isDirectory()).toBe(true);
+    // Neither the staging directory nor the backup of the replaced build is left behind
+    expect(builds()).toEqual([]);
+  });
+
+  it('should swap the artifact directory through a backup', async () => {
+    buildMethods.register('plain', {
+      build: async (functionConfig, { artifactsDir }) => {
+        fs.writeFileSync(path.join(artifactsDir, 'app.js'), '');
+      }
+    });
+    const func = { ...esbuildFunction(), Metadata: { BuildMethod: 'plain' } };
+    // An artifact directory written by an older version of the tool
+    fs.mkdirSync(artifactDir, { recursive: true });
+    fs.writeFileSync(path.join(artifactDir, 'old.js'), '');
+    await buildManager.buildFunction(func);
+    expect(fs.readdirSync(artifactDir)).toEqual(['app.js']);
+
+    const renameSync = vi.spyOn(fs, 'renameSync');
+    const rmSync = vi.spyOn(fs, 'rmSync');
+    try {
+      await buildManager.buildFunction(func);
+
+      const artifactPath = path.resolve(artifactDir);
+      const backupPath = path.join(path.dirname(artifactPath), '.PublishedFunction.previous');
+      const stagingPath = path.resolve(buildManager._getStagingDir('PublishedFunction'));
+      expect(renameSync.mock.calls.filter(([from, to]) => from === artifactPath || to === artifactPath))
+        .toEqual([[artifactPath, backupPath], [stagingPath, artifactPath]]);
+      expect(rmSync.mock.calls.filter(([target]) => path.resolve(target) === artifactPath)).toEqual([]);
+      expect(fs.existsSync(backupPath)).toBe(false);
+    } finally {
+      renameSync.mockRestore();
+      rmSync.mockRestore();
+    }
+  });
+
+  it('should restore the previous artifacts when the new build cannot be renamed into place', async () => {
+    let version = 0;
+    buildMethods.register('versioned', {
+      build: async (functionConfig, { artifactsDir }) => {
+        version++;
+        fs.writeFileSync(path.join(artifactsDir, `v${version}.js`), '');
+      }
+    });
+    const func = { ...esbuildFunction(), Metadata: { BuildMethod: 'versioned' } };
+    await buildManager.buildFunction(func);
+
+    const artifactPath = path.resolve(artifactDir);
+    const renameSync = fs.renameSync;
+    const spy = vi.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+      if (to === artifactPath && from !== path.join(path.dirname(artifactPath), '.PublishedFunction.previous')) {
+        throw Object.assign(new Error('EBUSY: resource busy or locked'), { code: 'EBUSY' });
+      }
+      return renameSync(from, to);
+    });
+    try {
+      const result = await buildManager.buildFunction(func);
+
+      expect(result.success).toBe(false);
+      expect(fs.readdirSync(artifactDir)).toEqual(['v1.js']);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('should say when there is no previous build to serve', async () => {
+    buildMethods.register('broken', {
+      build: async () => { throw new Error('compiler crashed'); }
+    });
+
+    const result = await buildManager.buildFunction({ ...esbuildFunction(), Metadata: { BuildMethod: 'broken' } });
+
+    expect(result.success).toBe(false);
+    expect(result.servingPreviousBuild).toBeUndefined();
+    expect(fs.existsSync(artifactDir)).toBe(false);
+    expect(buildManager.logger.logWarn).toHaveBeenCalledWith(
+      expect.stringContaining('No previous build'),
+      'PublishedFunction'
+    );
+  });
+
+  it('should write source maps that resolve to the original sources from the published artifact', async () => {
+    fs.writeFileSync(
+      path.join(testDir, 'app.ts'),
+      'export const handler = async (): Promise<never> => {\n  throw new Error(\'boom\');\n};\n'
+    );
+    const func = esbuildFunction();
+    func.Metadata.BuildProperties = { Sourcemap: true, Format: 'esm' };
+
+    expect((await buildManager.buildFunction(func)).success).toBe(true);
+
+    const map = JSON.parse(fs.readFileSync(path.join(artifactDir, 'app.js.map'), 'utf8'));
+    expect(map.sourceRoot).toBeUndefined();
+    expect(map.sources.map(source => path.resolve(artifactDir, source))).toEqual([path.join(testDir, 'app.ts')]);
+    expect(buildManager.usesSourceMaps('PublishedFunction')).toBe(true);
+
+    const script = `import(${JSON.stringify(pathToFileURL(path.resolve(artifactDir, 'app.js')).href)})
+      .then(app => app.handler()).catch(error => console.log(error.stack))`;
+    const stack = execFileSync(process.execPath, ['--enable-source-maps', '-e', script], { encoding: 'utf8', timeout: 10000 });
+    expect(stack).toContain(`${path.join(testDir, 'app.ts')}:2:`);
+
+    func.Metadata.BuildProperties = {};
+    await buildManager.buildFunction(func);
+    expect(buildManager.usesSourceMaps('PublishedFunction')).toBe(false);
+  });
+
+  it('should map stack traces of built artifacts the tool loads to the original sources', async () => {
+    fs.writeFileSync(
+      path.join(testDir, 'app.ts'),
+      'export const handler = async (): Promise<never> => {\n  throw new Error(\'boom\');\n};\n'
+    );
+    const func = esbuildFunction();
+    func.Metadata.BuildProperties = { Sourcemap: true, Format: 'esm' };
+    expect((await buildManager.buildFunction(func)).success).toBe(true);
+
+    // index.js runs the CLI when imported, its exit is stubbed so the handler still runs in that process
+    const script = `const exit = process.exit.bind(process);
+      process.exit = () => {};
+      (await import('module')).syncBuiltinESMExports();
+      await import(${JSON.stringify(pathToFileURL(path.resolve('index.js')).href)});
+      const app = await import(${JSON.stringify(pathToFileURL(path.resolve(artifactDir, 'app.js')).href)});
+      await app.handler().catch(error => console.log(error.stack));
+      exit(0);`;
+    // Without --enable-source-maps, and in a directory without a template so the CLI starts nothing
+    const stack = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+      cwd: testDir,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 10000
+    });
+    expect(stack).toContain(`${path.join(testDir, 'app.ts')}:2:`);
+  });
+});
+
+describe('BuildManager build directory', () => {
+  let project;
+  let buildManager;
+  let testDir;
+  let config;
+
+  beforeEach(() => {
+    project = createProject({ 'stack/src/app.ts': 'export const handler = async () => 1;\n' });
+    ({ testDir } = project);
+
+    // These tests set buildDir themselves, relative to the template or not at all
+    config = { templatePath: path.relative(process.cwd(), path.join(testDir, 'stack', 'template.yaml')), buildDir: 'out', buildCache: true };
+    buildManager = new BuildManager(createMockLogger(), createConfig(() => config));
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  it('should resolve buildDir against the template directory', () => {
+    expect(buildManager.getBuildDir()).toBe(path.join(testDir, 'stack', 'out'));
+
+    config.buildDir = path.join(testDir, 'absolute');
+    expect(buildManager.getBuildDir()).toBe(path.join(testDir, 'absolute'));
+
+    delete config.buildDir;
+    expect(buildManager.getBuildDir()).toBe(path.join(testDir, 'stack', '.aws-sam', 'build'));
+  });
+
+  it('should watch the template directory and ignore the build directory wherever the tool runs', () => {
+    fs.mkdirSync(path.join(testDir, 'shared'), { recursive: true });
+    const functions = [
+      { Name: 'StackFunction', Properties: { CodeUri: 'src', Handler: 'app.handler' }, Metadata: { BuildMethod: 'esbuild' } },
+      { Name: 'SharedFunction', Properties: { CodeUri: '../shared', Handler: 'app.handler' }, Metadata: { BuildMethod: 'esbuild' } }
+    ];
+
+    expect(buildManager.getWatchDirs(functions)).toEqual([path.join(testDir, 'stack'), path.join(testDir, 'shared')]);
+
+    // index.js ignores the build directory with an absolute pattern, nodemon matches it like this
+    const ignored = `!${buildManager.getBuildDir().split(path.sep).join('/')}/**`;
+    const files = [path.join(testDir, 'stack', 'src', 'app.ts'), path.join(testDir, 'stack', 'out', 'StackFunction', 'app.js')];
+    expect(match(files, [path.join(testDir, '**', '*'), ignored], 'ts,js').result).toEqual([files[0]]);
+  });
+
+  it('should write artifacts and the build cache into the build directory', async () => {
+    const result = await buildManager.buildFunction({
+      Name: 'IsolatedFunction',
+      Properties: { CodeUri: path.join(testDir, 'stack', 'src'), Handler: 'app.handler', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+    });
+
+    expect(result.success).toBe(true);
+    expect(fs.existsSync(path.join(testDir, 'stack', 'out', 'IsolatedFunction', 'app.js'))).toBe(true);
+    expect(fs.existsSync(path.join(testDir, 'stack', 'out', '.hot-reload-cache.json'))).toBe(true);
+    expect(fs.existsSync(path.join('.aws-sam', 'build', 'IsolatedFunction'))).toBe(false);
+  });
+
+  it('should resolve CodeUri and hooks against the template directory', async () => {
+    fs.writeFileSync(path.join(testDir, 'stack', 'template.yaml'), 'Resources: {}\n');
+    config.hooks = { global: { preBuild: 'test -f template.yaml' } };
+    const func = {
+      Name: 'StackFunction',
+      Properties: { CodeUri: 'src', Handler: 'app.handler', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+    };
+
+    const result = await buildManager.buildFunction(func);
+
+    expect(result.errors).toEqual([]);
+    expect(fs.existsSync(path.join(testDir, 'stack', 'out', 'StackFunction', 'app.js'))).toBe(true);
+    expect(buildManager._determineFunctionsToRebuild([func], [path.join(testDir, 'stack', 'src', 'app.ts')])).toEqual([func]);
+    expect(buildManager._determineFunctionsToRebuild([func], [path.join(testDir, 'src', 'app.ts')])).toEqual([]);
+  });
+
+  it('should give custom build methods the resolved CodeUri and keep type check info in the build directory', async () => {
+    config.typeCheck = 'warn';
+    await buildManager.dispose();
+    const buildMethods = new BuildMethodRegistry();
+    const build = vi.fn(async () => {});
+    buildMethods.register('custom', { build, getWatchedInputs: () => ['src', '.swcrc'] });
+    buildManager = new BuildManager(buildManager.logger, buildManager.configManager, buildMethods);
+    const func = {
+      Name: 'CustomFunction',
+      Properties: { CodeUri: 'src', Handler: 'app.handler', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'custom' }
+    };
+
+    await buildManager.buildFunction(func);
+
+    expect(build).toHaveBeenCalledWith(func, expect.objectContaining({ codeUri: path.join(testDir, 'stack', 'src') }));
+    expect(buildManager._getWatchedInputs(func, buildManager._getCodeUri(func)))
+      .toEqual([path.join(testDir, 'stack', 'src'), path.join(testDir, 'stack', '.swcrc')]);
+    expect(buildManager.typeChecker.buildInfoDir).toBe(path.join(testDir, 'stack', 'out', '.tsbuildinfo'));
+  });
+});
+
+describe('BuildManager bundle size', () => {
+  let project;
+  let buildManager;
+  let buildSettings;
+  let testDir;
+  let artifactDir;
+
+  beforeEach(() => {
+    project = createProject({
+      'app.ts': 'import { greet } from "./greet";\nexport const handler = async () => greet();\n',
+      'greet.ts': 'export const greet = () => "hello";\n'
+    });
+    ({ testDir } = project);
+    artifactDir = path.join(project.buildDir, 'SizedFunction');
+
+    buildSettings = {};
+    buildManager = project.createManager(() => ({ buildSettings }));
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const sizedFunction = () => ({
+    Name: 'SizedFunction',
+    Properties: { CodeUri: testDir, Handler: 'app.handler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+  });
+
+  it('should report the size, top modules and change since the previous build in the summary', async () => {
+    const first = await buildManager.buildFunction(sizedFunction());
+
+    expect(first.size.bytes).toBe(fs.statSync(path.join(artifactDir, 'app.js')).size);
+    expect(first.size.gzipBytes).toBeGreaterThan(0);
+    expect(first.size.delta).toBeNull();
+    expect(first.size.topModules.map(({ module }) => module)).toEqual(
+      expect.arrayContaining([path.relative(process.cwd(), path.join(testDir, 'greet.ts')).split(path.sep).join('/')])
+    );
+
+    fs.writeFileSync(path.join(testDir, 'greet.ts'), 'export const greet = () => "hello, world";\n');
+    const second = await buildManager.buildFunction(sizedFunction());
+    expect(second.size.delta.bytes).toBe(7);
+
+    buildManager._displayBuildSummary();
+    const lines = buildManager.logger.logInfo.mock.calls.map(([line]) => line);
+    expect(lines).toContainEqual(expect.stringMatching(/^ {4}Size: \d+ B \(\d+ B gzip\), \+7 B \([+-]\d+ B gzip\) since the previous build$/));
+    expect(lines).toContainEqual(expect.stringMatching(/^ {4}Top modules: .*greet\.ts \d+ B/));
+  });
+
+  it('should warn or fail when the bundle exceeds its size budget', async () => {
+    buildSettings = { global: { sizeBudget: { warn: 10, error: '1 MB' } } };
+    const warned = await buildManager.buildFunction(sizedFunction());
+
+    expect(warned.success).toBe(true);
+    expect(warned.warnings).toContainEqual(expect.stringMatching(/^Bundle size \d+ B exceeds sizeBudget\.warn of 10 B$/));
+
+    buildSettings.SizedFunction = { sizeBudget: { error: 10 } };
+    fs.writeFileSync(path.join(testDir, 'greet.ts'), 'export const greet = () => "hi";\n');
+    const failed = await buildManager.buildFunction(sizedFunction());
+
+    expect(failed.success).toBe(false);
+    expect(failed.errors[0]).toMatch(/^Bundle size \d+ B exceeds sizeBudget\.error of 10 B$/);
+    expect(failed.servingPreviousBuild).toBe(true);
+    expect(fs.readFileSync(path.join(artifactDir, 'app.js'), 'utf8')).toContain('hello');
+  });
+
+  it('should always enforce the Lambda package limits, counting referenced layers', async () => {
+    const depsLayer = {
+      Name: 'DepsLayer',
+      Type: 'AWS::Serverless::LayerVersion',
+      Properties: { ContentUri: path.join(testDir, 'layer'), CodeUri: path.join(testDir, 'layer') },
+      Metadata: { BuildMethod: 'npm' }
+    };
+    buildManager.layers = new Map([['DepsLayer', depsLayer]]);
+    buildManager.bundleSizes.set('DepsLayer', { bytes: 250 * 1024 * 1024, gzipBytes: 60 * 1024 * 1024 });
+    const func = sizedFunction();
+    func.Properties.Layers = [{ Ref: 'DepsLayer' }];
+
+    const result = await buildManager.buildFunction(func);
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toMatch(/^Unzipped size 250\.0 MB including 250\.0 MB of layers exceeds the Lambda limit of 250\.0 MB$/);
+
+    buildManager.sizeAnalyzer.measure = vi.fn(() => ({ bytes: 1024, gzipBytes: 51 * 1024 * 1024, files: 1 }));
+    const zipped = await buildManager.buildFunction(sizedFunction());
+    expect(zipped.errors[0]).toBe('Zipped size of about 51.0 MB exceeds the Lambda limit of 50.0 MB');
+  });
+
+  it('should not pass sizeBudget to esbuild and reject unknown budget keys', async () => {
+    buildSettings = { global: { sizeBudget: { max: '1 MB' } } };
+
+    const result = await buildManager.buildFunction(sizedFunction());
+
+    expect(result.warnings.join('\n')).not.toMatch(/sizeBudget.*not supported/);
+    expect(result.errors[0]).toMatch(/Unknown sizeBudget key 'max'/);
+  });
+});
+
+describe('BuildManager assets', () => {
+  let project;
+  let buildManager;
+  let buildSettings;
+  let testDir;
+  let artifactDir;
+
+  beforeEach(() => {
+    project = createProject({
+      'app.ts': 'export const handler = async () => 1;\n',
+      'schemas/order.json': '{"type":"object"}',
+      'templates/welcome.html': '<p>Hi</p>'
+    });
+    ({ testDir } = project);
+    artifactDir = path.join(project.buildDir, 'AssetFunction');
+
+    buildSettings = { AssetFunction: { assets: ['schemas/*.json'] } };
+    buildManager = project.createManager(() => ({ buildSettings }));
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const assetFunction = (metadata = {}) => ({
+    Name: 'AssetFunction',
+    Properties: { CodeUri: testDir, Handler: 'app.handler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: {}, ...metadata }
+  });
+
+  it('should copy assets from buildSettings and Metadata next to the bundle', async () => {
+    const result = await buildManager.buildFunction(assetFunction({ Assets: ['templates/**'] }));
+
+    expect(result.success).toBe(true);
+    expect(result.assets).toEqual(['schemas/order.json', 'templates/welcome.html']);
+    expect(fs.readFileSync(path.join(artifactDir, 'schemas', 'order.json'), 'utf8')).toBe('{"type":"object"}');
+    expect(fs.existsSync(path.join(artifactDir, 'templates', 'welcome.html'))).toBe(true);
+    expect(fs.existsSync(path.join(artifactDir, 'app.js'))).toBe(true);
+  });
+
+  it('should update changed assets without rebuilding', async () => {
+    const func = assetFunction();
+    await buildManager.buildFunctions([func]);
+    const bundle = fs.statSync(path.join(artifactDir, 'app.js'));
+    // A second link to the published asset shows whether it is written in place
+    fs.linkSync(path.join(artifactDir, 'schemas', 'order.json'), path.join(testDir, 'published-order.json'));
+    const updated = vi.fn();
+    const started = vi.fn();
+    buildManager.on('assetsUpdated', updated);
+    buildManager.on('buildStarted', started);
+
+    fs.writeFileSync(path.join(testDir, 'schemas', 'order.json'), '{"type":"array"}');
+    fs.writeFileSync(path.join(testDir, 'schemas', 'user.json'), '{}');
+    const results = await buildManager.buildFunctions([func], [
+      path.join(testDir, 'schemas', 'order.json'),
+      path.join(testDir, 'schemas', 'user.json')
+    ]);
+
+    expect(results.size).toBe(0);
+    expect(started).not.toHaveBeenCalled();
+    expect(updated).toHaveBeenCalledWith(expect.objectContaining({ functionName: 'AssetFunction', copied: 2, removed: 0 }));
+    expect(fs.readFileSync(path.join(artifactDir, 'schemas', 'order.json'), 'utf8')).toBe('{"type":"array"}');
+    expect(fs.existsSync(path.join(artifactDir, 'schemas', 'user.json'))).toBe(true);
+    expect(fs.statSync(path.join(artifactDir, 'app.js')).ino).toBe(bundle.ino);
+    // Assets are staged and published like a build, the published build is never written to
+    expect(fs.readFileSync(path.join(testDir, 'published-order.json'), 'utf8')).toBe('{"type":"object"}');
+
+    fs.rmSync(path.join(testDir, 'schemas', 'user.json'));
+    await buildManager.buildFunctions([func], [path.join(testDir, 'schemas', 'user.json')]);
+    expect(fs.existsSync(path.join(artifactDir, 'schemas', 'user.json'))).toBe(false);
+  });
+
+  it('should stage assets on a build cache hit instead of writing into the published build', async () => {
+    const config = () => ({ buildSettings, buildCache: true });
+    const first = project.createManager(config);
+    await first.buildFunction(assetFunction());
+    await first.dispose();
+    fs.linkSync(path.join(artifactDir, 'schemas', 'order.json'), path.join(testDir, 'published-order.json'));
+
+    fs.writeFileSync(path.join(testDir, 'schemas', 'order.json'), '{"type":"array"}');
+    const second = project.createManager(config);
+    try {
+      const result = await second.buildFunction(assetFunction());
+
+      expect(result.cached).toBe(true);
+      expect(fs.readFileSync(path.join(artifactDir, 'schemas', 'order.json'), 'utf8')).toBe('{"type":"array"}');
+      expect(fs.existsSync(path.join(artifactDir, 'app.js'))).toBe(true);
+      expect(fs.readFileSync(path.join(testDir, 'published-order.json'), 'utf8')).toBe('{"type":"object"}');
+    } finally {
+      await second.dispose();
+    }
+  });
+
+  it('should watch asset extensions so a changed .graphql file reaches the build', async () => {
+    buildSettings = { AssetFunction: { assets: ['**/*.graphql'] } };
+    const schemaPath = path.join(testDir, 'schema.graphql');
+    fs.writeFileSync(schemaPath, 'type Query { order: ID }');
+    const func = assetFunction();
+    await buildManager.buildFunctions([func]);
+    const updated = vi.fn();
+    buildManager.on('assetsUpdated', updated);
+
+    // nodemon only reports changed files whose extension is watched
+    const reported = (extensions) => match([schemaPath], [path.join(testDir, '**', '*')], extensions.join(',')).result;
+    fs.writeFileSync(schemaPath, 'type Query { orders: [ID] }');
+
+    expect(reported(new FileWatcher().getConfig().extensions)).toEqual([]);
+    const fileWatcher = new FileWatcher({ extensions: buildManager.getWatchExtensions([func]) });
+    expect(fileWatcher.getConfig().extensions).toContain('graphql');
+
+    await buildManager.buildFunctions([func], reported(fileWatcher.getConfig().extensions));
+
+    expect(updated).toHaveBeenCalledWith(expect.objectContaining({ functionName: 'AssetFunction', copied: 1 }));
+    expect(fs.readFileSync(path.join(artifactDir, 'schema.graphql'), 'utf8')).toBe('type Query { orders: [ID] }');
+  });
+
+  it('should watch every extension for asset patterns without a fixed extension', () => {
+    buildSettings = { AssetFunction: { assets: ['templates/*.{html,txt}', '!templates/draft.html'] } };
+    expect(buildManager.getWatchExtensions([assetFunction()])).toEqual(
+      ['ts', 'js', 'mts', 'mjs', 'cts', 'cjs', 'json', 'yaml', 'yml', 'html', 'txt']
+    );
+
+    buildSettings = { AssetFunction: { assets: ['templates/**'] } };
+    expect(buildManager.getWatchExtensions([assetFunction()])).toEqual(['*']);
+  });
+
+  it('should rebuild when an asset is imported by the bundle', async () => {
+    fs.writeFileSync(path.join(testDir, 'app.ts'), 'import schema from "./schemas/order.json";\nexport const handler = async () => schema;\n');
+    const func = assetFunction();
+    await buildManager.buildFunctions([func]);
+
+    fs.writeFileSync(path.join(testDir, 'schemas', 'order.json'), '{"type":"array"}');
+    const results = await buildManager.buildFunctions([func], [path.join(testDir, 'schemas', 'order.json')]);
+
+    expect(results.get('AssetFunction').success).toBe(true);
+    expect(fs.readFileSync(path.join(artifactDir, 'app.js'), 'utf8')).toContain('array');
+  });
+
+  it('should reject asset settings that are not pattern lists', async () => {
+    buildSettings = { global: { assets: { schemas: true } } };
+
+    const result = await buildManager.buildFunction(assetFunction());
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toContain('buildSettings.global.assets must be a list of glob patterns');
+  });
+});
+
+describe('BuildManager diagnostics', () => {
+  let project;
+  let buildManager;
+  let testDir;
+
+  beforeEach(() => {
+    project = createProject();
+    ({ testDir } = project);
+    buildManager = project.createManager();
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const diagnosedFunction = () => ({
+    Name: 'DiagnosedFunction',
+    Properties: { CodeUri: testDir, Handler: 'app.handler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+  });
+
+  it('should emit esbuild errors as structured diagnostics with buildCompleted', async () => {
+    fs.writeFileSync(path.join(testDir, 'app.ts'), 'export const handler = async () => {\n  const x y = 1;\n};\n');
+    const completed = new Promise(resolve => buildManager.once('buildCompleted', resolve));
+
+    await buildManager.buildFunction(diagnosedFunction());
+    const { success, diagnostics, errors } = await completed;
+
+    expect(success).toBe(false);
+    expect(diagnostics).toEqual([expect.objectContaining({
+      severity: 'error',
+      file: path.join(testDir, 'app.ts'),
+      line: 2,
+      column: 11,
+      lineText: '  const x y = 1;',
+      plugin: null,
+      source: 'esbuild'
+    })]);
+    expect(errors).toEqual([
+      `${path.relative(process.cwd(), path.join(testDir, 'app.ts'))}:2:11 - error: ${diagnostics[0].text}`,
+      'esbuild failed with 1 error'
+    ]);
+    expect(buildManager.logger.logDiagnostic).toHaveBeenCalledWith('DiagnosedFunction', diagnostics[0], 'error');
+  });
+
+  it('should record esbuild warnings with their notes', async () => {
+    fs.writeFileSync(path.join(testDir, 'app.ts'), 'export const handler = async (event) => typeof event == "null";\n');
+
+    const result = await buildManager.buildFunction(diagnosedFunction());
+
+    expect(result.success).toBe(true);
+    expect(result.diagnostics).toHaveLength(1);
+    expect(result.diagnostics[0]).toMatchObject({ severity: 'warning', line: 1, source: 'esbuild' });
+    expect(result.diagnostics[0].notes.length).toBeGreaterThan(0);
+    expect(result.warnings[0]).toMatch(/app\.ts:1:\d+ - warning: /);
+  });
+
+  it('should explain messages caused by a Target older than the Runtime', async () => {
+    fs.writeFileSync(path.join(testDir, 'app.ts'), 'export const handler = async () => 123n;\n');
+    const fn = diagnosedFunction();
+    fn.Metadata.BuildProperties = { Target: 'es2019' };
+
+    const result = await buildManager.buildFunction(fn);
+    fn.Metadata.BuildProperties = {};
+    const defaultResult = await buildManager.buildFunction(fn);
+
+    expect(result.success).toBe(true);
+    expect(result.diagnostics[0].text).toMatch(/Big integer literals are not available/);
+    expect(result.warnings).toContain(
+      'Target es2019 is older than nodejs20.x supports and cannot express syntax used in the code. Remove Target to build for node20.'
+    );
+    expect(defaultResult.warnings).toEqual([]);
+  });
+});
+
+describe('BuildManager build hooks', () => {
+  let project;
+  let buildManager;
+  let mockLogger;
+  let hooks;
+  let testDir;
+  let artifactDir;
+
+  beforeEach(() => {
+    project = createProject({ 'app.ts': 'import { version } from "./generated";\nexport const handler = async () => version;\n' });
+    ({ testDir } = project);
+    artifactDir = path.join(project.buildDir, 'HookedFunction');
+
+    hooks = {};
+    buildManager = project.createManager(() => ({ hooks }));
+    mockLogger = buildManager.logger;
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const hookedFunction = () => ({
+    Name: 'HookedFunction',
+    Properties: { CodeUri: testDir, Handler: 'app.handler', Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: {} }
+  });
+
+  it('should run preBuild commands before bundling and log their output', async () => {
+    hooks = {
+      global: { preBuild: `echo "generating for $FUNCTION_NAME" && echo 'export const version = "1.0";' > "${testDir}/generated.ts"` }
+    };
+
+    const result = await buildManager.buildFunction(hookedFunction());
+
+    expect(result.success).toBe(true);
+    expect(fs.readFileSync(path.join(artifactDir, 'app.js'), 'utf8')).toContain('1.0');
+    expect(mockLogger.logBuild).toHaveBeenCalledWith('HookedFunction', '[preBuild] generating for HookedFunction', 'info');
+  });
+
+  it('should abort the build with a structured error when a preBuild hook fails', async () => {
+    fs.writeFileSync(path.join(testDir, 'generated.ts'), 'export const version = "1.0";\n');
+    hooks = { HookedFunction: { preBuild: 'echo "schema.prisma not found" >&2; exit 2' } };
+
+    const result = await buildManager.buildFunction(hookedFunction());
+
+    expect(result.success).toBe(false);
+    expect(result.hookFailure).toMatchObject({ phase: 'preBuild', exitCode: 2, output: 'schema.prisma not found' });
+    expect(result.errors[0]).toContain('failed with exit code 2');
+    expect(mockLogger.logBuildError).toHaveBeenCalledWith('HookedFunction', expect.any(Error), { step: 'preBuild hook' });
+    expect(fs.existsSync(artifactDir)).toBe(false);
+  });
+
+  it('should run postBuild modules on the staged output and keep the last good build when they fail', async () => {
+    fs.writeFileSync(path.join(testDir, 'generated.ts'), 'export const version = "1.0";\n');
+    fs.writeFileSync(path.join(testDir, 'smoke.mjs'), [
+      'import fs from "fs";',
+      'import path from "path";',
+      'export default (functionConfig, buildResult, { artifactsDir }) => {',
+      '  const bundle = fs.readFileSync(path.join(artifactsDir, "app.js"), "utf8");',
+      '  if (bundle.includes("2.0")) throw new Error(`${functionConfig.Name} bundle is broken`);',
+      '  buildResult.warnings.push("smoke check passed");',
+      '};'
+    ].join('\n'));
+    hooks = { global: { postBuild: { module: path.join(testDir, 'smoke.mjs') } } };
+
+    const first = await buildManager.buildFunction(hookedFunction());
+    expect(first.success).toBe(true);
+    expect(first.warnings).toContain('smoke check passed');
+
+    fs.writeFileSync(path.join(testDir, 'generated.ts'), 'export const version = "2.0";\n');
+    const second = await buildManager.buildFunction(hookedFunction());
+
+    expect(second.success).toBe(false);
+    expect(second.hookFailure).toMatchObject({ phase: 'postBuild' });
+    expect(second.errors[0]).toContain('HookedFunction bundle is broken');
+    expect(fs.readFileSync(path.join(artifactDir, 'app.js'), 'utf8')).toContain('1.0');
+  });
+});
+
+describe('BuildManager build deduplication', () => {
+  let project;
+  let buildManager;
+  let mockLogger;
+  let buildSettings;
+  let testDir;
+  let buildDir;
+
+  beforeEach(() => {
+    project = createProject({
+      'app.ts': [
+        'import { greet } from "./greet";',
+        'export const handler = async () => greet("first");',
+        'export const second = async () => greet("second");'
+      ].join('\n'),
+      'greet.ts': 'export const greet = (name: string) => `hello ${name}`;\n'
+    });
+    ({ testDir, buildDir } = project);
+
+    buildSettings = {};
+    buildManager = project.createManager(() => ({ buildSettings }));
+    mockLogger = buildManager.logger;
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const sharedFunction = (name, handler, buildProperties = {}) => ({
+    Name: name,
+    Properties: { CodeUri: testDir, Handler: handler, Runtime: 'nodejs20.x' },
+    Metadata: { BuildMethod: 'esbuild', BuildProperties: buildProperties }
+  });
+
+  it('should bundle functions with identical build inputs once', async () => {
+    const completed = [];
+    buildManager.on('buildCompleted', result => completed.push(result));
+    const functions = [
+      sharedFunction('FirstFunction', 'app.handler'),
+      sharedFunction('SecondFunction', 'app.second'),
+      sharedFunction('ThirdFunction', 'app.handler', { Minify: false })
+    ];
+
+    const results = await buildManager.buildFunctions(functions);
+
+    expect(Array.from(results.values()).every(result => result.success)).toBe(true);
+    expect(Object.fromEntries(completed.map(result => [result.functionName, result.deduplicated === true]))).toEqual({
+      FirstFunction: false,
+      SecondFunction: true,
+      ThirdFunction: false
+    });
+    expect(results.get('SecondFunction').sharedWith).toBe('FirstFunction');
+    expect(buildManager.esbuildContexts.size).toBe(2);
+
+    const first = fs.statSync(path.join(buildDir, 'FirstFunction', 'app.js'));
+    const second = fs.statSync(path.join(buildDir, 'SecondFunction', 'app.js'));
+    expect(second.ino).toBe(first.ino);
+    expect(buildManager.getFunctionInputs('SecondFunction')).toEqual(buildManager.getFunctionInputs('FirstFunction'));
+  });
+
+  it('should rebuild shared functions once when a common input changes', async () => {
+    const functions = [sharedFunction('FirstFunction', 'app.handler'), sharedFunction('SecondFunction', 'app.second')];
+    await buildManager.buildFunctions(functions);
+
+    fs.writeFileSync(path.join(testDir, 'greet.ts'), 'export const greet = (name: string) => `hi ${name}`;\n');
+    const results = await buildManager.buildFunctions(functions, [path.join(testDir, 'greet.ts')]);
+
+    expect(results.get('FirstFunction').deduplicated).toBeUndefined();
+    expect(results.get('SecondFunction').deduplicated).toBe(true);
+    expect(fs.readFileSync(path.join(buildDir, 'SecondFunction', 'app.js'), 'utf8')).toContain('hi ');
+  });
+
+  it('should report esbuild errors of a shared build for every function without building again', async () => {
+    fs.writeFileSync(path.join(testDir, 'greet.ts'), 'export const greet = (name: string) => {\n');
+    const functions = [sharedFunction('FirstFunction', 'app.handler'), sharedFunction('SecondFunction', 'app.second')];
+
+    const results = await buildManager.buildFunctions(functions);
+    const second = results.get('SecondFunction');
+
+    expect(results.get('FirstFunction').success).toBe(false);
+    expect(second.success).toBe(false);
+    expect(second.deduplicated).toBe(true);
+    expect(second.errors).toContain('Identical build of FirstFunction failed');
+    expect(second.diagnostics).toEqual(results.get('FirstFunction').diagnostics);
+    expect(buildManager.esbuildContexts.has('SecondFunction')).toBe(false);
+    expect(mockLogger.logDiagnostic.mock.calls.every(([name]) => name === 'FirstFunction')).toBe(true);
+  });
+
+  it('should verify the shared bundle against the Handler of every function reusing it', async () => {
+    const functions = [
+      sharedFunction('FirstFunction', 'app.handler', { Format: 'esm' }),
+      sharedFunction('SecondFunction', 'app.second', { Format: 'esm' }),
+      sharedFunction('ThirdFunction', 'app.missing', { Format: 'esm' })
+    ];
+
+    const results = await buildManager.buildFunctions(functions);
+    const third = results.get('ThirdFunction');
+
+    expect(results.get('FirstFunction').success).toBe(true);
+    expect(results.get('SecondFunction').success).toBe(true);
+    expect(third.success).toBe(false);
+    expect(third.deduplicated).toBe(true);
+    expect(third.errors[0]).toBe("Handler 'app.missing' expects 'app.js' to export 'missing', but it exports handler, second.");
+    expect(fs.existsSync(path.join(buildDir, 'ThirdFunction', 'app.js'))).toBe(false);
+  });
+});
+
+describe('BuildManager single-pass builds', () => {
+  let project;
+  let buildManager;
+  let mockLogger;
+  let testDir;
+  let buildDir;
+  const names = ['OrdersFunction', 'UsersFunction', 'ReportsFunction'];
+
+  beforeEach(() => {
+    project = createProject({
+      'shared/format.ts': 'export const format = (value: unknown) => JSON.stringify(value);\n',
+      'orders/app.ts': 'import { format } from "../shared/format";\nexport const handler = async () => format({ orders: [] });\n',
+      'users/src/handlers/users.ts': 'import { format } from "../../../shared/format";\nexport const handler = async () => format({ users: [] });\n',
+      'reports/app.ts': 'export const handler = async () => "report";\n'
+    });
+    ({ testDir, buildDir } = project);
+
+    buildManager = project.createManager({ singlePassBuild: true });
+    mockLogger = buildManager.logger;
+  });
+
+  afterEach(async () => {
+    await buildManager.dispose();
+    project.remove();
+  });
+
+  const functions = () => [
+    {
+      Name: 'OrdersFunction',
+      Properties: { CodeUri: path.join(testDir, 'orders'), Handler: 'app.handler', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: { Sourcemap: true } }
+    },
+    {
+      Name: 'UsersFunction',
+      Properties: { CodeUri: path.join(testDir, 'users'), Handler: 'handlers/users.handler', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: { Sourcemap: true, EntryPoints: ['src/handlers/users.ts'] } }
+    },
+    {
+      Name: 'ReportsFunction',
+      Properties: { CodeUri: path.join(testDir, 'reports'), Handler: 'app.handler', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'esbuild', BuildProperties: { Minify: false } }
+    }
+  ];
+
+  it('should bundle compatible functions in one esbuild run and split the output per function', async () => {
+    const completed = [];
+    buildManager.on('buildCompleted', result => completed.push(result.functionName));
+
+    const results = await buildManager.buildFunctions(functions());
+
+    expect(completed.sort()).toEqual([...names].sort());
+    expect(Array.from(results.values()).every(result => result.success)).toBe(true);
+    expect(results.get('OrdersFunction').singlePass).toBe(true);
+    expect(results.get('UsersFunction').singlePass).toBe(true);
+    expect(results.get('ReportsFunction').singlePass).toBeUndefined();
+    expect(Array.from(buildManager.esbuildContexts.keys())).toEqual(['ReportsFunction']);
+
+    expect(fs.readFileSync(path.join(buildDir, 'OrdersFunction', 'app.js'), 'utf8')).toContain('orders');
+    expect(fs.readFileSync(path.join(buildDir, 'UsersFunction', 'handlers', 'users.js'), 'utf8')).toContain('users');
+    expect(fs.readdirSync(buildDir).filter(entry => entry.endsWith('.single-pass'))).toEqual([]);
+
+    const inputs = buildManager.getFunctionInputs('OrdersFunction');
+    expect(inputs).toContain(path.join(testDir, 'shared', 'format.ts'));
+    expect(inputs).not.toContain(path.join(testDir, 'users', 'src', 'handlers', 'users.ts'));
+
+    const mapPath = path.join(buildDir, 'UsersFunction', 'handlers', 'users.js.map');
+    const map = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+    const sources = map.sources.map(source => path.resolve(path.dirname(mapPath), source));
+    expect(sources).toContain(path.join(testDir, 'users', 'src', 'handlers', 'users.ts'));
+  });
+
+  it('should build each function on its own when the single pass fails', async () => {
+    fs.writeFileSync(path.join(testDir, 'users', 'src', 'handlers', 'users.ts'), 'export const handler = async () => {\n');
+
+    const results = await buildManager.buildFunctions(functions());
+
+    expect(results.get('OrdersFunction').success).toBe(true);
+    expect(results.get('OrdersFunction').singlePass).toBeUndefined();
+    expect(results.get('UsersFunction').success).toBe(false);
+    expect(results.get('UsersFunction').diagnostics[0].file).toBe(path.join(testDir, 'users', 'src', 'handlers', 'users.ts'));
+    expect(mockLogger.logDiagnostic.mock.calls.every(([name]) => name === 'UsersFunction')).toBe(true);
+  });
+});
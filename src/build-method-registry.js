@@ -0,0 +1,188 @@
+/**
+ * Build Method Registry Module
+ * Keeps track of the BuildMethod values functions may use, built in or loaded from project modules
+ *
+ * @module BuildMethodRegistry
+ * @extends EventEmitter
+ * @fires BuildMethodRegistry#methodRegistered
+ */
+import { EventEmitter } from 'events';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Build methods implemented by the build manager itself
+ */
+const BUILT_IN_METHODS = {
+  esbuild: 'Bundle with esbuild using the SAM esbuild BuildProperties',
+  makefile: 'Run the build-<LogicalId> target of the Makefile, like sam build',
+  npm: 'Copy CodeUri and install production dependencies with npm, like sam build'
+};
+
+/**
+ * BuildMethodRegistry class for registering and looking up build methods
+ *
+ * A custom build method is an object with:
+ * - `build(functionConfig, context)` - builds one function into `context.artifactsDir`, may return `{ warnings }`.
+ *   `context.codeUri` is the absolute source directory, CodeUri resolved against the template directory
+ * - `cancel(functionName)` - optional, stops the running build of a function
+ * - `getWatchedInputs(functionConfig)` - optional, files and directories whose changes trigger a rebuild,
+ *   relative paths are resolved against the template directory
+ * - `description` - optional, shown by the help command
+ *
+ * @class
+ * @extends EventEmitter
+ * @example
+ * const registry = new BuildMethodRegistry();
+ * await registry.loadModules({ swc: './build/swc-method.js' });
+ *
+ * registry.getNames(); // ['esbuild', 'makefile', 'npm', 'swc']
+ */
+export class BuildMethodRegistry extends EventEmitter {
+  /**
+   * Create a BuildMethodRegistry instance with the built-in build methods
+   *
+   * @example
+   * const registry = new BuildMethodRegistry();
+   */
+  constructor() {
+    super();
+    this.methods = new Map();
+
+    for (const [name, description] of Object.entries(BUILT_IN_METHODS)) {
+      this.methods.set(name, { name, description, builtIn: true });
+    }
+  }
+
+  /**
+   * Register a custom build method
+   *
+   * @param {string} name - BuildMethod value used in template Metadata
+   * @param {Object} method - Build method implementation
+   * @param {Function} method.build - Builds a function, receives the function config and a build context
+   * @param {Function} [method.cancel] - Stops the running build of a function
+   * @param {Function} [method.getWatchedInputs] - Returns paths whose changes trigger a rebuild
+   * @param {string} [method.description] - Short description for the help command
+   * @throws {Error} If the name is taken or the method does not implement build
+   * @fires BuildMethodRegistry#methodRegistered
+   * @example
+   * registry.register('swc', {
+   *   description: 'Compile with swc',
+   *   build: async (functionConfig, { artifactsDir }) => compile(functionConfig, artifactsDir)
+   * });
+   */
+  register(name, method) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Build method name must be a non-empty string');
+    }
+    if (this.methods.has(name)) {
+      throw new Error(`Build method '${name}' is already registered`);
+    }
+    if (!method || typeof method.build !== 'function') {
+      throw new Error(`Build method '${name}' must implement build(functionConfig, context)`);
+    }
+
+    for (const hook of ['cancel', 'getWatchedInputs']) {
+      if (method[hook] !== undefined && typeof method[hook] !== 'function') {
+        throw new Error(`Build method '${name}' has a ${hook} that is not a function`);
+      }
+    }
+
+    this.methods.set(name, {
+      name,
+      description: typeof method.description === 'string' ? method.description : 'Custom build method',
+      builtIn: false,
+      build: method.build.bind(method),
+      cancel: method.cancel ? method.cancel.bind(method) : null,
+      getWatchedInputs: method.getWatchedInputs ? method.getWatchedInputs.bind(method) : null
+    });
+
+    this.emit('methodRegistered', { name, builtIn: false });
+  }
+
+  /**
+   * Import custom build methods from local modules
+   * Each module exports the build method as its default export or as named exports.
+   *
+   * @param {Object<string, string>} modules - Map of build method names to module paths
+   * @param {string} [baseDir=process.cwd()] - Directory module paths are resolved against
+   * @returns {Promise<Array<string>>} Names of the registered methods
+   * @throws {Error} If a module cannot be imported or does not implement a build method
+   * @fires BuildMethodRegistry#methodRegistered
+   * @example
+   * await registry.loadModules({ swc: './build/swc-method.js' });
+   */
+  async loadModules(modules = {}, baseDir = process.cwd()) {
+    const registered = [];
+
+    for (const [name, modulePath] of Object.entries(modules)) {
+      this.register(name, await this._importMethod(name, path.resolve(baseDir, modulePath), modulePath));
+      registered.push(name);
+    }
+
+    return registered;
+  }
+
+  /**
+   * Import the module of a custom build method
+   * @param {string} name - Build method name
+   * @param {string} resolvedPath - Absolute module path
+   * @param {string} modulePath - Module path as configured, for error messages
+   * @returns {Promise<Object>} Default export, or the module's named exports when there is none
+   * @throws {Error} If the module cannot be imported
+   */
+  _importMethod(name, resolvedPath, modulePath) {
+    return import(pathToFileURL(resolvedPath).href).then(
+      loaded => loaded.default || loaded,
+      (error) => {
+        throw new Error(`Could not load build method '${name}' from ${modulePath}: ${error.message}`);
+      }
+    );
+  }
+
+  /**
+   * Check whether a build method is registered
+   *
+   * @param {string} name - BuildMethod value
+   * @returns {boolean} True if functions may use the method
+   * @example
+   * if (!registry.has(functionConfig.Metadata.BuildMethod)) { ... }
+   */
+  has(name) {
+    return this.methods.has(name);
+  }
+
+  /**
+   * Get a registered build method
+   *
+   * @param {string} name - BuildMethod value
+   * @returns {Object|null} Registered method, built-in methods only carry name, description and builtIn
+   * @example
+   * const method = registry.get('swc');
+   */
+  get(name) {
+    return this.methods.get(name) || null;
+  }
+
+  /**
+   * Get the names of every registered build method
+   *
+   * @returns {Array<string>} Build method names, built-in methods first
+   * @example
+   * console.log(`Supported methods: ${registry.getNames().join(', ')}`);
+   */
+  getNames() {
+    return Array.from(this.methods.keys());
+  }
+
+  /**
+   * List every registered build method with its description
+   *
+   * @returns {Array<{name: string, description: string, builtIn: boolean}>} Build method information
+   * @example
+   * registry.list().forEach(({ name, description }) => console.log(`${name} - ${description}`));
+   */
+  list() {
+    return Array.from(this.methods.values()).map(({ name, description, builtIn }) => ({ name, description, builtIn }));
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Tests for Build Method Registry
+ * Custom build methods must be validated when registered and loadable from project modules
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import fs from 'fs';
+import path from 'path';
+import { BuildMethodRegistry } from './build-method-registry.js';
+
+describe('BuildMethodRegistry', () => {
+  let registry;
+  let testDir;
+
+  beforeEach(() => {
+    registry = new BuildMethodRegistry();
+    testDir = path.join(process.cwd(), '.test-temp-methods-' + Date.now());
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should start with the built-in build methods', () => {
+    expect(registry.getNames()).toEqual(['esbuild', 'makefile', 'npm']);
+    expect(registry.list().every(method => method.builtIn)).toBe(true);
+  });
+
+  it('should register a custom method with its hooks', () => {
+    const registered = [];
+    registry.on('methodRegistered', ({ name }) => registered.push(name));
+
+    registry.register('swc', {
+      description: 'Compile with swc',
+      build: async () => ({ warnings: [] }),
+      getWatchedInputs: () => ['src']
+    });
+
+    expect(registered).toEqual(['swc']);
+    expect(registry.has('swc')).toBe(true);
+    expect(registry.get('swc')).toMatchObject({ name: 'swc', builtIn: false, cancel: null });
+    expect(registry.get('swc').getWatchedInputs()).toEqual(['src']);
+  });
+
+  it('should reject duplicate names and incomplete methods', () => {
+    expect(() => registry.register('esbuild', { build: async () => {} })).toThrow(/already registered/);
+    expect(() => registry.register('rollup', {})).toThrow(/must implement build/);
+    expect(() => registry.register('rollup', { build: async () => {}, cancel: 'stop' })).toThrow(/cancel that is not a function/);
+    expect(registry.has('rollup')).toBe(false);
+  });
+
+  it('should load default and named exports from local modules', async () => {
+    fs.writeFileSync(path.join(testDir, 'swc.mjs'), 'export default { description: "swc", async build() {} };\n');
+    fs.writeFileSync(path.join(testDir, 'rollup.mjs'), 'export async function build() {}\nexport function cancel() {}\n');
+
+    const names = await registry.loadModules({ swc: 'swc.mjs', rollup: 'rollup.mjs' }, testDir);
+
+    expect(names).toEqual(['swc', 'rollup']);
+    expect(registry.get('swc').description).toBe('swc');
+    expect(typeof registry.get('rollup').cancel).toBe('function');
+  });
+
+  it('should name the method and module when loading fails', async () => {
+    await expect(registry.loadModules({ swc: './missing.mjs' }, testDir))
+      .rejects.toThrow(/Could not load build method 'swc' from \.\/missing\.mjs/);
+  });
+
+  it('should only accept objects that implement build', () => {
+    fc.assert(fc.property(
+      fc.string({ minLength: 1, maxLength: 20 }).filter(name => name.trim() !== '' && !registry.has(name)),
+      fc.anything(),
+      (name, build) => {
+        const fresh = new BuildMethodRegistry();
+        try {
+          fresh.register(name, { build });
+          return typeof build === 'function';
+        } catch (error) {
+          return typeof build !== 'function';
+        }
+      }
+    ), { numRuns: 50 });
+  });
+});
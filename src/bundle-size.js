@@ -0,0 +1,184 @@
+/**
+ * Bundle Size Module
+ * Measures build artifacts and finds the modules that contribute most to an esbuild bundle
+ *
+ * @module BundleSize
+ */
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+/**
+ * Largest zipped deployment package Lambda accepts as a direct upload, in bytes
+ */
+export const LAMBDA_ZIPPED_LIMIT = 50 * 1024 * 1024;
+
+/**
+ * Largest unzipped deployment package Lambda accepts, layers included, in bytes
+ */
+export const LAMBDA_UNZIPPED_LIMIT = 250 * 1024 * 1024;
+
+/**
+ * Size units accepted in size budgets
+ */
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+
+/**
+ * BundleSizeAnalyzer class for measuring artifact directories
+ *
+ * @class
+ * @example
+ * const analyzer = new BundleSizeAnalyzer();
+ * const { bytes, gzipBytes } = analyzer.measure('.aws-sam/build/HelloWorldFunction');
+ *
+ * console.log(`${analyzer.formatSize(bytes)} (${analyzer.formatSize(gzipBytes)} gzip)`);
+ */
+export class BundleSizeAnalyzer {
+  /**
+   * Create a BundleSizeAnalyzer instance
+   *
+   * @example
+   * const analyzer = new BundleSizeAnalyzer();
+   */
+  constructor() {
+    // Compressed sizes by file identity, hard-linked and unchanged files are only compressed once
+    this.gzipSizes = new Map();
+  }
+
+  /**
+   * Measure every file in an artifact directory
+   * The gzip size is the sum of each file compressed on its own, close to the size of the zip
+   * Lambda receives since zip also deflates every file separately.
+   *
+   * @param {string} dir - Artifact directory
+   * @returns {{bytes: number, gzipBytes: number, files: number}} Total and compressed size in bytes
+   * @example
+   * const { bytes, gzipBytes, files } = analyzer.measure('.aws-sam/build/HelloWorldFunction');
+   */
+  measure(dir) {
+    const size = { bytes: 0, gzipBytes: 0, files: 0 };
+
+    const measureDirectory = (currentDir) => {
+      for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+        const entryPath = path.join(currentDir, entry.name);
+
+        if (entry.isDirectory()) {
+          measureDirectory(entryPath);
+        } else if (entry.isFile()) {
+          const stats = fs.statSync(entryPath);
+
+          size.bytes += stats.size;
+          size.gzipBytes += this._getGzipSize(entryPath, stats);
+          size.files++;
+        }
+      }
+    };
+
+    measureDirectory(dir);
+
+    return size;
+  }
+
+  /**
+   * Get the gzip size of a file, compressing it only when the file changed since it was last measured
+   * @param {string} filePath - Path of the file
+   * @param {fs.Stats} stats - Stats of the file
+   * @returns {number} Compressed size in bytes
+   */
+  _getGzipSize(filePath, stats) {
+    const key = `${stats.dev}:${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+
+    if (!this.gzipSizes.has(key)) {
+      this.gzipSizes.set(key, zlib.gzipSync(fs.readFileSync(filePath)).length);
+    }
+
+    return this.gzipSizes.get(key);
+  }
+
+  /**
+   * List the modules that take up the most space in an esbuild bundle
+   * Files from node_modules are grouped by package, other files are listed on their own.
+   *
+   * @param {Object} metafile - esbuild metafile
+   * @param {number} [limit=5] - Number of modules to return
+   * @returns {Array<{module: string, bytes: number}>} Modules by bytes in the output, largest first
+   * @example
+   * analyzer.getTopModules(result.metafile);
+   * // [{ module: 'zod', bytes: 58211 }, { module: 'src/app.ts', bytes: 1204 }]
+   */
+  getTopModules(metafile, limit = 5) {
+    const modules = new Map();
+
+    for (const output of Object.values(metafile?.outputs || {})) {
+      for (const [input, { bytesInOutput }] of Object.entries(output.inputs || {})) {
+        const module = this._getModuleName(input);
+        modules.set(module, (modules.get(module) || 0) + bytesInOutput);
+      }
+    }
+
+    return Array.from(modules, ([module, bytes]) => ({ module, bytes }))
+      .filter(({ bytes }) => bytes > 0)
+      .sort((a, b) => b.bytes - a.bytes || a.module.localeCompare(b.module))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the package a metafile input belongs to
+   * @param {string} input - Input path from the metafile
+   * @returns {string} Package name for node_modules files, otherwise the input path
+   */
+  _getModuleName(input) {
+    const parts = input.split('/');
+    const index = parts.lastIndexOf('node_modules');
+
+    if (index === -1 || index === parts.length - 1) {
+      return input;
+    }
+    if (parts[index + 1].startsWith('@') && parts[index + 2]) {
+      return `${parts[index + 1]}/${parts[index + 2]}`;
+    }
+    return parts[index + 1];
+  }
+
+  /**
+   * Convert a size from the configuration to bytes
+   *
+   * @param {number|string} value - Bytes, or a number with a B, KB, MB or GB unit
+   * @returns {number} Size in bytes
+   * @throws {Error} If the value is not a size
+   * @example
+   * analyzer.parseSize('1.5 MB'); // 1572864
+   */
+  parseSize(value) {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+      return value;
+    }
+
+    const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+    if (!match) {
+      throw new Error(`Invalid size '${value}', use a number of bytes or a value such as '512 KB' or '5 MB'`);
+    }
+
+    return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+  }
+
+  /**
+   * Format a size in bytes for display
+   *
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Size with a unit
+   * @example
+   * analyzer.formatSize(1572864); // '1.5 MB'
+   */
+  formatSize(bytes) {
+    const absolute = Math.abs(bytes);
+
+    if (absolute < SIZE_UNITS.KB) {
+      return `${bytes} B`;
+    }
+    if (absolute < SIZE_UNITS.MB) {
+      return `${(bytes / SIZE_UNITS.KB).toFixed(1)} KB`;
+    }
+    return `${(bytes / SIZE_UNITS.MB).toFixed(1)} MB`;
+  }
+}
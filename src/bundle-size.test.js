@@ -0,0 +1,85 @@
+/**
+ * Bundle Size Tests
+ * Tests for artifact measurement, top modules and size parsing
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { BundleSizeAnalyzer } from './bundle-size.js';
+
+describe('BundleSizeAnalyzer', () => {
+  let analyzer;
+  let testDir;
+
+  beforeEach(() => {
+    analyzer = new BundleSizeAnalyzer();
+    testDir = path.join(process.cwd(), '.test-temp-bundle-size-' + Date.now());
+    fs.mkdirSync(path.join(testDir, 'node_modules', 'dep'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should add up the raw and compressed size of every file', () => {
+    const app = 'exports.handler = async () => "hello";\n'.repeat(50);
+    const dep = 'module.exports = 1;\n';
+    fs.writeFileSync(path.join(testDir, 'app.js'), app);
+    fs.writeFileSync(path.join(testDir, 'node_modules', 'dep', 'index.js'), dep);
+
+    const size = analyzer.measure(testDir);
+
+    expect(size.files).toBe(2);
+    expect(size.bytes).toBe(app.length + dep.length);
+    expect(size.gzipBytes).toBe(zlib.gzipSync(app).length + zlib.gzipSync(dep).length);
+    expect(size.gzipBytes).toBeLessThan(size.bytes);
+  });
+
+  it('should group node_modules inputs by package', () => {
+    const metafile = {
+      outputs: {
+        '.aws-sam/build/Fn/app.js': {
+          inputs: {
+            'src/app.ts': { bytesInOutput: 300 },
+            'node_modules/zod/lib/index.js': { bytesInOutput: 900 },
+            'node_modules/zod/lib/types.js': { bytesInOutput: 600 },
+            'node_modules/@aws-sdk/client-s3/dist/index.js': { bytesInOutput: 1000 },
+            'src/types.ts': { bytesInOutput: 0 }
+          }
+        },
+        '.aws-sam/build/Fn/app.js.map': { inputs: {} }
+      }
+    };
+
+    expect(analyzer.getTopModules(metafile)).toEqual([
+      { module: 'zod', bytes: 1500 },
+      { module: '@aws-sdk/client-s3', bytes: 1000 },
+      { module: 'src/app.ts', bytes: 300 }
+    ]);
+    expect(analyzer.getTopModules(metafile, 1)).toEqual([{ module: 'zod', bytes: 1500 }]);
+    expect(analyzer.getTopModules(undefined)).toEqual([]);
+  });
+
+  it('should parse sizes with units and reject anything else', () => {
+    expect(analyzer.parseSize(2048)).toBe(2048);
+    expect(analyzer.parseSize('512 KB')).toBe(512 * 1024);
+    expect(analyzer.parseSize('1.5mb')).toBe(1.5 * 1024 * 1024);
+    expect(() => analyzer.parseSize('5 MiB')).toThrow(/Invalid size '5 MiB'/);
+    expect(() => analyzer.parseSize(-1)).toThrow(/Invalid size/);
+
+    fc.assert(fc.property(
+      fc.integer({ min: 0, max: 1024 * 1024 }),
+      fc.constantFrom('B', 'KB', 'MB'),
+      (amount, unit) => analyzer.parseSize(`${amount} ${unit}`) === amount * { B: 1, KB: 1024, MB: 1024 * 1024 }[unit]
+    ), { numRuns: 50 });
+  });
+
+  it('should format sizes with the largest fitting unit', () => {
+    expect(analyzer.formatSize(512)).toBe('512 B');
+    expect(analyzer.formatSize(1536)).toBe('1.5 KB');
+    expect(analyzer.formatSize(-1536)).toBe('-1.5 KB');
+    expect(analyzer.formatSize(5 * 1024 * 1024)).toBe('5.0 MB');
+  });
+});
@@ -10,8 +10,10 @@
  * @fires CLI#error
  */
 import { EventEmitter } from 'events';
+import path from 'path';
 import { checkbox } from '@inquirer/prompts';
 import { TemplateParser } from './template-parser.js';
+import { BuildMethodRegistry } from './build-method-registry.js';
 import { ConfigurationManager } from './configuration-manager.js';
 import { Logger } from './logger.js';
 
@@ -40,7 +42,8 @@ export class CLI extends EventEmitter {
   constructor() {
     super();
     this.configManager = new ConfigurationManager();
-    this.templateParser = new TemplateParser();
+    this.buildMethods = new BuildMethodRegistry();
+    this.templateParser = new TemplateParser(this.buildMethods);
     this.logger = new Logger();
     this.selectedFunctions = [];
     
@@ -61,6 +64,11 @@ export class CLI extends EventEmitter {
       this.logger.logError(null, `Configuration error: ${data.error.message}`);
     });
 
+    // Build method events
+    this.buildMethods.on('methodRegistered', ({ name }) => {
+      this.logger.logInfo(`Registered build method: ${name}`);
+    });
+
     // Template parser events
     this.templateParser.on('templateParsed', (data) => {
       this.logger.logInfo(`Parsed template: ${data.templatePath}, found ${data.functions.length} functions`);
@@ -81,6 +89,7 @@ export class CLI extends EventEmitter {
    * 
    * @param {Object} [options={}] - CLI initialization options
    * @param {string} [options.config] - Path to configuration file
+   * @param {string} [options.buildDir] - Build directory, overrides buildDir of the configuration file
    * @returns {Promise<Array>} Promise resolving to array of selected Lambda functions
    * @throws {Error} If initialization fails (no valid functions, template errors, etc.)
    * @fires CLI#initialized
@@ -95,9 +104,15 @@ export class CLI extends EventEmitter {
       // Load configuration
       const configPath = options.config || './lambda-hot-reload.json';
       this.configManager.loadConfig(configPath);
+      if (options.buildDir !== undefined) {
+        this.configManager.updateConfig('buildDir', options.buildDir);
+      }
+
+      // Custom build methods must be known before functions are validated, their paths are relative to the template
+      const templatePath = this.configManager.get('templatePath');
+      await this.buildMethods.loadModules(this.configManager.get('buildMethods', {}), path.dirname(path.resolve(templatePath)));
       
       // Parse template
-      const templatePath = this.configManager.get('templatePath');
       const functions = this.templateParser.parseTemplate(templatePath);
       const validFunctions = this.templateParser.extractFunctions(functions);
 
@@ -123,12 +138,14 @@ export class CLI extends EventEmitter {
 
   /**
    * Present function selection interface to user
-   * @param {Array} functions - Available Lambda functions
+   * Buildable layers are offered next to the functions and marked as layers.
+   * @param {Array} functions - Available Lambda functions and layers
    */
   async _selectFunctions(functions) {
     const defaultFunctions = this.configManager.get('defaultFunctions', []);
     
     const choices = functions.map(func => ({
+      name: func.Type === 'AWS::Serverless::LayerVersion' ? `${func.Name} (layer)` : func.Name,
       value: func.Name,
       checked: defaultFunctions.includes(func.Name)
     }));
@@ -187,6 +204,18 @@ export class CLI extends EventEmitter {
     return this.templateParser;
   }
 
+  /**
+   * Get build method registry instance
+   * Holds the built-in build methods and the custom ones loaded from the configuration
+   * 
+   * @returns {BuildMethodRegistry} Build method registry instance
+   * @example
+   * const buildManager = new BuildManager(cli.getLogger(), cli.getConfigManager(), cli.getBuildMethods());
+   */
+  getBuildMethods() {
+    return this.buildMethods;
+  }
+
   /**
    * Get logger instance
    * Provides access to the logger for custom logging
@@ -206,6 +235,7 @@ export class CLI extends EventEmitter {
    * 
    * @param {Object} [options={}] - CLI options
    * @param {string} [options.config] - Path to configuration file
+   * @param {string} [options.buildDir] - Build directory, overrides buildDir of the configuration file
    * @returns {Promise<Array>} Promise resolving to array of selected Lambda functions
    * @fires CLI#ready
    * @fires CLI#error
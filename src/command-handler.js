@@ -9,6 +9,7 @@
  * @fires CommandHandler#commandExecuted
  * @fires CommandHandler#unknownCommand
  * @fires CommandHandler#restart
+ * @fires CommandHandler#clearCache
  * @fires CommandHandler#helpDisplayed
  * @fires CommandHandler#quit
  * @fires CommandHandler#listenerClosed
@@ -38,13 +39,19 @@ export class CommandHandler extends EventEmitter {
    * Create a CommandHandler instance
    * 
    * @param {Logger} logger - Logger instance for output
+   * @param {Object} [options={}] - Command handler options
+   * @param {BuildMethodRegistry} [options.buildMethods] - Build methods listed by the help command
    * @example
    * const logger = new Logger();
    * const handler = new CommandHandler(logger);
+   * 
+   * // Help also lists the available build methods
+   * const handlerWithMethods = new CommandHandler(logger, { buildMethods: cli.getBuildMethods() });
    */
-  constructor(logger) {
+  constructor(logger, options = {}) {
     super();
     this.logger = logger;
+    this.buildMethods = options.buildMethods || null;
     this.rl = null;
     this.isListening = false;
     this.commands = new Map();
@@ -62,6 +69,12 @@ export class CommandHandler extends EventEmitter {
       handler: this._handleRestart.bind(this)
     });
 
+    this.commands.set('cc', {
+      aliases: ['clear-cache'],
+      description: 'Clear the build cache so the next build of every function runs again',
+      handler: this._handleClearCache.bind(this)
+    });
+
     this.commands.set('help', {
       aliases: ['h'],
       description: 'Display available commands and their descriptions',
@@ -183,6 +196,13 @@ export class CommandHandler extends EventEmitter {
     this.emit('restart');
   }
 
+  /**
+   * Handle clear cache command
+   */
+  _handleClearCache() {
+    this.emit('clearCache');
+  }
+
   /**
    * Handle help command
    */
@@ -193,6 +213,15 @@ export class CommandHandler extends EventEmitter {
       const aliases = cmd.aliases.length > 0 ? ` (${cmd.aliases.join(', ')})` : '';
       this.logger.logInfo(`  ${name}${aliases} - ${cmd.description}`);
     }
+
+    if (this.buildMethods) {
+      this.logger.logInfo('Build methods:');
+
+      for (const method of this.buildMethods.list()) {
+        const origin = method.builtIn ? '' : ' (custom)';
+        this.logger.logInfo(`  ${method.name}${origin} - ${method.description}`);
+      }
+    }
     
     this.emit('helpDisplayed');
   }
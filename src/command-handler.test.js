@@ -9,6 +9,7 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import * as fc from 'fast-check';
 import { CommandHandler } from './command-handler.js';
 import { Logger } from './logger.js';
+import { BuildMethodRegistry } from './build-method-registry.js';
 
 describe('CommandHandler Property Tests', () => {
   let commandHandler;
@@ -59,7 +60,7 @@ describe('CommandHandler Property Tests', () => {
    */
   it('should provide immediate feedback for any valid command', () => {
     fc.assert(fc.property(
-      fc.constantFrom('rs', 'restart', 'help', 'h', 'quit', 'q', 'exit'),
+      fc.constantFrom('rs', 'restart', 'cc', 'clear-cache', 'help', 'h', 'quit', 'q', 'exit'),
       (command) => {
         let feedbackProvided = false;
         let commandExecuted = false;
@@ -81,11 +82,15 @@ describe('CommandHandler Property Tests', () => {
           feedbackProvided = true;
         });
 
+        commandHandler.on('clearCache', () => {
+          feedbackProvided = true;
+        });
+
         // Process the command
         commandHandler._processCommand(command);
 
         // Verify feedback was provided
-        const validCommand = ['rs', 'restart', 'help', 'h', 'quit', 'q', 'exit'].includes(command);
+        const validCommand = ['rs', 'restart', 'cc', 'clear-cache', 'help', 'h', 'quit', 'q', 'exit'].includes(command);
         
         if (validCommand) {
           expect(commandExecuted).toBe(true);
@@ -103,7 +108,7 @@ describe('CommandHandler Property Tests', () => {
   it('should handle unknown commands gracefully and provide feedback', () => {
     fc.assert(fc.property(
       fc.string({ minLength: 1, maxLength: 20 }).filter(s => 
-        !['rs', 'restart', 'help', 'h', 'quit', 'q', 'exit'].includes(s.toLowerCase())
+        !['rs', 'restart', 'cc', 'clear-cache', 'help', 'h', 'quit', 'q', 'exit'].includes(s.toLowerCase())
       ),
       (unknownCommand) => {
         let unknownCommandEventFired = false;
@@ -134,7 +139,7 @@ describe('CommandHandler Property Tests', () => {
         const commands = commandHandler.getAvailableCommands();
         
         // Verify all expected commands exist
-        const expectedCommands = ['rs', 'help', 'quit'];
+        const expectedCommands = ['rs', 'cc', 'help', 'quit'];
         const commandNames = commands.map(cmd => cmd.name);
         
         for (const expected of expectedCommands) {
@@ -154,4 +159,17 @@ describe('CommandHandler Property Tests', () => {
       }
     ), { numRuns: 10 });
   });
-});
\ No newline at end of file
+
+  it('should list built-in and custom build methods in the help output', () => {
+    const buildMethods = new BuildMethodRegistry();
+    buildMethods.register('swc', { description: 'Compile with swc', build: async () => {} });
+    const handler = new CommandHandler(logger, { buildMethods });
+
+    handler._processCommand('help');
+
+    const lines = logger.logInfo.mock.calls.map(([message]) => message);
+    expect(lines).toContain('Build methods:');
+    expect(lines).toContain('  swc (custom) - Compile with swc');
+    expect(lines.some(line => line.startsWith('  esbuild - '))).toBe(true);
+  });
+});
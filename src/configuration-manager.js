@@ -15,6 +15,7 @@ import fs from 'fs';
 import path from 'path';
 import YAML from 'yaml';
 import { EventEmitter } from 'events';
+import { BuildHooks } from './build-hooks.js';
 
 /**
  * ConfigurationManager class for managing application configuration
@@ -55,7 +56,13 @@ export class ConfigurationManager extends EventEmitter {
       buildSettings: {},
       logLevel: 'info',
       parallelBuilds: true,
-      debounceDelay: 300
+      debounceDelay: 300,
+      buildCache: true,
+      singlePassBuild: false,
+      typeCheck: 'off',
+      buildMethods: {},
+      buildDir: '.aws-sam/build',
+      hooks: {}
     };
   }
 
@@ -120,6 +127,31 @@ export class ConfigurationManager extends EventEmitter {
       throw new Error('parallelBuilds must be a boolean value');
     }
 
+    const validTypeCheckModes = ['off', 'warn', 'error'];
+    if (!validTypeCheckModes.includes(this.config.typeCheck)) {
+      throw new Error(`Invalid typeCheck: ${this.config.typeCheck}. Must be one of: ${validTypeCheckModes.join(', ')}`);
+    }
+
+    if (typeof this.config.buildCache !== 'boolean') {
+      throw new Error('buildCache must be a boolean value');
+    }
+
+    if (typeof this.config.singlePassBuild !== 'boolean') {
+      throw new Error('singlePassBuild must be a boolean value');
+    }
+
+    const { buildMethods } = this.config;
+    if (!buildMethods || typeof buildMethods !== 'object' || Array.isArray(buildMethods) ||
+        Object.values(buildMethods).some(modulePath => typeof modulePath !== 'string' || modulePath === '')) {
+      throw new Error('buildMethods must map build method names to module paths');
+    }
+
+    new BuildHooks().validate(this.config.hooks);
+
+    if (typeof this.config.buildDir !== 'string' || this.config.buildDir.trim() === '') {
+      throw new Error('buildDir must be a non-empty path');
+    }
+
     if (typeof this.config.debounceDelay !== 'number' || this.config.debounceDelay < 0) {
       throw new Error('debounceDelay must be a non-negative number');
     }
@@ -125,6 +125,28 @@ describe('ConfigurationManager Property Tests', () => {
     ), { numRuns: 50 });
   });
 
+  it('should require buildDir to be a non-empty path', () => {
+    expect(configManager.get('buildDir')).toBe('.aws-sam/build');
+
+    configManager.updateConfig('buildDir', 'stacks/api/.build');
+    expect(configManager.get('buildDir')).toBe('stacks/api/.build');
+
+    expect(() => configManager.updateConfig('buildDir', ' ')).toThrow('buildDir must be a non-empty path');
+    expect(() => configManager.updateConfig('buildDir', 42)).toThrow('buildDir must be a non-empty path');
+    expect(configManager.get('buildDir')).toBe('stacks/api/.build');
+  });
+
+  it('should reject hooks that are not commands or modules', () => {
+    expect(configManager.get('hooks')).toEqual({});
+
+    configManager.updateConfig('hooks', { global: { preBuild: 'npx prisma generate' } });
+    expect(configManager.get('hooks')).toEqual({ global: { preBuild: 'npx prisma generate' } });
+
+    expect(() => configManager.updateConfig('hooks', { global: { build: 'make' } })).toThrow("Unknown hook 'build'");
+    expect(() => configManager.updateConfig('hooks', { ApiFunction: { postBuild: 42 } })).toThrow('hooks.ApiFunction.postBuild must be');
+    expect(configManager.get('hooks')).toEqual({ global: { preBuild: 'npx prisma generate' } });
+  });
+
   it('should validate configuration settings correctly', () => {
     fc.assert(fc.property(
       fc.record({
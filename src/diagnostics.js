@@ -0,0 +1,282 @@
+/**
+ * Build Diagnostics Module
+ * Turns esbuild messages and compiler output into structured diagnostics and renders code frames
+ *
+ * @module BuildDiagnostics
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Compiler output lines with a location, tried in order
+ * Covers GNU style `file:line:col: error: text` used by gcc, clang and many make recipes,
+ * `tsc --pretty` style `file:line:col - error TS2322: text` and `tsc --pretty false` style
+ * `file(line,col): error TS2322: text`.
+ */
+const OUTPUT_PATTERNS = [
+  /^(?<file>[^\s:(][^:(]*?):(?<line>\d+):(?<column>\d+):\s*(?<severity>fatal error|error|warning|note):\s*(?<text>.*)$/i,
+  /^(?<file>[^\s:(][^:(]*?):(?<line>\d+):(?<column>\d+)\s+-\s+(?<severity>error|warning)\s+(?<code>TS\d+):\s*(?<text>.*)$/i,
+  /^(?<file>[^\s(][^(]*?)\((?<line>\d+),(?<column>\d+)\):\s*(?<severity>error|warning)\s+(?<code>TS\d+):\s*(?<text>.*)$/i
+];
+
+/**
+ * ANSI color sequences some tools print even when their output is piped
+ */
+const ANSI_ESCAPE = /\x1b\[[0-9;]*m/g;
+
+/**
+ * BuildDiagnostics class for creating, formatting and rendering build diagnostics
+ *
+ * A diagnostic is a plain object:
+ * - `severity` - 'error' or 'warning'
+ * - `text` - message text
+ * - `file`, `line`, `column` - absolute file path and 1-based position, null when unknown
+ * - `length` - number of characters the diagnostic covers on its line
+ * - `lineText` - source line the diagnostic points at, when the tool reported it
+ * - `notes` - array of `{ text, file, line, column }` with additional information
+ * - `plugin` - name of the esbuild plugin that reported it, or null
+ * - `code` - tool-specific code such as TS2322, or null
+ * - `source` - tool that reported it, e.g. 'esbuild', 'tsc' or 'make'
+ *
+ * @class
+ * @example
+ * const diagnostics = new BuildDiagnostics();
+ * const parsed = diagnostics.parseOutput(stderr, process.cwd(), 'make');
+ *
+ * parsed.forEach(diagnostic => {
+ *   console.log(diagnostics.format(diagnostic));
+ *   console.log(diagnostics.createCodeFrame(diagnostic));
+ * });
+ */
+export class BuildDiagnostics {
+  /**
+   * Convert esbuild messages into diagnostics
+   *
+   * @param {Array<Object>} [messages=[]] - `errors` or `warnings` of an esbuild result or failure
+   * @param {string} severity - 'error' or 'warning'
+   * @param {string} [workingDir=process.cwd()] - Directory esbuild resolved file paths against
+   * @returns {Array<Object>} Diagnostics
+   * @example
+   * const errors = diagnostics.fromEsbuild(failure.errors, 'error');
+   */
+  fromEsbuild(messages = [], severity, workingDir = process.cwd()) {
+    if (!Array.isArray(messages)) {
+      return [];
+    }
+
+    return messages.map(message => ({
+      severity,
+      text: message.text,
+      ...this._fromEsbuildLocation(message.location, workingDir),
+      notes: (message.notes || []).map(note => ({
+        text: note.text,
+        ...this._pickLocation(this._fromEsbuildLocation(note.location, workingDir))
+      })),
+      plugin: message.pluginName || null,
+      code: message.id || null,
+      source: 'esbuild'
+    }));
+  }
+
+  /**
+   * Convert a diagnostic of the type checker into a build diagnostic
+   *
+   * @param {Object} diagnostic - Diagnostic from TypeChecker#check
+   * @returns {Object} Diagnostic
+   * @example
+   * const typeErrors = result.diagnostics.map(d => diagnostics.fromTypeCheck(d));
+   */
+  fromTypeCheck(diagnostic) {
+    return {
+      severity: diagnostic.category === 'error' ? 'error' : 'warning',
+      text: diagnostic.message,
+      file: diagnostic.file,
+      line: diagnostic.line,
+      column: diagnostic.column,
+      length: 1,
+      lineText: null,
+      notes: [],
+      plugin: null,
+      code: diagnostic.code,
+      source: 'tsc'
+    };
+  }
+
+  /**
+   * Parse diagnostics from the output of make, tsc or a compiler
+   * `note:` lines are attached to the diagnostic before them and indented lines continue the
+   * message of a tsc diagnostic. Lines without a location are ignored.
+   *
+   * @param {string} output - Tool output
+   * @param {string} workingDir - Directory the tool ran in, relative paths are resolved against it
+   * @param {string} source - Name of the tool
+   * @returns {Array<Object>} Diagnostics in output order
+   * @example
+   * diagnostics.parseOutput('src/app.ts:3:7: error: Expected ";"', '/app', 'make');
+   */
+  parseOutput(output, workingDir, source) {
+    const parsed = [];
+
+    for (const rawLine of output.replace(ANSI_ESCAPE, '').split(/\r?\n/)) {
+      const line = rawLine.trimEnd();
+      const match = OUTPUT_PATTERNS.map(pattern => line.match(pattern)).find(Boolean);
+      const previous = parsed[parsed.length - 1];
+
+      if (!match) {
+        if (previous && previous.code && /^\s+\S/.test(line)) {
+          previous.text += `\n${line.trim()}`;
+        }
+        continue;
+      }
+
+      const { text, code } = match.groups;
+      const location = this._parseLocation(match.groups, workingDir);
+      const severity = match.groups.severity.toLowerCase();
+
+      if (severity === 'note') {
+        if (previous) {
+          previous.notes.push({ text, ...location });
+        }
+        continue;
+      }
+
+      parsed.push({
+        severity: severity === 'warning' ? 'warning' : 'error',
+        text,
+        ...location,
+        length: 1,
+        lineText: null,
+        notes: [],
+        plugin: null,
+        code: code || null,
+        source
+      });
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Get the location of a diagnostic from a line of tool output
+   * @param {Object} groups - Named groups of the output pattern that matched the line
+   * @param {string} workingDir - Directory the tool ran in
+   * @returns {{file: string, line: number, column: number}} Absolute file and 1-based position
+   */
+  _parseLocation({ file, line, column }, workingDir) {
+    return { file: path.resolve(workingDir, file.trim()), line: Number(line), column: Number(column) };
+  }
+
+  /**
+   * Format a diagnostic as text
+   * Uses the tsc layout, `file:line:col - severity code: text`, with the file relative to the working
+   * directory. Further lines of the message are indented.
+   *
+   * @param {Object} diagnostic - Diagnostic
+   * @returns {string} Formatted diagnostic
+   * @example
+   * diagnostics.format(diagnostic); // 'src/app.ts:3:7 - error: Expected ";" but found "y"'
+   */
+  format(diagnostic) {
+    const location = diagnostic.file ? `${this.formatLocation(diagnostic)} - ` : '';
+    const code = diagnostic.code && diagnostic.source !== 'esbuild' ? ` ${diagnostic.code}` : '';
+    const plugin = diagnostic.plugin ? ` [plugin ${diagnostic.plugin}]` : '';
+
+    return `${location}${diagnostic.severity}${code}: ${diagnostic.text.replace(/\n/g, '\n  ')}${plugin}`;
+  }
+
+  /**
+   * Format the location of a diagnostic or note as `file:line:col`
+   *
+   * @param {{file: string, line: number|null, column: number|null}} location - Diagnostic or note
+   * @returns {string} Location with the file relative to the working directory
+   * @example
+   * diagnostics.formatLocation(diagnostic); // 'src/app.ts:3:7'
+   */
+  formatLocation({ file, line, column }) {
+    const relativeFile = path.relative(process.cwd(), file);
+    return line ? `${relativeFile}:${line}:${column}` : relativeFile;
+  }
+
+  /**
+   * Render the source lines around a diagnostic with a marker under its column
+   *
+   * @param {Object} diagnostic - Diagnostic
+   * @param {number} [contextLines=1] - Lines to show before and after the diagnostic's line
+   * @returns {string} Code frame, empty when the source is not available
+   * @example
+   * console.log(diagnostics.createCodeFrame(diagnostic));
+   * //   2 | export const handler = async () => {
+   * // > 3 |   const x y = 1;
+   * //     |           ^
+   * //   4 | };
+   */
+  createCodeFrame(diagnostic, contextLines = 1) {
+    if (!diagnostic.line) {
+      return '';
+    }
+
+    let lines = null;
+    try {
+      lines = fs.readFileSync(diagnostic.file, 'utf8').split(/\r?\n/);
+    } catch (error) {
+      // Fall back to the line the tool reported, e.g. for virtual plugin files
+    }
+    if (!lines || lines[diagnostic.line - 1] === undefined) {
+      if (typeof diagnostic.lineText !== 'string') {
+        return '';
+      }
+      lines = [];
+      lines[diagnostic.line - 1] = diagnostic.lineText;
+      contextLines = 0;
+    }
+
+    const first = Math.max(1, diagnostic.line - contextLines);
+    const last = Math.min(lines.length, diagnostic.line + contextLines);
+    const gutterWidth = String(last).length;
+    const frame = [];
+
+    for (let lineNumber = first; lineNumber <= last; lineNumber++) {
+      const marker = lineNumber === diagnostic.line ? '>' : ' ';
+      const text = lines[lineNumber - 1].replace(/\t/g, '  ');
+      frame.push(`${marker} ${String(lineNumber).padStart(gutterWidth)} | ${text}`.trimEnd());
+
+      if (lineNumber === diagnostic.line) {
+        // Tabs before the column are widened like the line itself
+        const prefix = lines[lineNumber - 1].slice(0, Math.max(0, diagnostic.column - 1)).replace(/\t/g, '  ');
+        const caret = '^'.repeat(Math.max(1, diagnostic.length || 1));
+        frame.push(`  ${' '.repeat(gutterWidth)} | ${' '.repeat(prefix.length)}${caret}`);
+      }
+    }
+
+    return frame.join('\n');
+  }
+
+  /**
+   * Convert an esbuild location into diagnostic location fields
+   * @param {Object|null} location - esbuild location with a 0-based column
+   * @param {string} workingDir - Directory esbuild resolved file paths against
+   * @returns {Object} file, line, column, length and lineText, null when there is no location
+   */
+  _fromEsbuildLocation(location, workingDir) {
+    if (!location) {
+      return { file: null, line: null, column: null, length: 0, lineText: null };
+    }
+
+    return {
+      file: path.resolve(workingDir, location.file),
+      line: location.line,
+      column: location.column + 1,
+      length: location.length,
+      lineText: location.lineText
+    };
+  }
+
+  /**
+   * Keep only the fields of a location that notes carry
+   * @param {Object} location - Location fields from _fromEsbuildLocation
+   * @returns {{file: string|null, line: number|null, column: number|null}} Note location
+   */
+  _pickLocation({ file, line, column }) {
+    return { file, line, column };
+  }
+}
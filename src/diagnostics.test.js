@@ -0,0 +1,123 @@
+/**
+ * Build Diagnostics Tests
+ * Tests for esbuild message conversion, compiler output parsing and code frames
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import fs from 'fs';
+import path from 'path';
+import { BuildDiagnostics } from './diagnostics.js';
+
+describe('BuildDiagnostics', () => {
+  let diagnostics;
+  let testDir;
+
+  beforeEach(() => {
+    diagnostics = new BuildDiagnostics();
+    testDir = path.join(process.cwd(), '.test-temp-diagnostics-unit-' + Date.now());
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should convert esbuild messages with notes and plugin names', () => {
+    const [diagnostic] = diagnostics.fromEsbuild([{
+      id: '',
+      pluginName: 'env-plugin',
+      text: 'Could not resolve "./config"',
+      location: { file: 'src/app.ts', line: 3, column: 20, length: 10, lineText: 'import config from "./config";' },
+      notes: [{ text: 'Did you mean "./config.json"?', location: null }]
+    }], 'error', testDir);
+
+    expect(diagnostic).toEqual({
+      severity: 'error',
+      text: 'Could not resolve "./config"',
+      file: path.join(testDir, 'src', 'app.ts'),
+      line: 3,
+      column: 21,
+      length: 10,
+      lineText: 'import config from "./config";',
+      notes: [{ text: 'Did you mean "./config.json"?', file: null, line: null, column: null }],
+      plugin: 'env-plugin',
+      code: null,
+      source: 'esbuild'
+    });
+    expect(diagnostics.format(diagnostic)).toBe(
+      `${path.relative(process.cwd(), diagnostic.file)}:3:21 - error: Could not resolve "./config" [plugin env-plugin]`
+    );
+  });
+
+  it('should parse GNU, tsc pretty and tsc plain output', () => {
+    const output = [
+      'make[1]: Entering directory \'/app\'',
+      '\x1b[91msrc/app.c:2:10: error: use of undeclared identifier \'x\'\x1b[0m',
+      'src/app.c:1:5: note: in function \'main\'',
+      'src/util.ts:7:3 - warning TS6133: \'unused\' is declared but its value is never read.',
+      'src/types.ts(4,3): error TS2322: Type \'number\' is not assignable to type \'string\'.',
+      '  Property \'id\' is missing.',
+      'make: *** [Makefile:3: build-Fn] Error 2'
+    ].join('\n');
+
+    const parsed = diagnostics.parseOutput(output, '/app', 'make');
+
+    expect(parsed.map(({ file, line, column, severity, code }) => ({ file, line, column, severity, code }))).toEqual([
+      { file: path.resolve('/app', 'src/app.c'), line: 2, column: 10, severity: 'error', code: null },
+      { file: path.resolve('/app', 'src/util.ts'), line: 7, column: 3, severity: 'warning', code: 'TS6133' },
+      { file: path.resolve('/app', 'src/types.ts'), line: 4, column: 3, severity: 'error', code: 'TS2322' }
+    ]);
+    expect(parsed[0].notes).toEqual([{ text: 'in function \'main\'', file: path.resolve('/app', 'src/app.c'), line: 1, column: 5 }]);
+    expect(parsed[2].text).toBe('Type \'number\' is not assignable to type \'string\'.\nProperty \'id\' is missing.');
+  });
+
+  it('should find every GNU style diagnostic in arbitrary output', () => {
+    fc.assert(fc.property(
+      fc.array(fc.record({
+        file: fc.stringMatching(/^[a-z][a-z0-9/_-]{0,12}\.(c|ts|go)$/),
+        line: fc.integer({ min: 1, max: 9999 }),
+        column: fc.integer({ min: 1, max: 200 }),
+        severity: fc.constantFrom('error', 'warning'),
+        noise: fc.constantFrom('', 'compiling...', '1 warning generated.', '  | ^')
+      }), { maxLength: 10 }),
+      (entries) => {
+        const output = entries
+          .map(({ file, line, column, severity, noise }) => `${noise}\n${file}:${line}:${column}: ${severity}: message`)
+          .join('\n');
+        const parsed = diagnostics.parseOutput(output, '/app', 'make');
+
+        return parsed.length === entries.length && parsed.every((diagnostic, index) =>
+          diagnostic.line === entries[index].line &&
+          diagnostic.column === entries[index].column &&
+          diagnostic.severity === entries[index].severity);
+      }
+    ), { numRuns: 50 });
+  });
+
+  it('should render a code frame with a marker under the column', () => {
+    const file = path.join(testDir, 'app.ts');
+    fs.writeFileSync(file, 'export const handler = async () => {\n\tconst x y = 1;\n};\n');
+
+    const frame = diagnostics.createCodeFrame({ file, line: 2, column: 10, length: 1, lineText: null });
+
+    expect(frame).toBe([
+      '  1 | export const handler = async () => {',
+      '> 2 |   const x y = 1;',
+      '    |           ^',
+      '  3 | };'
+    ].join('\n'));
+  });
+
+  it('should fall back to the reported line text when the file cannot be read', () => {
+    const frame = diagnostics.createCodeFrame({
+      file: path.join(testDir, 'virtual.ts'),
+      line: 12,
+      column: 5,
+      length: 3,
+      lineText: 'let foo = bar;'
+    });
+
+    expect(frame).toBe('> 12 | let foo = bar;\n     |     ^^^');
+    expect(diagnostics.createCodeFrame({ file: null, line: null, column: null })).toBe('');
+  });
+});
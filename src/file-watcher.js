@@ -41,7 +41,8 @@ export class FileWatcher extends EventEmitter {
    * Create a FileWatcher instance
    * 
    * @param {Object} [config={}] - Watcher configuration
-   * @param {string[]} [config.extensions=['js','ts','json','yaml','yml']] - File extensions to watch
+   * @param {string[]} [config.extensions=['js','ts','json','yaml','yml']] - File extensions to watch, ['*'] for every extension
+   * @param {string[]} [config.watch] - Directories to watch, the working directory when omitted
    * @param {string[]} [config.ignorePatterns] - Patterns to ignore
    * @param {number} [config.debounceDelay=300] - Debounce delay in milliseconds
    * @param {boolean} [config.verbose=false] - Enable verbose logging
@@ -49,7 +50,7 @@ export class FileWatcher extends EventEmitter {
    * const watcher = new FileWatcher({
    *   extensions: ['ts', 'js'],
    *   debounceDelay: 500,
-   *   ignorePatterns: ['**/*.test.ts']
+   *   ignorePatterns: ['**\/*.test.ts']
    * });
    */
   constructor(config = {}) {
@@ -235,8 +236,8 @@ export class FileWatcher extends EventEmitter {
    * @param {string|string[]} patterns - Ignore pattern(s) to add
    * @fires FileWatcher#ignorePatternAdded
    * @example
-   * watcher.addIgnorePattern('**/*.log');
-   * watcher.addIgnorePattern(['**/*.tmp', '**/*.cache']);
+   * watcher.addIgnorePattern('**\/*.log');
+   * watcher.addIgnorePattern(['**\/*.tmp', '**\/*.cache']);
    */
   addIgnorePattern(patterns) {
     const patternsArray = Array.isArray(patterns) ? patterns : [patterns];
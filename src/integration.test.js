@@ -361,7 +361,7 @@ Resources:
     Properties:
       CodeUri: ./bad
       Handler: app.handler
-      Runtime: nodejs20.x
+      Runtime: python3.12
 `;
       
       fs.writeFileSync(templatePath, templateWithoutMetadata);
@@ -9,6 +9,25 @@ import { describe, it, expect } from 'vitest';
 import fs from 'fs';
 import path from 'path';
 
+/**
+ * Find the last JSDoc comment that ends within 1000 characters before a declaration
+ * @param {string} content - File content
+ * @param {number} position - Index of the declaration
+ * @returns {string|null} The complete JSDoc comment, or null if none is found
+ */
+function findPrecedingJSDoc(content, position) {
+  const end = content.lastIndexOf('*/', position);
+  if (end === -1 || position - end > 1000) {
+    return null;
+  }
+  // Take the whole comment even when it starts before the lookback window, skipping globs such as `src/**` in its examples
+  const starts = [...content.slice(0, end).matchAll(/^[ \t]*\/\*\*/gm)];
+  if (starts.length === 0) {
+    return null;
+  }
+  return content.slice(starts[starts.length - 1].index, end + 2).trim();
+}
+
 /**
  * Extract public class and function declarations from a JavaScript file
  * @param {string} content - File content
@@ -22,18 +41,16 @@ function extractPublicDeclarations(content) {
   let match;
   
   while ((match = classRegex.exec(content)) !== null) {
-    // Look back up to 1000 characters for JSDoc
-    const lookback = content.slice(Math.max(0, match.index - 1000), match.index);
-    // Find the last JSDoc comment before the class
-    const jsdocMatches = lookback.match(/\/\*\*[\s\S]*?\*\//g);
-    const jsdocMatch = jsdocMatches ? jsdocMatches[jsdocMatches.length - 1] : null;
+    // The optional JSDoc group can start at an earlier comment, such as the module JSDoc, so look back from the declaration itself
+    const position = match.index + match[0].search(/export\s+class\s+\w+$/);
+    const jsdocMatch = findPrecedingJSDoc(content, position);
     
     declarations.push({
       type: 'class',
       name: match[1],
       hasJSDoc: !!jsdocMatch,
       jsdoc: jsdocMatch,
-      position: match.index
+      position
     });
   }
   
@@ -54,11 +71,9 @@ function extractPublicDeclarations(content) {
     const lastClassMatch = beforeMethod.match(/export\s+class\s+\w+/g);
     
     if (lastClassMatch) {
-      // Look back up to 1000 characters for JSDoc
-      const lookback = content.slice(Math.max(0, match.index - 1000), match.index);
-      // Find the last JSDoc comment before the method
-      const jsdocMatches = lookback.match(/\/\*\*[\s\S]*?\*\//g);
-      const jsdocMatch = jsdocMatches ? jsdocMatches[jsdocMatches.length - 1] : null;
+      // Look back from the method name, the match may start at the JSDoc of an earlier method
+      const position = match.index + match[0].lastIndexOf(methodName);
+      const jsdocMatch = findPrecedingJSDoc(content, position);
       
       declarations.push({
         type: 'method',
@@ -0,0 +1,188 @@
+/**
+ * Lambda Runtime Module
+ * Derives esbuild defaults from a function's Lambda runtime and checks build output against it
+ *
+ * @module LambdaRuntime
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Architecture Lambda uses when a function sets no Architectures
+ */
+export const DEFAULT_ARCHITECTURE = 'x86_64';
+
+/**
+ * Newest ECMAScript edition each Node.js major version supports in full
+ * Runtimes newer than the last entry are treated like it.
+ */
+const NODE_ES_EDITIONS = [[14, 2020], [16, 2021], [18, 2022], [20, 2023], [22, 2024], [24, 2025]];
+
+/**
+ * Node.js runtime from which Lambda provides the AWS SDK for JavaScript v3 instead of v2
+ */
+const SDK_V3_NODE_VERSION = 18;
+
+/**
+ * ELF machine types of the architectures Lambda supports
+ */
+const ELF_MACHINES = { 0x3e: 'x86_64', 0xb7: 'arm64' };
+
+/**
+ * LambdaRuntime class for runtime-specific build defaults and checks
+ *
+ * @class
+ * @example
+ * const lambdaRuntime = new LambdaRuntime();
+ * const { target, external } = lambdaRuntime.getDefaults('nodejs20.x');
+ * // target: 'node20', external: ['@aws-sdk/*']
+ */
+export class LambdaRuntime {
+  /**
+   * Get the esbuild target and the modules the runtime provides for a Lambda runtime
+   *
+   * @param {string} runtime - Lambda runtime, such as 'nodejs20.x'
+   * @returns {{target: string, external: Array<string>, esEdition: number}|null} Defaults, or null for runtimes other than Node.js
+   * @example
+   * lambdaRuntime.getDefaults('nodejs16.x'); // { target: 'node16', external: ['aws-sdk'], esEdition: 2021 }
+   */
+  getDefaults(runtime) {
+    const nodeVersion = this._getNodeVersion(runtime);
+    if (nodeVersion === null) {
+      return null;
+    }
+
+    const edition = NODE_ES_EDITIONS.filter(([version]) => version <= nodeVersion).pop() || NODE_ES_EDITIONS[0];
+    return {
+      target: `node${nodeVersion}`,
+      external: nodeVersion >= SDK_V3_NODE_VERSION ? ['@aws-sdk/*'] : ['aws-sdk'],
+      esEdition: edition[1]
+    };
+  }
+
+  /**
+   * Compare esbuild targets with what a runtime supports
+   * Targets for other platforms, such as 'chrome100', are ignored.
+   *
+   * @param {string|Array<string>} target - esbuild target or targets
+   * @param {string} runtime - Lambda runtime
+   * @returns {{newer: Array<string>, older: Array<string>}} Targets newer and older than the runtime
+   * @example
+   * lambdaRuntime.checkTarget('es2023', 'nodejs18.x'); // { newer: ['es2023'], older: [] }
+   */
+  checkTarget(target, runtime) {
+    const defaults = this.getDefaults(runtime);
+    const result = { newer: [], older: [] };
+    if (!defaults) {
+      return result;
+    }
+
+    const nodeVersion = this._getNodeVersion(runtime);
+    for (const entry of [].concat(target || [])) {
+      const value = String(entry).toLowerCase();
+      const es = value.match(/^es(\d{4})$/);
+      const node = value.match(/^node(\d+)/);
+
+      let comparison = null;
+      if (value === 'esnext') {
+        comparison = 1;
+      } else if (es) {
+        comparison = Math.sign(Number(es[1]) - defaults.esEdition);
+      } else if (node) {
+        comparison = Math.sign(Number(node[1]) - nodeVersion);
+      }
+
+      if (comparison === 1) {
+        result.newer.push(String(entry));
+      } else if (comparison === -1) {
+        result.older.push(String(entry));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find native addons in a directory that cannot load on the function's platform and architecture
+   * Reads the header of every `.node` file, including those in node_modules.
+   *
+   * @param {string} dir - Artifact directory
+   * @param {Array<string>} [architectures=['x86_64']] - Architectures of the function
+   * @returns {Array<{file: string, platform: string, architecture: string|null}>} Mismatching addons, file relative to dir
+   * @example
+   * lambdaRuntime.findIncompatibleNativeModules('.aws-sam/build/ImageFunction', ['arm64']);
+   * // [{ file: 'node_modules/sharp/build/Release/sharp.node', platform: 'linux', architecture: 'x86_64' }]
+   */
+  findIncompatibleNativeModules(dir, architectures = [DEFAULT_ARCHITECTURE]) {
+    const incompatible = [];
+
+    const walk = (currentDir) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(currentDir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(currentDir, entry.name);
+        if (entry.isDirectory()) {
+          walk(entryPath);
+        } else if (entry.isFile() && entry.name.endsWith('.node')) {
+          const { platform, architecture } = this._readBinaryHeader(entryPath);
+          if (platform && (platform !== 'linux' || !architectures.includes(architecture))) {
+            incompatible.push({ file: path.relative(dir, entryPath).split(path.sep).join('/'), platform, architecture });
+          }
+        }
+      }
+    };
+    walk(dir);
+
+    return incompatible.sort((a, b) => a.file.localeCompare(b.file));
+  }
+
+  /**
+   * Get the Node.js major version of a Lambda runtime
+   * @param {string} runtime - Lambda runtime
+   * @returns {number|null} Major version, or null for runtimes other than Node.js
+   */
+  _getNodeVersion(runtime) {
+    const match = typeof runtime === 'string' && runtime.match(/^nodejs(\d+)\.x$/);
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Read the platform and architecture a native addon was compiled for
+   * @param {string} filePath - Path of the .node file
+   * @returns {{platform: string|null, architecture: string|null}} 'linux', 'darwin' or 'win32', and the
+   * architecture of Linux binaries. Both are null for files that are not binaries.
+   */
+  _readBinaryHeader(filePath) {
+    const header = Buffer.alloc(20);
+    let bytesRead = 0;
+    try {
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (error) {
+      return { platform: null, architecture: null };
+    }
+
+    if (bytesRead >= 20 && header.readUInt32BE(0) === 0x7f454c46) {
+      // e_machine follows the ELF identification, in the byte order given by EI_DATA
+      const machine = header[5] === 2 ? header.readUInt16BE(18) : header.readUInt16LE(18);
+      return { platform: 'linux', architecture: ELF_MACHINES[machine] || `ELF machine ${machine}` };
+    }
+    if (bytesRead >= 4 && [0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe, 0xcafebabe].includes(header.readUInt32BE(0))) {
+      return { platform: 'darwin', architecture: null };
+    }
+    if (bytesRead >= 2 && header.toString('latin1', 0, 2) === 'MZ') {
+      return { platform: 'win32', architecture: null };
+    }
+
+    return { platform: null, architecture: null };
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Lambda Runtime Tests
+ * Tests for runtime defaults, target checks and native module detection
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import fs from 'fs';
+import path from 'path';
+import { LambdaRuntime } from './lambda-runtime.js';
+
+/**
+ * Create the start of an ELF shared object for an e_machine value
+ * @param {number} machine - ELF machine type
+ * @param {boolean} [bigEndian=false] - Byte order of the header
+ * @returns {Buffer} ELF header bytes
+ */
+function elfHeader(machine, bigEndian = false) {
+  const header = Buffer.alloc(64);
+  header.writeUInt32BE(0x7f454c46, 0);
+  header[5] = bigEndian ? 2 : 1;
+  if (bigEndian) {
+    header.writeUInt16BE(machine, 18);
+  } else {
+    header.writeUInt16LE(machine, 18);
+  }
+  return header;
+}
+
+describe('LambdaRuntime', () => {
+  let lambdaRuntime;
+  let testDir;
+
+  beforeEach(() => {
+    lambdaRuntime = new LambdaRuntime();
+    testDir = path.join(process.cwd(), '.test-temp-lambda-runtime-' + Date.now());
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should derive the target and the provided SDK from Node.js runtimes', () => {
+    expect(lambdaRuntime.getDefaults('nodejs16.x')).toEqual({ target: 'node16', external: ['aws-sdk'], esEdition: 2021 });
+    expect(lambdaRuntime.getDefaults('nodejs18.x')).toEqual({ target: 'node18', external: ['@aws-sdk/*'], esEdition: 2022 });
+    expect(lambdaRuntime.getDefaults('nodejs22.x')).toEqual({ target: 'node22', external: ['@aws-sdk/*'], esEdition: 2024 });
+    expect(lambdaRuntime.getDefaults('python3.12')).toBeNull();
+    expect(lambdaRuntime.getDefaults(undefined)).toBeNull();
+  });
+
+  it('should report targets newer and older than the runtime', () => {
+    expect(lambdaRuntime.checkTarget('es2023', 'nodejs18.x')).toEqual({ newer: ['es2023'], older: [] });
+    expect(lambdaRuntime.checkTarget(['es2019', 'node20', 'chrome100'], 'nodejs20.x')).toEqual({ newer: [], older: ['es2019'] });
+    expect(lambdaRuntime.checkTarget(['esnext', 'node16'], 'nodejs18.x')).toEqual({ newer: ['esnext'], older: ['node16'] });
+    expect(lambdaRuntime.checkTarget('es2023', 'provided.al2023')).toEqual({ newer: [], older: [] });
+  });
+
+  it('should find native modules built for another platform or architecture', () => {
+    const release = path.join(testDir, 'node_modules', 'addon', 'build', 'Release');
+    fs.mkdirSync(release, { recursive: true });
+    fs.writeFileSync(path.join(release, 'x64.node'), elfHeader(0x3e));
+    fs.writeFileSync(path.join(release, 'arm64.node'), elfHeader(0xb7));
+    fs.writeFileSync(path.join(release, 'mips.node'), elfHeader(0x08, true));
+    fs.writeFileSync(path.join(release, 'darwin.node'), Buffer.from([0xcf, 0xfa, 0xed, 0xfe, 0, 0, 0, 0]));
+    fs.writeFileSync(path.join(release, 'win32.node'), Buffer.from('MZ\0\0'));
+    fs.writeFileSync(path.join(release, 'notes.node'), 'not a binary');
+
+    const prefix = 'node_modules/addon/build/Release/';
+    expect(lambdaRuntime.findIncompatibleNativeModules(testDir, ['arm64'])).toEqual([
+      { file: `${prefix}darwin.node`, platform: 'darwin', architecture: null },
+      { file: `${prefix}mips.node`, platform: 'linux', architecture: 'ELF machine 8' },
+      { file: `${prefix}win32.node`, platform: 'win32', architecture: null },
+      { file: `${prefix}x64.node`, platform: 'linux', architecture: 'x86_64' }
+    ]);
+    expect(lambdaRuntime.findIncompatibleNativeModules(testDir).map(module => module.file)).not.toContain(`${prefix}x64.node`);
+    expect(lambdaRuntime.findIncompatibleNativeModules(path.join(testDir, 'missing'))).toEqual([]);
+  });
+
+  it('should never report a target as both newer and older', () => {
+    fc.assert(fc.property(
+      fc.array(fc.oneof(
+        fc.integer({ min: 2015, max: 2030 }).map(year => `es${year}`),
+        fc.integer({ min: 10, max: 30 }).map(version => `node${version}`),
+        fc.constant('esnext')
+      ), { maxLength: 5 }),
+      fc.integer({ min: 12, max: 26 }).map(version => `nodejs${version}.x`),
+      (targets, runtime) => {
+        const { newer, older } = lambdaRuntime.checkTarget(targets, runtime);
+        return newer.every(target => !older.includes(target)) && newer.length + older.length <= targets.length;
+      }
+    ), { numRuns: 100 });
+  });
+});
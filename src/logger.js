@@ -11,6 +11,7 @@
  * @fires Logger#buildCompleted
  * @fires Logger#error
  * @fires Logger#buildError
+ * @fires Logger#diagnostic
  * @fires Logger#info
  * @fires Logger#debug
  * @fires Logger#warn
@@ -19,6 +20,7 @@
  * @fires Logger#verboseBuildConfig
  */
 import { EventEmitter } from 'events';
+import { BuildDiagnostics } from './diagnostics.js';
 
 /**
  * Logger class for structured logging with function-specific formatting
@@ -54,6 +56,7 @@ export class Logger extends EventEmitter {
       warn: 2,
       error: 3
     };
+    this.diagnostics = new BuildDiagnostics();
   }
 
   /**
@@ -193,7 +196,8 @@ export class Logger extends EventEmitter {
 
   /**
    * Log an error with optional function context
-   * Includes stack traces in debug mode
+   * Includes stack traces in debug mode. The error event is only emitted when something listens
+   * for it, EventEmitter throws on an error event without listeners.
    * 
    * @param {string|null} functionName - Name of the Lambda function (optional)
    * @param {string|Error} error - Error message or Error object
@@ -241,7 +245,9 @@ export class Logger extends EventEmitter {
     }
     
     this._output('error', formattedMessage);
-    this.emit('error', { functionName, error: errorMessage, context, timestamp });
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', { functionName, error: errorMessage, context, timestamp });
+    }
   }
 
   /**
@@ -261,6 +267,41 @@ export class Logger extends EventEmitter {
     this.emit('buildError', { functionName, error, buildContext });
   }
 
+  /**
+   * Log a structured build diagnostic with a frame of the source code it points at
+   * Errors are logged at error level and warnings at warn level unless a level is given.
+   *
+   * @param {string} functionName - Name of the Lambda function
+   * @param {Object} diagnostic - Diagnostic from BuildDiagnostics
+   * @param {string} [level] - Log level, e.g. 'warn' for type errors that do not fail the build
+   * @fires Logger#diagnostic
+   * @example
+   * logger.logDiagnostic('HelloWorldFunction', diagnostic);
+   * // 2024-01-31T10:30:46.234Z [HelloWorldFunction] hello-world/app.ts:3:11 - error: Expected ";" but found "y"
+   * //   2 | export const handler = async () => {
+   * // > 3 |   const x y = 1;
+   * //     |           ^
+   */
+  logDiagnostic(functionName, diagnostic, level = diagnostic.severity === 'error' ? 'error' : 'warn') {
+    if (!this._shouldLog(level)) return;
+
+    const timestamp = this._getTimestamp();
+    const lines = [`${timestamp} ${this._formatFunctionName(functionName)} ${this.diagnostics.format(diagnostic)}`];
+
+    const frame = this.diagnostics.createCodeFrame(diagnostic);
+    if (frame) {
+      lines.push(frame.split('\n').map(line => `  ${line}`).join('\n'));
+    }
+
+    for (const note of diagnostic.notes) {
+      const location = note.file ? ` (${this.diagnostics.formatLocation(note)})` : '';
+      lines.push(`  note: ${note.text}${location}`);
+    }
+
+    this._output(level, lines.join('\n'));
+    this.emit('diagnostic', { functionName, diagnostic, timestamp });
+  }
+
   /**
    * Generate troubleshooting suggestions based on error type
    * @param {string|Error} error - Error message or Error object
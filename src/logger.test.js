@@ -4,6 +4,7 @@
  */
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import * as fc from 'fast-check';
+import path from 'path';
 import { Logger } from './logger.js';
 
 describe('Logger', () => {
@@ -34,6 +35,58 @@ describe('Logger', () => {
       expect(output).toContain('esbuild');
       expect(output).toContain('100ms');
     });
+
+    it('should log errors without error listeners and emit them to listeners', () => {
+      expect(() => logger.logError('TestFunc', new Error('Build failed'))).not.toThrow();
+      expect(consoleErrorSpy.mock.calls[0][0]).toContain('Build failed');
+
+      const errorListener = vi.fn();
+      logger.on('error', errorListener);
+      logger.logError('TestFunc', 'Build failed again');
+      expect(errorListener).toHaveBeenCalledWith(expect.objectContaining({ functionName: 'TestFunc', error: 'Build failed again' }));
+    });
+  });
+
+  describe('Diagnostics', () => {
+    it('should render a diagnostic with its code frame and notes', () => {
+      const emitted = vi.fn();
+      logger.on('diagnostic', emitted);
+
+      logger.logDiagnostic('TestFunc', {
+        severity: 'warning',
+        text: 'Comparison using the "==" operator here is always false',
+        file: path.join(process.cwd(), 'src', 'virtual.ts'),
+        line: 4,
+        column: 21,
+        length: 2,
+        lineText: '  return typeof x == "null";',
+        notes: [{ text: 'The "typeof" operator never evaluates to "null".', file: null, line: null, column: null }],
+        plugin: null,
+        code: null,
+        source: 'esbuild'
+      });
+
+      const output = consoleLogSpy.mock.calls[0][0].split('\n');
+      expect(output[0]).toMatch(/\[TestFunc\] src[\\/]virtual\.ts:4:21 - warning: Comparison using/);
+      expect(output.slice(1)).toEqual([
+        '  > 4 |   return typeof x == "null";',
+        '      |                     ^^',
+        '  note: The "typeof" operator never evaluates to "null".'
+      ]);
+      expect(emitted).toHaveBeenCalledWith(expect.objectContaining({ functionName: 'TestFunc' }));
+    });
+
+    it('should log error diagnostics to stderr and respect the log level', () => {
+      const diagnostic = { severity: 'error', text: 'boom', file: null, line: null, column: null, notes: [] };
+
+      logger.logDiagnostic('TestFunc', diagnostic);
+      logger.setLogLevel('error');
+      logger.logDiagnostic('TestFunc', { ...diagnostic, severity: 'warning' });
+
+      expect(consoleErrorSpy).toHaveBeenCalledTimes(1);
+      expect(consoleErrorSpy.mock.calls[0][0]).toMatch(/\[TestFunc\] error: boom$/);
+      expect(consoleLogSpy).not.toHaveBeenCalled();
+    });
   });
 
   describe('Property-Based Tests', () => {
@@ -0,0 +1,341 @@
+/**
+ * Npm Builder Module
+ * Prepares artifact directories for plain Node.js functions the way the npm builder of `sam build` does
+ *
+ * @module NpmBuilder
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Entries npm never packs, whatever the ignore files say
+ */
+const ALWAYS_IGNORED = ['.git', 'node_modules', '.npmrc', 'npm-debug.log', '.DS_Store', '.aws-sam'];
+
+/**
+ * Lockfiles `npm ci` installs from, in order of precedence
+ */
+const LOCKFILES = ['npm-shrinkwrap.json', 'package-lock.json'];
+
+/**
+ * File inside the artifact's node_modules recording which manifest it was installed from
+ */
+const INSTALL_STAMP = '.hot-reload-install';
+
+/**
+ * NpmBuilder class for copying function sources and deciding when dependencies must be reinstalled
+ *
+ * @class
+ * @example
+ * const npmBuilder = new NpmBuilder();
+ * npmBuilder.copySources('./hello-world', '.aws-sam/build/HelloWorldFunction');
+ *
+ * const hash = npmBuilder.getDependencyHash('./hello-world');
+ * if (!npmBuilder.isInstallCurrent('.aws-sam/build/HelloWorldFunction', hash)) {
+ *   // run npm with npmBuilder.getInstallArgs('./hello-world'), then:
+ *   npmBuilder.recordInstall('.aws-sam/build/HelloWorldFunction', hash);
+ * }
+ */
+export class NpmBuilder {
+  /**
+   * Copy a function's sources into its artifact directory
+   * Files excluded by .npmignore (or .gitignore when there is none, like npm) are skipped and
+   * removed from the artifact directory. Unchanged files are left alone and node_modules is kept.
+   *
+   * @param {string} sourceDir - Function source directory (CodeUri)
+   * @param {string} targetDir - Artifact directory
+   * @param {Array<string>} [excludeDirs=[]] - Directories never copied, such as a build directory inside CodeUri
+   * @returns {{copied: number, removed: number}} Number of files copied and stale entries removed
+   * @example
+   * const { copied } = npmBuilder.copySources('./hello-world', '.aws-sam/build/HelloWorldFunction');
+   */
+  copySources(sourceDir, targetDir, excludeDirs = []) {
+    const excluded = new Set(excludeDirs.map(dir => path.resolve(dir)));
+    const rules = this.loadIgnoreRules(sourceDir);
+    const packed = new Set();
+    let copied = 0;
+    let removed = 0;
+
+    const copyDirectory = (relativeDir) => {
+      for (const entry of fs.readdirSync(path.join(sourceDir, relativeDir), { withFileTypes: true })) {
+        const relativePath = path.posix.join(relativeDir.split(path.sep).join('/'), entry.name);
+        const isDirectory = entry.isDirectory();
+
+        const sourcePath = path.join(sourceDir, relativePath);
+        if (excluded.has(path.resolve(sourcePath))) {
+          continue;
+        }
+        // The lockfile is needed for npm ci even though npm itself never packs it
+        if (!LOCKFILES.includes(relativePath) && this.isIgnored(relativePath, isDirectory, rules)) {
+          continue;
+        }
+
+        const targetPath = path.join(targetDir, relativePath);
+        packed.add(relativePath);
+
+        if (isDirectory) {
+          fs.mkdirSync(targetPath, { recursive: true });
+          copyDirectory(relativePath);
+        } else if (entry.isFile() && this._needsCopy(sourcePath, targetPath)) {
+          fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+          // The target may be a hard link into the published build, replace it instead of writing through it
+          fs.rmSync(targetPath, { force: true });
+          fs.copyFileSync(sourcePath, targetPath);
+          copied++;
+        }
+      }
+    };
+
+    const removeStale = (relativeDir) => {
+      for (const entry of fs.readdirSync(path.join(targetDir, relativeDir), { withFileTypes: true })) {
+        const relativePath = path.posix.join(relativeDir.split(path.sep).join('/'), entry.name);
+
+        if (relativePath === 'node_modules') {
+          continue;
+        }
+        if (!packed.has(relativePath)) {
+          fs.rmSync(path.join(targetDir, relativePath), { recursive: true, force: true });
+          removed++;
+        } else if (entry.isDirectory()) {
+          removeStale(relativePath);
+        }
+      }
+    };
+
+    fs.mkdirSync(targetDir, { recursive: true });
+    copyDirectory('');
+    removeStale('');
+
+    return { copied, removed };
+  }
+
+  /**
+   * Read the ignore rules of a package directory
+   *
+   * @param {string} sourceDir - Package directory
+   * @returns {Array<{regex: RegExp, negate: boolean, directoryOnly: boolean}>} Rules in file order
+   * @example
+   * const rules = npmBuilder.loadIgnoreRules('./hello-world');
+   */
+  loadIgnoreRules(sourceDir) {
+    for (const ignoreFile of ['.npmignore', '.gitignore']) {
+      try {
+        const content = fs.readFileSync(path.join(sourceDir, ignoreFile), 'utf8');
+        return content.split(/\r?\n/).map(line => this._compileRule(line)).filter(Boolean);
+      } catch (error) {
+        // Fall back to the next ignore file
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Check whether a path is excluded from the package
+   * The last matching rule wins, `!pattern` rules re-include paths.
+   *
+   * @param {string} relativePath - Path relative to the package directory, with forward slashes
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @param {Array<Object>} rules - Rules from loadIgnoreRules
+   * @returns {boolean} True if the path is not packed
+   * @example
+   * npmBuilder.isIgnored('tests/app.test.js', false, rules);
+   */
+  isIgnored(relativePath, isDirectory, rules) {
+    if (ALWAYS_IGNORED.includes(path.posix.basename(relativePath))) {
+      return true;
+    }
+    if (relativePath === 'package.json') {
+      return false;
+    }
+
+    let ignored = false;
+    for (const rule of rules) {
+      if ((!rule.directoryOnly || isDirectory) && rule.regex.test(relativePath)) {
+        ignored = !rule.negate;
+      }
+    }
+
+    return ignored;
+  }
+
+  /**
+   * Hash the files that decide which dependencies are installed
+   *
+   * @param {string} sourceDir - Package directory
+   * @returns {string} Hex digest of package.json and the lockfile
+   * @throws {Error} If the directory has no package.json
+   * @example
+   * const hash = npmBuilder.getDependencyHash('./hello-world');
+   */
+  getDependencyHash(sourceDir) {
+    const hash = crypto.createHash('sha256');
+    const packageJsonPath = path.join(sourceDir, 'package.json');
+
+    if (!fs.existsSync(packageJsonPath)) {
+      throw new Error(`package.json not found in ${sourceDir}. The npm build method needs a package.json in CodeUri`);
+    }
+
+    for (const fileName of ['package.json', ...LOCKFILES]) {
+      const filePath = path.join(sourceDir, fileName);
+      if (fs.existsSync(filePath)) {
+        hash.update(fileName);
+        hash.update(fs.readFileSync(filePath));
+      }
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Get the npm arguments that install production dependencies
+   * Installs exactly what the lockfile pins when there is one and prefers npm's offline cache.
+   *
+   * @param {string} sourceDir - Package directory
+   * @returns {Array<string>} Arguments for the npm command
+   * @example
+   * spawn('npm', npmBuilder.getInstallArgs('./hello-world'), { cwd: artifactsDir });
+   */
+  getInstallArgs(sourceDir) {
+    const hasLockfile = LOCKFILES.some(fileName => fs.existsSync(path.join(sourceDir, fileName)));
+    return [hasLockfile ? 'ci' : 'install', '--omit=dev', '--prefer-offline', '--no-audit', '--no-fund'];
+  }
+
+  /**
+   * Check whether the artifact's node_modules was installed from the given manifest
+   *
+   * @param {string} targetDir - Artifact directory
+   * @param {string} dependencyHash - Hash from getDependencyHash
+   * @returns {boolean} True if the install can be reused
+   * @example
+   * if (npmBuilder.isInstallCurrent(artifactsDir, hash)) return;
+   */
+  isInstallCurrent(targetDir, dependencyHash) {
+    try {
+      return fs.readFileSync(path.join(targetDir, 'node_modules', INSTALL_STAMP), 'utf8') === dependencyHash;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remember which manifest the artifact's node_modules was installed from
+   *
+   * @param {string} targetDir - Artifact directory
+   * @param {string} dependencyHash - Hash from getDependencyHash
+   * @example
+   * npmBuilder.recordInstall(artifactsDir, hash);
+   */
+  recordInstall(targetDir, dependencyHash) {
+    const nodeModulesDir = path.join(targetDir, 'node_modules');
+    const stampPath = path.join(nodeModulesDir, INSTALL_STAMP);
+    fs.mkdirSync(nodeModulesDir, { recursive: true });
+    fs.rmSync(stampPath, { force: true });
+    fs.writeFileSync(stampPath, dependencyHash);
+  }
+
+  /**
+   * Recreate a directory tree with hard links to its files
+   * Lets a new build start from the published artifact without copying node_modules. Files are
+   * copied where hard links are not supported, symbolic links are recreated as they are.
+   *
+   * @param {string} sourceDir - Directory to mirror, nothing happens if it does not exist
+   * @param {string} targetDir - Directory to create
+   * @returns {number} Number of files linked or copied
+   * @example
+   * npmBuilder.linkTree('.aws-sam/build/HelloWorldFunction', '.aws-sam/build/.HelloWorldFunction.staging');
+   */
+  linkTree(sourceDir, targetDir) {
+    if (!fs.existsSync(sourceDir)) {
+      return 0;
+    }
+
+    let linked = 0;
+    const linkDirectory = (relativeDir) => {
+      fs.mkdirSync(path.join(targetDir, relativeDir), { recursive: true });
+
+      for (const entry of fs.readdirSync(path.join(sourceDir, relativeDir), { withFileTypes: true })) {
+        const relativePath = path.join(relativeDir, entry.name);
+        const sourcePath = path.join(sourceDir, relativePath);
+        const targetPath = path.join(targetDir, relativePath);
+
+        if (entry.isDirectory()) {
+          linkDirectory(relativePath);
+        } else if (entry.isSymbolicLink()) {
+          fs.symlinkSync(fs.readlinkSync(sourcePath), targetPath);
+        } else if (entry.isFile()) {
+          try {
+            fs.linkSync(sourcePath, targetPath);
+          } catch (error) {
+            fs.copyFileSync(sourcePath, targetPath);
+          }
+          linked++;
+        }
+      }
+    };
+
+    linkDirectory('');
+    return linked;
+  }
+
+  /**
+   * Check whether a source file differs from its copy
+   * @param {string} sourcePath - Source file
+   * @param {string} targetPath - Copy in the artifact directory
+   * @returns {boolean} True if the file must be copied
+   */
+  _needsCopy(sourcePath, targetPath) {
+    try {
+      const source = fs.statSync(sourcePath);
+      const target = fs.statSync(targetPath);
+      return source.size !== target.size || source.mtimeMs > target.mtimeMs;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Compile one line of an ignore file into a rule
+   * Supports gitignore syntax: comments, `!` negation, trailing `/` for directories, leading `/`
+   * or an inner `/` to anchor at the package root, and the `*`, `?` and `**` wildcards.
+   * @param {string} line - Ignore file line
+   * @returns {Object|null} Rule, or null for blank lines and comments
+   */
+  _compileRule(line) {
+    let pattern = line.trim();
+    if (!pattern || pattern.startsWith('#')) {
+      return null;
+    }
+
+    const negate = pattern.startsWith('!');
+    if (negate) {
+      pattern = pattern.slice(1);
+    }
+
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    const source = pattern
+      .split(/(\*\*\/|\/\*\*|\*\*|\*|\?)/)
+      .map(part => {
+        switch (part) {
+          case '**/': return '(?:.*/)?';
+          case '/**': return '(?:/.*)?';
+          case '**': return '.*';
+          case '*': return '[^/]*';
+          case '?': return '[^/]';
+          default: return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+      })
+      .join('');
+
+    return {
+      regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`),
+      negate,
+      directoryOnly
+    };
+  }
+}
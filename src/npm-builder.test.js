@@ -0,0 +1,113 @@
+/**
+ * Tests for Npm Builder
+ * Artifact directories must contain what `npm pack` would ship, plus the lockfile for `npm ci`
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import fs from 'fs';
+import path from 'path';
+import { NpmBuilder } from './npm-builder.js';
+
+describe('NpmBuilder', () => {
+  let npmBuilder;
+  let testDir;
+  let sourceDir;
+  let targetDir;
+
+  beforeEach(() => {
+    npmBuilder = new NpmBuilder();
+    testDir = path.join(process.cwd(), '.test-temp-npm-builder-' + Date.now());
+    sourceDir = path.join(testDir, 'src');
+    targetDir = path.join(testDir, 'build');
+    fs.mkdirSync(path.join(sourceDir, 'lib'), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, 'package.json'), '{"name":"fn"}');
+    fs.writeFileSync(path.join(sourceDir, 'app.js'), 'exports.handler = 1;\n');
+    fs.writeFileSync(path.join(sourceDir, 'lib', 'util.js'), 'module.exports = 1;\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  const rulesFor = (content) => content.split('\n').map(line => npmBuilder._compileRule(line)).filter(Boolean);
+
+  it('should match gitignore style patterns', () => {
+    const rules = rulesFor('# comment\n*.test.js\n/coverage\ndocs/\nsrc/**/fixtures\n!keep.test.js');
+
+    expect(npmBuilder.isIgnored('app.test.js', false, rules)).toBe(true);
+    expect(npmBuilder.isIgnored('lib/deep/util.test.js', false, rules)).toBe(true);
+    expect(npmBuilder.isIgnored('keep.test.js', false, rules)).toBe(false);
+    expect(npmBuilder.isIgnored('coverage', true, rules)).toBe(true);
+    expect(npmBuilder.isIgnored('lib/coverage', true, rules)).toBe(false);
+    expect(npmBuilder.isIgnored('docs', true, rules)).toBe(true);
+    expect(npmBuilder.isIgnored('docs', false, rules)).toBe(false);
+    expect(npmBuilder.isIgnored('src/a/b/fixtures', true, rules)).toBe(true);
+    expect(npmBuilder.isIgnored('node_modules', true, [])).toBe(true);
+    expect(npmBuilder.isIgnored('package.json', false, rulesFor('*.json'))).toBe(false);
+  });
+
+  it('should use .gitignore when there is no .npmignore', () => {
+    fs.writeFileSync(path.join(sourceDir, '.gitignore'), 'lib/\n');
+    npmBuilder.copySources(sourceDir, targetDir);
+    expect(fs.existsSync(path.join(targetDir, 'lib'))).toBe(false);
+
+    fs.writeFileSync(path.join(sourceDir, '.npmignore'), '*.md\n');
+    npmBuilder.copySources(sourceDir, targetDir);
+    expect(fs.existsSync(path.join(targetDir, 'lib', 'util.js'))).toBe(true);
+  });
+
+  it('should only copy changed files and keep node_modules', () => {
+    expect(npmBuilder.copySources(sourceDir, targetDir)).toEqual({ copied: 3, removed: 0 });
+    fs.mkdirSync(path.join(targetDir, 'node_modules'));
+
+    expect(npmBuilder.copySources(sourceDir, targetDir)).toEqual({ copied: 0, removed: 0 });
+    expect(fs.existsSync(path.join(targetDir, 'node_modules'))).toBe(true);
+  });
+
+  it('should prefer npm ci when a lockfile exists', () => {
+    expect(npmBuilder.getInstallArgs(sourceDir)[0]).toBe('install');
+
+    fs.writeFileSync(path.join(sourceDir, 'package-lock.json'), '{}');
+    expect(npmBuilder.getInstallArgs(sourceDir)).toEqual(['ci', '--omit=dev', '--prefer-offline', '--no-audit', '--no-fund']);
+  });
+
+  it('should only reuse an install made from the same manifest', () => {
+    fc.assert(fc.property(
+      fc.string(),
+      fc.string(),
+      (installedLockfile, currentLockfile) => {
+        fs.writeFileSync(path.join(sourceDir, 'package-lock.json'), installedLockfile);
+        npmBuilder.recordInstall(targetDir, npmBuilder.getDependencyHash(sourceDir));
+
+        fs.writeFileSync(path.join(sourceDir, 'package-lock.json'), currentLockfile);
+        const current = npmBuilder.isInstallCurrent(targetDir, npmBuilder.getDependencyHash(sourceDir));
+        return current === (installedLockfile === currentLockfile);
+      }
+    ), { numRuns: 50 });
+  });
+
+  it('should link a build tree without letting source copies write through the links', () => {
+    npmBuilder.copySources(sourceDir, targetDir);
+    const stagingDir = path.join(testDir, 'staging');
+
+    expect(npmBuilder.linkTree(targetDir, stagingDir)).toBe(3);
+    expect(fs.statSync(path.join(stagingDir, 'lib', 'util.js')).ino).toBe(fs.statSync(path.join(targetDir, 'lib', 'util.js')).ino);
+
+    fs.writeFileSync(path.join(sourceDir, 'app.js'), 'exports.handler = 2;\n');
+    npmBuilder.copySources(sourceDir, stagingDir);
+
+    expect(fs.readFileSync(path.join(stagingDir, 'app.js'), 'utf8')).toContain('2');
+    expect(fs.readFileSync(path.join(targetDir, 'app.js'), 'utf8')).toContain('1');
+    expect(npmBuilder.linkTree(path.join(testDir, 'missing'), stagingDir)).toBe(0);
+  });
+
+  it('should not copy excluded directories such as a build directory inside CodeUri', () => {
+    fs.mkdirSync(path.join(sourceDir, 'out', 'Fn'), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, 'out', 'Fn', 'app.js'), '');
+
+    npmBuilder.copySources(sourceDir, targetDir, [path.join(sourceDir, 'out')]);
+
+    expect(fs.existsSync(path.join(targetDir, 'out'))).toBe(false);
+    expect(fs.existsSync(path.join(targetDir, 'lib', 'util.js'))).toBe(true);
+  });
+});
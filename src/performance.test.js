@@ -4,7 +4,7 @@
  * 
  * @module PerformanceTests
  */
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
@@ -20,6 +20,9 @@ const PERF_THRESHOLDS = {
   MEMORY_GROWTH_MB: Number(process.env.PERF_MEMORY_GROWTH_MB ?? 100),
   MEMORY_LEAK_MB: Number(process.env.PERF_MEMORY_LEAK_MB ?? 50),
 };
+
+// Set PERF_REPORT=1 to print measured wall-clock times
+const PERF_REPORT = Boolean(process.env.PERF_REPORT);
 describe('Performance Tests', () => {
   let testDir;
   let templatePath;
@@ -379,6 +382,109 @@ ${largeFunctions}
     });
   });
 
+  /**
+   * Test single-pass esbuild builds against per-function builds
+   */
+  describe('Single-pass build performance', () => {
+    const FUNCTION_COUNT = 12;
+    const names = Array.from({ length: FUNCTION_COUNT }, (_, i) => `SinglePassFunc${i + 1}`);
+
+    afterEach(() => {
+      // Staging and backup directories are named after the function
+      for (const name of fs.readdirSync(path.join('.aws-sam', 'build'))) {
+        if (names.some(functionName => name === functionName || name.startsWith(`.${functionName}.`))) {
+          fs.rmSync(path.join('.aws-sam', 'build', name), { recursive: true, force: true });
+        }
+      }
+    });
+
+    /**
+     * Create functions that each import the same package with many modules
+     * @returns {Array<Object>} Function configurations
+     */
+    const createFunctions = () => {
+      const libDir = path.join(testDir, 'node_modules', 'bench-lib');
+      fs.mkdirSync(libDir, { recursive: true });
+      fs.writeFileSync(path.join(libDir, 'package.json'), JSON.stringify({ name: 'bench-lib', main: 'index.js' }));
+      const modules = Array.from({ length: 60 }, (_, i) => `module${i}`);
+      for (const module of modules) {
+        fs.writeFileSync(path.join(libDir, `${module}.js`), Array.from({ length: 40 }, (_, i) =>
+          `exports.${module}_${i} = (value) => [${i}, value, ${JSON.stringify(`${module} ${i}`)}].join(':');`).join('\n'));
+      }
+      fs.writeFileSync(path.join(libDir, 'index.js'), modules.map(module => `Object.assign(exports, require('./${module}'));`).join('\n'));
+
+      return names.map((name, i) => {
+        const codeUri = path.join(testDir, `func${i + 1}`);
+        fs.mkdirSync(codeUri, { recursive: true });
+        fs.writeFileSync(path.join(codeUri, 'app.ts'),
+          `import * as lib from 'bench-lib';\nexport const handler = async () => Object.keys(lib).length + ${i};\n`);
+
+        return {
+          Name: name,
+          Properties: { CodeUri: codeUri, Handler: 'app.handler', Runtime: 'nodejs20.x' },
+          Metadata: { BuildMethod: 'esbuild' }
+        };
+      });
+    };
+
+    /**
+     * Build all functions with a fresh BuildManager and measure the run
+     * @param {Array<Object>} functions - Function configurations
+     * @param {boolean} singlePassBuild - Whether to bundle compatible functions in one esbuild run
+     * @returns {Promise<{duration: number, esbuildRuns: number, results: Map<string, Object>}>} Duration,
+     * number of esbuild invocations and build results
+     */
+    const measureBuild = async (functions, singlePassBuild) => {
+      const logger = new Logger();
+      const configManager = new ConfigurationManager();
+      configManager.updateConfig('buildCache', false);
+      configManager.updateConfig('singlePassBuild', singlePassBuild);
+      const buildManager = new BuildManager(logger, configManager);
+      const singlePasses = vi.spyOn(buildManager, '_startSinglePass');
+      const contexts = vi.spyOn(buildManager, '_getEsbuildContext');
+
+      // Build logs are muted so the timing comparison stands out in the test output
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const startTime = Date.now();
+      let results;
+      let duration;
+      try {
+        results = await buildManager.buildFunctions(functions);
+        duration = Date.now() - startTime;
+      } finally {
+        logSpy.mockRestore();
+        await buildManager.dispose();
+      }
+
+      const esbuildRuns = singlePasses.mock.results.filter(result => result.value).length + contexts.mock.calls.length;
+      return { duration, esbuildRuns, results };
+    };
+
+    it('should build many functions sharing node_modules in a single esbuild run', async () => {
+      const functions = createFunctions();
+
+      const perFunction = await measureBuild(functions, false);
+      const perFunctionOutput = fs.readFileSync(path.join('.aws-sam', 'build', names[0], 'app.js'), 'utf8');
+      const singlePass = await measureBuild(functions, true);
+
+      expect(Array.from(perFunction.results.values()).every(result => result.success)).toBe(true);
+      expect(Array.from(singlePass.results.values()).every(result => result.success && result.singlePass)).toBe(true);
+      expect(fs.readFileSync(path.join('.aws-sam', 'build', names[0], 'app.js'), 'utf8')).toBe(perFunctionOutput);
+      expect(perFunction.esbuildRuns).toBe(FUNCTION_COUNT);
+      expect(singlePass.esbuildRuns).toBe(1);
+
+      // Wall-clock times depend on the machine, they are not asserted and only printed with PERF_REPORT
+      if (PERF_REPORT) {
+        const speedup = perFunction.duration / Math.max(singlePass.duration, 1);
+        console.log([
+          `Building ${FUNCTION_COUNT} functions that share node_modules:`,
+          `  per-function builds: ${perFunction.esbuildRuns} esbuild runs, ${perFunction.duration}ms`,
+          `  single pass:         ${singlePass.esbuildRuns} esbuild run, ${singlePass.duration}ms (${speedup.toFixed(1)}x faster)`
+        ].join('\n'));
+      }
+    });
+  });
+
   /**
    * Test incremental build performance
    */
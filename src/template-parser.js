@@ -7,10 +7,38 @@
  * @fires TemplateParser#templateParsed
  * @fires TemplateParser#parseError
  * @fires TemplateParser#validationError
+ * @fires TemplateParser#builtTemplateWritten
  */
 import fs from 'fs';
+import path from 'path';
 import YAML from 'yaml';
 import { EventEmitter } from 'events';
+import { BuildMethodRegistry } from './build-method-registry.js';
+
+/**
+ * Resource properties that hold local paths relative to the template
+ * They are rebased when the template is copied into the build directory, like `sam build` does
+ */
+const RESOURCE_PATH_PROPERTIES = {
+  'AWS::Serverless::Function': ['CodeUri'],
+  'AWS::Serverless::LayerVersion': ['ContentUri'],
+  'AWS::Serverless::Api': ['DefinitionUri'],
+  'AWS::Serverless::HttpApi': ['DefinitionUri'],
+  'AWS::Serverless::StateMachine': ['DefinitionUri'],
+  'AWS::Serverless::Application': ['Location'],
+  'AWS::Lambda::Function': ['Code'],
+  'AWS::Lambda::LayerVersion': ['Content']
+};
+
+/**
+ * Resource type of layers, they are built from ContentUri like functions are built from CodeUri
+ */
+const LAYER_TYPE = 'AWS::Serverless::LayerVersion';
+
+/**
+ * Build method used for nodejs* functions that do not declare one
+ */
+const DEFAULT_NODEJS_BUILD_METHOD = 'npm';
 
 /**
  * TemplateParser class for parsing SAM and CDK templates
@@ -30,11 +58,16 @@ export class TemplateParser extends EventEmitter {
   /**
    * Create a TemplateParser instance
    * 
+   * @param {BuildMethodRegistry} [buildMethods] - Registry of the BuildMethod values functions may use
    * @example
    * const parser = new TemplateParser();
+   * 
+   * // Accept custom build methods loaded from the configuration
+   * const customParser = new TemplateParser(buildMethods);
    */
-  constructor() {
+  constructor(buildMethods = new BuildMethodRegistry()) {
     super();
+    this.buildMethods = buildMethods;
   }
 
   /**
@@ -78,6 +111,112 @@ export class TemplateParser extends EventEmitter {
     }
   }
 
+  /**
+   * Write the built template that `sam local` reads from the build directory
+   * Keeps every resource of the original template, points CodeUri and Handler of the built
+   * functions and ContentUri of the built layers at their artifacts and rebases other local
+   * paths to the build directory. Functions built with source maps get `--enable-source-maps` in
+   * their NODE_OPTIONS, like `sam build` does.
+   * 
+   * @param {string} templatePath - Path to the original template file
+   * @param {Array<Object>} builtFunctions - Configurations of the functions and layers that have build artifacts
+   * @param {string} [buildDir='.aws-sam/build'] - Build directory holding one artifact directory per function
+   * @param {Object} [options={}] - Built template options
+   * @param {Array<string>} [options.sourceMapFunctions=[]] - Names of the functions whose artifacts have source maps
+   * @returns {string} Path of the written template
+   * @throws {Error} If the template cannot be read or written
+   * @fires TemplateParser#builtTemplateWritten
+   * @example
+   * const parser = new TemplateParser();
+   * const builtPath = parser.writeBuiltTemplate('./template.yaml', selectedFunctions);
+   * // sam local start-api now runs .aws-sam/build/template.yaml
+   *
+   * parser.writeBuiltTemplate('./template.yaml', selectedFunctions, '.aws-sam/build', {
+   *   sourceMapFunctions: ['HelloWorldFunction']
+   * });
+   */
+  writeBuiltTemplate(templatePath, builtFunctions, buildDir = path.join('.aws-sam', 'build'), options = {}) {
+    const doc = YAML.parseDocument(fs.readFileSync(templatePath, 'utf8'), { logLevel: 'error' });
+    const templateDir = path.dirname(path.resolve(templatePath));
+    const resolvedBuildDir = path.resolve(buildDir);
+    const built = new Map(builtFunctions.map(func => [func.Name, func]));
+    const sourceMapFunctions = new Set(options.sourceMapFunctions || []);
+
+    const rebase = (keyPath) => {
+      const value = doc.getIn(keyPath);
+      if (typeof value === 'string' && this._isLocalPath(value)) {
+        doc.setIn(keyPath, path.relative(resolvedBuildDir, path.resolve(templateDir, value)) || '.');
+      }
+    };
+
+    rebase(['Globals', 'Function', 'CodeUri']);
+
+    const resources = doc.get('Resources')?.toJSON() || {};
+    for (const [name, resource] of Object.entries(resources)) {
+      const properties = RESOURCE_PATH_PROPERTIES[resource?.Type] || [];
+      const functionConfig = built.get(name);
+
+      if (functionConfig && properties.length > 0 && /::(Function|LayerVersion)$/.test(resource.Type)) {
+        // Artifacts live in <buildDir>/<LogicalId>, next to the built template
+        doc.setIn(['Resources', name, 'Properties', properties[0]], name);
+        if (resource.Type.endsWith('::Function') && functionConfig.Properties?.Handler) {
+          doc.setIn(['Resources', name, 'Properties', 'Handler'], functionConfig.Properties.Handler);
+        }
+        if (resource.Type.endsWith('::Function') && sourceMapFunctions.has(name)) {
+          this._enableSourceMaps(doc, name);
+        }
+        continue;
+      }
+
+      for (const property of properties) {
+        rebase(['Resources', name, 'Properties', property]);
+      }
+    }
+
+    const builtTemplatePath = path.join(buildDir, 'template.yaml');
+    fs.mkdirSync(buildDir, { recursive: true });
+    fs.writeFileSync(builtTemplatePath, doc.toString());
+
+    this.emit('builtTemplateWritten', { templatePath, builtTemplatePath, functions: Array.from(built.keys()) });
+    return builtTemplatePath;
+  }
+
+  /**
+   * Add --enable-source-maps to the NODE_OPTIONS of a function in the built template
+   * A function-level NODE_OPTIONS replaces the global one, so global options are carried over.
+   * Values set with intrinsic functions are left alone.
+   * @param {YAML.Document} doc - Built template document
+   * @param {string} name - Logical ID of the function
+   */
+  _enableSourceMaps(doc, name) {
+    const variablesPath = ['Resources', name, 'Properties', 'Environment', 'Variables'];
+    const variables = doc.getIn(variablesPath);
+    if (variables !== undefined && !YAML.isMap(variables)) {
+      return;
+    }
+
+    const current = doc.getIn([...variablesPath, 'NODE_OPTIONS']) ??
+      doc.getIn(['Globals', 'Function', 'Environment', 'Variables', 'NODE_OPTIONS']);
+    if (current !== undefined && typeof current !== 'string') {
+      return;
+    }
+
+    const nodeOptions = (current || '').split(/\s+/).filter(Boolean);
+    if (!nodeOptions.includes('--enable-source-maps')) {
+      nodeOptions.push('--enable-source-maps');
+    }
+    doc.setIn([...variablesPath, 'NODE_OPTIONS'], nodeOptions.join(' '));
+  }
+
+  /**
+   * Check whether a template path property points at the local file system
+   * @param {string} value - Property value
+   * @returns {boolean} True for relative or absolute local paths
+   */
+  _isLocalPath(value) {
+    return !/^[a-z][a-z0-9+.-]*:\/\//i.test(value);
+  }
+
   /**
    * Auto-detect template type (SAM or CDK)
    * @param {Object} template - Parsed template object
@@ -111,8 +250,9 @@ export class TemplateParser extends EventEmitter {
 
   /**
    * Parse SAM template and extract Lambda functions
+   * Layers with a Metadata.BuildMethod are included so they can be built and watched too.
    * @param {Object} template - Parsed SAM template
-   * @returns {Array} Array of Lambda function configurations
+   * @returns {Array} Array of Lambda function and layer configurations
    */
   _parseSAMTemplate(template) {
     const functions = [];
@@ -126,12 +266,33 @@ export class TemplateParser extends EventEmitter {
           ...mergedFunction, 
           Name: name 
         });
+      } else if (resource.Type === LAYER_TYPE && resource.Metadata?.BuildMethod) {
+        functions.push(this._toLayerConfig(name, resource));
       }
     });
 
     return functions;
   }
 
+  /**
+   * Convert a layer resource to the function-like format used for building
+   * ContentUri is mirrored to CodeUri, the source directory every build method reads.
+   * @param {string} name - Logical ID of the layer
+   * @param {Object} resource - AWS::Serverless::LayerVersion resource
+   * @returns {Object} Layer configuration
+   */
+  _toLayerConfig(name, resource) {
+    const layer = JSON.parse(JSON.stringify(resource));
+    layer.Name = name;
+    layer.Properties = layer.Properties || {};
+
+    if (typeof layer.Properties.ContentUri === 'string') {
+      layer.Properties.CodeUri = layer.Properties.ContentUri;
+    }
+
+    return layer;
+  }
+
   /**
    * Parse CDK template and extract Lambda functions
    * @param {Object} template - Parsed CDK template
@@ -226,12 +387,14 @@ export class TemplateParser extends EventEmitter {
 
   /**
    * Validate that a function has required build metadata
-   * Checks for BuildMethod and required properties
+   * Checks for BuildMethod and required properties. Functions without a BuildMethod on a
+   * nodejs* runtime are valid, extractFunctions builds them with npm the way sam build does.
+   * The function configuration is not changed.
    * 
    * @param {Object} functionConfig - Function configuration object
    * @param {string} functionConfig.Name - Function name
    * @param {Object} functionConfig.Metadata - Function metadata
-   * @param {string} functionConfig.Metadata.BuildMethod - Build method (esbuild or makefile)
+   * @param {string} [functionConfig.Metadata.BuildMethod] - Registered build method, e.g. esbuild, makefile or npm
    * @param {Object} functionConfig.Properties - Function properties
    * @returns {boolean} True if valid
    * @throws {Error} If validation fails with specific error message
@@ -246,25 +409,29 @@ export class TemplateParser extends EventEmitter {
   validateBuildMetadata(functionConfig) {
     const functionName = functionConfig.Name || 'Unknown';
 
-    if (!functionConfig.Metadata) {
+    if (functionConfig.Type === LAYER_TYPE) {
+      return this._validateLayerMetadata(functionConfig);
+    }
+
+    const buildMethod = this._resolveBuildMethod(functionConfig);
+    const supportedMethods = this.buildMethods.getNames();
+
+    if (!buildMethod && !functionConfig.Metadata) {
       throw new Error(
         `Function '${functionName}' is missing Metadata section. ` +
-        `Add a Metadata section with BuildMethod property (esbuild or makefile).`
+        `Add a Metadata section with BuildMethod property (${supportedMethods.join(', ')}).`
       );
     }
 
-    if (!functionConfig.Metadata.BuildMethod) {
+    if (!buildMethod) {
       throw new Error(
         `Function '${functionName}' is missing BuildMethod in Metadata. ` +
-        `Supported values: 'esbuild' or 'makefile'. ` +
+        `Supported values: ${supportedMethods.map(method => `'${method}'`).join(', ')}. ` +
         `Example:\n  Metadata:\n    BuildMethod: esbuild`
       );
     }
 
-    const supportedMethods = ['esbuild', 'makefile'];
-    const buildMethod = functionConfig.Metadata.BuildMethod;
-    
-    if (!supportedMethods.includes(buildMethod)) {
+    if (!this.buildMethods.has(buildMethod)) {
       throw new Error(
         `Function '${functionName}' has unsupported BuildMethod: '${buildMethod}'. ` +
         `Supported methods are: ${supportedMethods.join(', ')}. ` +
@@ -293,6 +460,57 @@ export class TemplateParser extends EventEmitter {
     return true;
   }
 
+  /**
+   * Get the build method a function or layer is built with
+   * Like sam build, nodejs* functions without a BuildMethod and layers with a nodejs* BuildMethod
+   * are built with npm.
+   * @param {Object} config - Function or layer configuration
+   * @returns {string|undefined} Build method, undefined if there is none
+   */
+  _resolveBuildMethod(config) {
+    const buildMethod = config.Metadata?.BuildMethod;
+
+    if (config.Type === LAYER_TYPE) {
+      return typeof buildMethod === 'string' && buildMethod.startsWith('nodejs') ? DEFAULT_NODEJS_BUILD_METHOD : buildMethod;
+    }
+
+    const runtime = config.Properties?.Runtime;
+    if (!buildMethod && typeof runtime === 'string' && runtime.startsWith('nodejs')) {
+      return DEFAULT_NODEJS_BUILD_METHOD;
+    }
+    return buildMethod;
+  }
+
+  /**
+   * Validate the build metadata of a layer
+   * As with sam build, a nodejs* BuildMethod installs the layer's dependencies with npm.
+   * @param {Object} layerConfig - Layer configuration
+   * @returns {boolean} True if valid
+   * @throws {Error} If the layer cannot be built
+   */
+  _validateLayerMetadata(layerConfig) {
+    const layerName = layerConfig.Name || 'Unknown';
+    const buildMethod = this._resolveBuildMethod(layerConfig);
+
+    if (buildMethod === 'esbuild') {
+      throw new Error(
+        `Layer '${layerName}' cannot use BuildMethod esbuild, layers have no handler to bundle. ` +
+        `Use a nodejs runtime such as nodejs20.x to install its dependencies, or makefile.`
+      );
+    } else if (!this.buildMethods.has(buildMethod)) {
+      throw new Error(
+        `Layer '${layerName}' has unsupported BuildMethod: '${buildMethod}'. ` +
+        `Use a nodejs runtime such as nodejs20.x or one of: ${this.buildMethods.getNames().filter(name => name !== 'esbuild').join(', ')}.`
+      );
+    }
+
+    if (!layerConfig.Properties?.CodeUri) {
+      throw new Error(`Layer '${layerName}' is missing ContentUri. Point ContentUri at the directory with the layer sources.`);
+    }
+
+    return true;
+  }
+
   /**
    * Validate entire template structure
    * @param {Object} template - Parsed template object
@@ -336,7 +554,8 @@ export class TemplateParser extends EventEmitter {
 
   /**
    * Extract and validate Lambda functions from parsed template
-   * Filters out functions that don't have valid build metadata
+   * Filters out functions that don't have valid build metadata. The extracted functions carry the
+   * build method they are built with, such as npm for nodejs* functions without a BuildMethod.
    * 
    * @param {Array<Object>} functions - Array of function configurations from template
    * @returns {Array<Object>} Filtered array of valid function configurations
@@ -355,6 +574,11 @@ export class TemplateParser extends EventEmitter {
         this.emit('validationError', { error, function: func.Name });
         return false;
       }
+    }).map(func => {
+      const buildMethod = this._resolveBuildMethod(func);
+      return buildMethod === func.Metadata?.BuildMethod
+        ? func
+        : { ...func, Metadata: { ...func.Metadata, BuildMethod: buildMethod } };
     });
   }
 }
\ No newline at end of file
@@ -13,6 +13,7 @@ import fs from 'fs';
 import path from 'path';
 import YAML from 'yaml';
 import { TemplateParser } from './template-parser.js';
+import { BuildMethodRegistry } from './build-method-registry.js';
 
 describe('TemplateParser Property Tests', () => {
   let templateParser;
@@ -173,21 +174,22 @@ describe('TemplateParser Property Tests', () => {
           const isValid = templateParser.validateBuildMetadata(functionConfig);
           
           // If validation passes, metadata should be valid
-          expect(functionConfig.Metadata).toBeDefined();
-          expect(functionConfig.Metadata.BuildMethod).toBeDefined();
-          expect(['esbuild', 'makefile']).toContain(functionConfig.Metadata.BuildMethod);
+          if (metadata.BuildMethod) {
+            expect(['esbuild', 'makefile', 'npm']).toContain(functionConfig.Metadata.BuildMethod);
+          } else {
+            // nodejs* functions without a BuildMethod are valid and left unchanged
+            expect(functionConfig.Metadata).toBeUndefined();
+          }
           expect(isValid).toBe(true);
           
           return true;
         } catch (error) {
-          // If validation fails, metadata should be invalid
-          const hasNoMetadata = !functionConfig.Metadata;
-          const hasNoBuildMethod = functionConfig.Metadata && !functionConfig.Metadata.BuildMethod;
+          // If validation fails, the declared build method must be unsupported
           const hasUnsupportedMethod = functionConfig.Metadata && 
             functionConfig.Metadata.BuildMethod && 
-            !['esbuild', 'makefile'].includes(functionConfig.Metadata.BuildMethod);
+            !['esbuild', 'makefile', 'npm'].includes(functionConfig.Metadata.BuildMethod);
           
-          expect(hasNoMetadata || hasNoBuildMethod || hasUnsupportedMethod).toBe(true);
+          expect(hasUnsupportedMethod).toBe(true);
           return true;
         }
       }
@@ -326,9 +328,12 @@ describe('TemplateParser Property Tests', () => {
           const isValid = templateParser.validateBuildMetadata(functionConfig);
           
           // If validation passes, all required metadata must be present and valid
-          expect(functionConfig.Metadata).toBeDefined();
-          expect(functionConfig.Metadata.BuildMethod).toBeDefined();
-          expect(['esbuild', 'makefile']).toContain(functionConfig.Metadata.BuildMethod);
+          if (functionConfig.Metadata?.BuildMethod) {
+            expect(['esbuild', 'makefile', 'npm']).toContain(functionConfig.Metadata.BuildMethod);
+          } else {
+            // Only nodejs* functions may leave out the BuildMethod, they are built with npm
+            expect(functionConfig.Properties.Runtime).toMatch(/^nodejs/);
+          }
           expect(functionConfig.Properties).toBeDefined();
           expect(functionConfig.Properties.Handler).toBeDefined();
           expect(functionConfig.Properties.Runtime).toBeDefined();
@@ -341,7 +346,7 @@ describe('TemplateParser Property Tests', () => {
           const hasNoBuildMethod = functionConfig.Metadata && !functionConfig.Metadata.BuildMethod;
           const hasUnsupportedMethod = functionConfig.Metadata && 
             functionConfig.Metadata.BuildMethod && 
-            !['esbuild', 'makefile'].includes(functionConfig.Metadata.BuildMethod);
+            !['esbuild', 'makefile', 'npm'].includes(functionConfig.Metadata.BuildMethod);
           const hasNoProperties = !functionConfig.Properties;
           const missingRequiredProps = functionConfig.Properties && 
             (!functionConfig.Properties.Handler || !functionConfig.Properties.Runtime);
@@ -358,4 +363,250 @@ describe('TemplateParser Property Tests', () => {
       }
     ), { numRuns: 100 });
   });
-});
\ No newline at end of file
+
+  it('should default nodejs functions without a BuildMethod to the npm builder', () => {
+    const nodeFunction = {
+      Name: 'PlainNodeFunction',
+      Properties: { CodeUri: 'src/', Handler: 'app.handler', Runtime: 'nodejs22.x' },
+      Metadata: { BuildProperties: { Minify: true } }
+    };
+    const pythonFunction = {
+      Name: 'PythonFunction',
+      Properties: { CodeUri: 'py/', Handler: 'app.handler', Runtime: 'python3.12' }
+    };
+
+    expect(templateParser.validateBuildMetadata(nodeFunction)).toBe(true);
+    // Validation only reads the function, the default is applied where functions are extracted
+    expect(nodeFunction.Metadata).toEqual({ BuildProperties: { Minify: true } });
+    expect(() => templateParser.validateBuildMetadata(pythonFunction)).toThrow(/missing Metadata/);
+
+    const [extracted] = templateParser.extractFunctions([nodeFunction, pythonFunction]);
+    expect(extracted.Metadata).toEqual({ BuildMethod: 'npm', BuildProperties: { Minify: true } });
+    expect(nodeFunction.Metadata).toEqual({ BuildProperties: { Minify: true } });
+  });
+
+  it('should accept build methods registered in the build method registry', () => {
+    const buildMethods = new BuildMethodRegistry();
+    buildMethods.register('swc', { build: async () => {} });
+    const parser = new TemplateParser(buildMethods);
+    const swcFunction = {
+      Name: 'SwcFunction',
+      Properties: { CodeUri: 'src/', Handler: 'app.handler', Runtime: 'nodejs20.x' },
+      Metadata: { BuildMethod: 'swc' }
+    };
+
+    expect(parser.validateBuildMetadata(swcFunction)).toBe(true);
+    expect(() => templateParser.validateBuildMetadata(swcFunction)).toThrow(/Supported methods are: esbuild, makefile, npm\./);
+  });
+});
+describe('TemplateParser built template', () => {
+  let templateParser;
+  let testDir;
+  let buildDir;
+
+  beforeEach(() => {
+    templateParser = new TemplateParser();
+    testDir = path.join(process.cwd(), '.test-temp-built-' + Date.now());
+    buildDir = path.join(testDir, '.aws-sam', 'build');
+    fs.mkdirSync(testDir, { recursive: true });
+    fs.writeFileSync(path.join(testDir, 'template.yaml'), [
+      "Transform: AWS::Serverless-2016-10-31",
+      "Globals:",
+      "  Function:",
+      "    Handler: app.handler",
+      "    Runtime: nodejs20.x",
+      "Resources:",
+      "  BuiltFunction:",
+      "    Type: AWS::Serverless::Function",
+      "    Properties:",
+      "      CodeUri: src/built/",
+      "      Role: !GetAtt FunctionRole.Arn",
+      "    Metadata:",
+      "      BuildMethod: esbuild",
+      "  OtherFunction:",
+      "    Type: AWS::Serverless::Function",
+      "    Properties:",
+      "      CodeUri: src/other/",
+      "      Handler: index.handler",
+      "  RemoteFunction:",
+      "    Type: AWS::Serverless::Function",
+      "    Properties:",
+      "      CodeUri: s3://bucket/code.zip",
+      "  Api:",
+      "    Type: AWS::Serverless::Api",
+      "    Properties:",
+      "      DefinitionUri: api/openapi.yaml",
+      "Outputs:",
+      "  Url:",
+      "    Value: !Sub 'https://${Api}.execute-api.${AWS::Region}.amazonaws.com/'",
+      ""
+    ].join('\n'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should point built functions at their artifacts and rebase other local paths', () => {
+    const builtFunction = {
+      Name: 'BuiltFunction',
+      Properties: { CodeUri: 'src/built/', Handler: 'app.handler', Runtime: 'nodejs20.x' }
+    };
+
+    const builtTemplatePath = templateParser.writeBuiltTemplate(path.join(testDir, 'template.yaml'), [builtFunction], buildDir);
+    const content = fs.readFileSync(builtTemplatePath, 'utf8');
+    const template = YAML.parse(content, { logLevel: 'error' });
+
+    expect(builtTemplatePath).toBe(path.join(buildDir, 'template.yaml'));
+    expect(template.Resources.BuiltFunction.Properties.CodeUri).toBe('BuiltFunction');
+    expect(template.Resources.BuiltFunction.Properties.Handler).toBe('app.handler');
+    expect(template.Resources.OtherFunction.Properties.CodeUri).toBe(path.join('..', '..', 'src', 'other'));
+    expect(template.Resources.RemoteFunction.Properties.CodeUri).toBe('s3://bucket/code.zip');
+    expect(template.Resources.Api.Properties.DefinitionUri).toBe(path.join('..', '..', 'api', 'openapi.yaml'));
+
+    // Intrinsic functions keep their tags
+    expect(content).toContain('Role: !GetAtt FunctionRole.Arn');
+    expect(content).toContain("Value: !Sub 'https://${Api}.execute-api.${AWS::Region}.amazonaws.com/'");
+  });
+
+  it('should enable source maps in NODE_OPTIONS of functions built with source maps', () => {
+    const templatePath = path.join(testDir, 'source-maps.yaml');
+    fs.writeFileSync(templatePath, [
+      "Globals:",
+      "  Function:",
+      "    Environment:",
+      "      Variables:",
+      "        NODE_OPTIONS: --max-old-space-size=256",
+      "Resources:",
+      "  MappedFunction:",
+      "    Type: AWS::Serverless::Function",
+      "    Properties:",
+      "      CodeUri: src/mapped/",
+      "      Handler: app.handler",
+      "  EnvFunction:",
+      "    Type: AWS::Serverless::Function",
+      "    Properties:",
+      "      CodeUri: src/env/",
+      "      Handler: app.handler",
+      "      Environment:",
+      "        Variables:",
+      "          TABLE: items",
+      "          NODE_OPTIONS: --enable-source-maps --trace-warnings",
+      "  PlainFunction:",
+      "    Type: AWS::Serverless::Function",
+      "    Properties:",
+      "      CodeUri: src/plain/",
+      "      Handler: app.handler",
+      ""
+    ].join('\n'));
+    const functions = ['MappedFunction', 'EnvFunction', 'PlainFunction'].map(Name => ({
+      Name,
+      Properties: { CodeUri: `src/${Name}/`, Handler: 'app.handler' }
+    }));
+
+    const builtTemplatePath = templateParser.writeBuiltTemplate(templatePath, functions, buildDir, {
+      sourceMapFunctions: ['MappedFunction', 'EnvFunction']
+    });
+    const { Resources } = YAML.parse(fs.readFileSync(builtTemplatePath, 'utf8'), { logLevel: 'error' });
+
+    expect(Resources.MappedFunction.Properties.Environment.Variables.NODE_OPTIONS)
+      .toBe('--max-old-space-size=256 --enable-source-maps');
+    expect(Resources.EnvFunction.Properties.Environment.Variables).toEqual({
+      TABLE: 'items',
+      NODE_OPTIONS: '--enable-source-maps --trace-warnings'
+    });
+    expect(Resources.PlainFunction.Properties.Environment).toBeUndefined();
+  });
+
+  it('should emit builtTemplateWritten with the built function names', () => {
+    let event = null;
+    templateParser.on('builtTemplateWritten', (data) => { event = data; });
+
+    templateParser.writeBuiltTemplate(path.join(testDir, 'template.yaml'), [], buildDir);
+
+    expect(event.functions).toEqual([]);
+    expect(fs.existsSync(event.builtTemplatePath)).toBe(true);
+  });
+});
+
+describe('TemplateParser layers', () => {
+  let templateParser;
+  let testDir;
+  let templatePath;
+
+  beforeEach(() => {
+    templateParser = new TemplateParser();
+    testDir = path.join(process.cwd(), '.test-temp-layers-' + Date.now());
+    templatePath = path.join(testDir, 'template.yaml');
+    fs.mkdirSync(testDir, { recursive: true });
+    fs.writeFileSync(templatePath, [
+      "Transform: AWS::Serverless-2016-10-31",
+      "Resources:",
+      "  SharedLayer:",
+      "    Type: AWS::Serverless::LayerVersion",
+      "    Properties:",
+      "      ContentUri: layers/shared/",
+      "      CompatibleRuntimes: [nodejs20.x]",
+      "    Metadata:",
+      "      BuildMethod: nodejs20.x",
+      "  PrebuiltLayer:",
+      "    Type: AWS::Serverless::LayerVersion",
+      "    Properties:",
+      "      ContentUri: layers/prebuilt/",
+      "  ApiFunction:",
+      "    Type: AWS::Serverless::Function",
+      "    Properties:",
+      "      CodeUri: src/",
+      "      Handler: app.handler",
+      "      Runtime: nodejs20.x",
+      "      Layers:",
+      "        - !Ref SharedLayer",
+      "    Metadata:",
+      "      BuildMethod: esbuild",
+      ""
+    ].join('\n'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should parse layers that have a BuildMethod and build nodejs layers with npm', () => {
+    const parsed = templateParser.extractFunctions(templateParser.parseTemplate(templatePath));
+    const layer = parsed.find(func => func.Name === 'SharedLayer');
+
+    expect(parsed.map(func => func.Name)).toEqual(['SharedLayer', 'ApiFunction']);
+    expect(layer.Type).toBe('AWS::Serverless::LayerVersion');
+    expect(layer.Properties.CodeUri).toBe('layers/shared/');
+    expect(layer.Metadata.BuildMethod).toBe('npm');
+    expect(parsed[1].Properties.Layers).toEqual(['SharedLayer']);
+  });
+
+  it('should reject layers that cannot be built', () => {
+    const layer = (metadata, properties = { CodeUri: 'layers/shared/' }) => ({
+      Name: 'SharedLayer',
+      Type: 'AWS::Serverless::LayerVersion',
+      Properties: properties,
+      Metadata: metadata
+    });
+
+    expect(() => templateParser.validateBuildMetadata(layer({ BuildMethod: 'esbuild' }))).toThrow(/cannot use BuildMethod esbuild/);
+    expect(() => templateParser.validateBuildMetadata(layer({ BuildMethod: 'python3.12' }))).toThrow(/unsupported BuildMethod/);
+    expect(() => templateParser.validateBuildMetadata(layer({ BuildMethod: 'makefile' }, {}))).toThrow(/missing ContentUri/);
+    expect(templateParser.validateBuildMetadata(layer({ BuildMethod: 'makefile' }))).toBe(true);
+  });
+
+  it('should point built layers at their artifacts in the built template', () => {
+    const functions = templateParser.extractFunctions(templateParser.parseTemplate(templatePath));
+    const buildDir = path.join(testDir, '.aws-sam', 'build');
+
+    const template = YAML.parse(
+      fs.readFileSync(templateParser.writeBuiltTemplate(templatePath, functions, buildDir), 'utf8'),
+      { logLevel: 'error' }
+    );
+
+    expect(template.Resources.SharedLayer.Properties.ContentUri).toBe('SharedLayer');
+    expect(template.Resources.SharedLayer.Properties.Handler).toBeUndefined();
+    expect(template.Resources.PrebuiltLayer.Properties.ContentUri).toBe(path.join('..', '..', 'layers', 'prebuilt'));
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Type Checker Module
+ * Runs incremental `tsc --noEmit` checks for TypeScript projects next to esbuild bundling
+ *
+ * @module TypeChecker
+ * @extends EventEmitter
+ * @fires TypeChecker#checkStarted
+ * @fires TypeChecker#checkCompleted
+ */
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Diagnostic line printed by `tsc --pretty false`, e.g. `src/app.ts(3,7): error TS2322: ...`
+ */
+const TSC_DIAGNOSTIC = /^(.+?)\((\d+),(\d+)\): (error|warning|message) (TS\d+): (.*)$/;
+
+/**
+ * TypeChecker class for type-checking tsconfig projects with the project's own TypeScript
+ *
+ * @class
+ * @extends EventEmitter
+ * @example
+ * const typeChecker = new TypeChecker();
+ * const project = typeChecker.findProject('./hello-world');
+ *
+ * if (project) {
+ *   const { diagnostics } = await typeChecker.check(project);
+ *   diagnostics.forEach(d => console.log(`${d.file}:${d.line}:${d.column} ${d.message}`));
+ * }
+ */
+export class TypeChecker extends EventEmitter {
+  /**
+   * Create a TypeChecker instance
+   *
+   * @param {Object} [options={}] - Type checker options
+   * @param {string} [options.buildInfoDir='.aws-sam/.tsbuildinfo'] - Directory for incremental build info files
+   * @example
+   * const typeChecker = new TypeChecker({ buildInfoDir: '.aws-sam/.tsbuildinfo' });
+   */
+  constructor(options = {}) {
+    super();
+    this.buildInfoDir = options.buildInfoDir || path.join('.aws-sam', '.tsbuildinfo');
+    this.checks = new Map();
+  }
+
+  /**
+   * Find the nearest tsconfig.json at or above a directory
+   *
+   * @param {string} startDir - Directory to start searching from
+   * @returns {string|null} Absolute path of the tsconfig.json, or null if there is none
+   * @example
+   * const project = typeChecker.findProject('./hello-world');
+   */
+  findProject(startDir) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+      const candidate = path.join(dir, 'tsconfig.json');
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+
+  /**
+   * Type-check a tsconfig project
+   * Concurrent requests with the same run id share one tsc process; a request with a new
+   * run id stops the outdated check and starts a fresh one.
+   *
+   * @param {string} tsconfigPath - Path of the tsconfig.json
+   * @param {number} [runId=0] - Identifier of the build run requesting the check
+   * @returns {Promise<{tsconfigPath: string, diagnostics: Array<Object>, duration: number}>} Parsed tsc diagnostics
+   * @throws {Error} If TypeScript is not installed or tsc cannot run
+   * @fires TypeChecker#checkStarted
+   * @fires TypeChecker#checkCompleted
+   * @example
+   * const { diagnostics } = await typeChecker.check('/app/tsconfig.json');
+   */
+  check(tsconfigPath, runId = 0) {
+    const existing = this.checks.get(tsconfigPath);
+    if (existing && existing.runId === runId) {
+      return existing.promise;
+    }
+    if (existing) {
+      this.cancel(tsconfigPath);
+    }
+
+    const check = { runId, child: null, cancelled: false };
+    check.promise = this._runTsc(tsconfigPath, check).finally(() => {
+      if (this.checks.get(tsconfigPath) === check) {
+        this.checks.delete(tsconfigPath);
+      }
+    });
+
+    this.checks.set(tsconfigPath, check);
+    return check.promise;
+  }
+
+  /**
+   * Stop the running check of a project
+   *
+   * @param {string} tsconfigPath - Path of the tsconfig.json
+   * @param {number} [runId] - Only stop the check if it was started for this run id
+   * @example
+   * typeChecker.cancel('/app/tsconfig.json');
+   */
+  cancel(tsconfigPath, runId) {
+    const check = this.checks.get(tsconfigPath);
+    if (!check || (runId !== undefined && check.runId !== runId)) {
+      return;
+    }
+
+    check.cancelled = true;
+    this.checks.delete(tsconfigPath);
+    if (check.child && check.child.exitCode === null) {
+      check.child.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Stop every running check
+   *
+   * @example
+   * typeChecker.dispose();
+   */
+  dispose() {
+    for (const tsconfigPath of Array.from(this.checks.keys())) {
+      this.cancel(tsconfigPath);
+    }
+  }
+
+  /**
+   * Spawn tsc for a project and collect its diagnostics
+   * @param {string} tsconfigPath - Path of the tsconfig.json
+   * @param {Object} check - Check state used for cancellation
+   * @returns {Promise<Object>} Check result
+   */
+  _runTsc(tsconfigPath, check) {
+    const startTime = Date.now();
+    const projectDir = path.dirname(tsconfigPath);
+    const buildInfoFile = path.resolve(
+      this.buildInfoDir,
+      `${crypto.createHash('sha256').update(tsconfigPath).digest('hex').slice(0, 16)}.tsbuildinfo`
+    );
+
+    return new Promise((resolve, reject) => {
+      let tscPath;
+      try {
+        tscPath = this._resolveTsc(projectDir);
+        fs.mkdirSync(path.dirname(buildInfoFile), { recursive: true });
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      this.emit('checkStarted', { tsconfigPath });
+
+      const tsc = spawn(process.execPath, [
+        tscPath,
+        '--noEmit',
+        '--incremental',
+        '--tsBuildInfoFile', buildInfoFile,
+        '--pretty', 'false',
+        '-p', tsconfigPath
+      ], {
+        cwd: projectDir,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      check.child = tsc;
+
+      let output = '';
+      tsc.stdout.on('data', (data) => { output += data.toString(); });
+      tsc.stderr.on('data', (data) => { output += data.toString(); });
+
+      tsc.on('error', (error) => {
+        reject(new Error(`Failed to run tsc: ${error.message}`));
+      });
+
+      tsc.on('close', (code) => {
+        if (check.cancelled) {
+          reject(new Error('Type check cancelled'));
+          return;
+        }
+
+        const diagnostics = this._parseDiagnostics(output, projectDir);
+
+        // Exit code 1 without diagnostics means tsc itself failed, e.g. an invalid tsconfig
+        if (code !== 0 && diagnostics.length === 0) {
+          reject(new Error(`tsc exited with code ${code}: ${output.trim()}`));
+          return;
+        }
+
+        const result = { tsconfigPath, diagnostics, duration: Date.now() - startTime };
+        this.emit('checkCompleted', result);
+        resolve(result);
+      });
+    });
+  }
+
+  /**
+   * Locate the tsc script of the project's TypeScript installation
+   * @param {string} projectDir - Directory of the tsconfig.json
+   * @returns {string} Path of typescript/bin/tsc
+   * @throws {Error} If TypeScript is not installed
+   */
+  _resolveTsc(projectDir) {
+    for (const base of [path.join(projectDir, 'package.json'), path.join(process.cwd(), 'package.json')]) {
+      try {
+        return createRequire(base).resolve('typescript/bin/tsc');
+      } catch (error) {
+        // Try the next location
+      }
+    }
+
+    throw new Error('TypeScript is not installed. Run npm install --save-dev typescript to enable type checking');
+  }
+
+  /**
+   * Parse `tsc --pretty false` output into diagnostics
+   * Indented continuation lines are appended to the message of the diagnostic they belong to.
+   * @param {string} output - tsc output
+   * @param {string} projectDir - Directory tsc ran in, file paths are relative to it
+   * @returns {Array<{file: string, line: number, column: number, category: string, code: string, message: string}>} Diagnostics
+   */
+  _parseDiagnostics(output, projectDir) {
+    const diagnostics = [];
+
+    for (const line of output.split(/\r?\n/)) {
+      const match = line.match(TSC_DIAGNOSTIC);
+
+      if (match) {
+        diagnostics.push({
+          file: path.resolve(projectDir, match[1]),
+          line: Number(match[2]),
+          column: Number(match[3]),
+          category: match[4],
+          code: match[5],
+          message: match[6]
+        });
+      } else if (/^\s+\S/.test(line) && diagnostics.length > 0) {
+        diagnostics[diagnostics.length - 1].message += `\n${line.trim()}`;
+      }
+    }
+
+    return diagnostics;
+  }
+}
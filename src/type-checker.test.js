@@ -0,0 +1,113 @@
+/**
+ * Tests for Type Checker
+ * tsc output must be parsed into diagnostics with absolute file paths and one shared check per run
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { TypeChecker } from './type-checker.js';
+
+describe('TypeChecker', () => {
+  let typeChecker;
+  let testDir;
+
+  beforeEach(() => {
+    testDir = path.join(process.cwd(), '.test-temp-tsc-' + Date.now());
+    fs.mkdirSync(path.join(testDir, 'src', 'handlers'), { recursive: true });
+    fs.writeFileSync(path.join(testDir, 'tsconfig.json'), '{}\n');
+
+    typeChecker = new TypeChecker({ buildInfoDir: path.join(testDir, '.tsbuildinfo') });
+  });
+
+  afterEach(() => {
+    typeChecker.dispose();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  // Stand-in for typescript/bin/tsc that prints fixed diagnostics
+  const useFakeTsc = (output, exitCode = 2, delay = 0) => {
+    const script = path.join(testDir, 'fake-tsc.cjs');
+    fs.writeFileSync(script, `setTimeout(() => { process.stdout.write(${JSON.stringify(output)}); process.exit(${exitCode}); }, ${delay});\n`);
+    typeChecker._resolveTsc = vi.fn(() => script);
+  };
+
+  it('should find the nearest tsconfig.json', () => {
+    expect(typeChecker.findProject(path.join(testDir, 'src', 'handlers'))).toBe(path.join(testDir, 'tsconfig.json'));
+
+    fs.writeFileSync(path.join(testDir, 'src', 'tsconfig.json'), '{}\n');
+    expect(typeChecker.findProject(path.join(testDir, 'src', 'handlers'))).toBe(path.join(testDir, 'src', 'tsconfig.json'));
+  });
+
+  it('should parse tsc diagnostics with continuation lines', () => {
+    const diagnostics = typeChecker._parseDiagnostics([
+      "src/app.ts(3,7): error TS2322: Type 'string' is not assignable to type 'number'.",
+      "src/shared/util.ts(10,1): error TS2345: Argument of type '{}' is not assignable to parameter of type 'Event'.",
+      "  Property 'body' is missing in type '{}' but required in type 'Event'.",
+      ''
+    ].join('\n'), testDir);
+
+    expect(diagnostics).toEqual([
+      {
+        file: path.join(testDir, 'src', 'app.ts'),
+        line: 3,
+        column: 7,
+        category: 'error',
+        code: 'TS2322',
+        message: "Type 'string' is not assignable to type 'number'."
+      },
+      {
+        file: path.join(testDir, 'src', 'shared', 'util.ts'),
+        line: 10,
+        column: 1,
+        category: 'error',
+        code: 'TS2345',
+        message: "Argument of type '{}' is not assignable to parameter of type 'Event'.\nProperty 'body' is missing in type '{}' but required in type 'Event'."
+      }
+    ]);
+  });
+
+  it('should run tsc for a project and share the check within a run', async () => {
+    useFakeTsc("src/app.ts(1,1): error TS1005: ';' expected.\n");
+    const tsconfigPath = path.join(testDir, 'tsconfig.json');
+
+    const first = typeChecker.check(tsconfigPath, 1);
+    const second = typeChecker.check(tsconfigPath, 1);
+    expect(second).toBe(first);
+
+    const result = await first;
+    expect(result.tsconfigPath).toBe(tsconfigPath);
+    expect(result.diagnostics).toHaveLength(1);
+    expect(result.diagnostics[0].file).toBe(path.join(testDir, 'src', 'app.ts'));
+  });
+
+  it('should cancel an outdated check when a new run starts', async () => {
+    useFakeTsc('', 0, 2000);
+    const tsconfigPath = path.join(testDir, 'tsconfig.json');
+
+    const outdated = typeChecker.check(tsconfigPath, 1);
+    useFakeTsc('', 0);
+    const current = typeChecker.check(tsconfigPath, 2);
+
+    await expect(outdated).rejects.toThrow('Type check cancelled');
+    await expect(current).resolves.toMatchObject({ diagnostics: [] });
+  });
+
+  it('should only cancel the check of the given run', async () => {
+    useFakeTsc('', 0, 2000);
+    const tsconfigPath = path.join(testDir, 'tsconfig.json');
+
+    const check = typeChecker.check(tsconfigPath, 2);
+    // A build of an earlier run must not stop the check of a newer one
+    typeChecker.cancel(tsconfigPath, 1);
+    expect(typeChecker.checks.has(tsconfigPath)).toBe(true);
+
+    typeChecker.cancel(tsconfigPath, 2);
+    await expect(check).rejects.toThrow('Type check cancelled');
+  });
+
+  it('should fail when tsc exits with an error but prints no diagnostics', async () => {
+    useFakeTsc("error TS5083: Cannot read file 'tsconfig.base.json'.\n", 1);
+
+    await expect(typeChecker.check(path.join(testDir, 'tsconfig.json'))).rejects.toThrow(/tsc exited with code 1/);
+  });
+});